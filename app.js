@@ -4,40 +4,38 @@
 // ============================================================================
 
 /**
- * Array of seva (service) tasks - matches the original Java application
+ * Default seva (service) tasks - matches the original Java application
  * Each task represents a cleaning area or responsibility
+ * - id: stable identifier, kept when the task is renamed or reordered
+ * - name: label shown in the table
+ * - capacity: how many people can be assigned to that task
+ * - weight: effort of the task per person, from 1 (light) to 5 (heavy) - used by fair rotation
  */
-const SEVA_TASKS = [
-    "Main Hall, Entrance, Coat Closet",
-    "Kitchen", 
-    "Fridges",
-    "Upper Rooms and Walkway/Stairs",
-    "Upper Washroom",
-    "Dastva Hall and Walkway/Stairs", 
-    "Lower Washroom",
-    "Private Washroom and Laundry Room",
-    "Basement, Luggage Room and Kitchen",
-    "Garbage",
-    "Grocery",
-    "Yard"
+const DEFAULT_TASKS = [
+    { id: "main-hall", name: "Main Hall, Entrance, Coat Closet", capacity: 3, weight: 2 },
+    { id: "kitchen", name: "Kitchen", capacity: 3, weight: 3 },
+    { id: "fridges", name: "Fridges", capacity: 1, weight: 2 },
+    { id: "upper-rooms", name: "Upper Rooms and Walkway/Stairs", capacity: 2, weight: 2 },
+    { id: "upper-washroom", name: "Upper Washroom", capacity: 1, weight: 3 },
+    { id: "dastva-hall", name: "Dastva Hall and Walkway/Stairs", capacity: 2, weight: 2 },
+    { id: "lower-washroom", name: "Lower Washroom", capacity: 1, weight: 3 },
+    { id: "private-washroom", name: "Private Washroom and Laundry Room", capacity: 1, weight: 3 },
+    { id: "basement", name: "Basement, Luggage Room and Kitchen", capacity: 2, weight: 2 },
+    { id: "garbage", name: "Garbage", capacity: 1, weight: 1 },
+    { id: "grocery", name: "Grocery", capacity: 2, weight: 2 },
+    { id: "yard", name: "Yard", capacity: 1, weight: 1 }
 ];
 
-/**
- * Array of task capacities - matches the original Java application
- * Each number represents how many people can be assigned to that task
- * The index corresponds to the task in SEVA_TASKS array
- */
-const TASK_CAPACITIES = [3, 3, 1, 1, 1, 2, 1, 1, 2, 1, 2, 1];
-
 /**
  * Default assignments - used when no saved data exists
  * These match the original Java application's default values
+ * The index corresponds to the task in DEFAULT_TASKS array
  */
 const DEFAULT_ASSIGNMENTS = [
     ["Het Bhai", "Harsh Bhai", "Avi Bhai"], // Main Hall, Entrance, Coat Closet (3)
     ["Devang Bhai", "Kintul Bhai", "Shreyansh Bhai"], // Kitchen (3)
     ["Rohan Bhai"], // Fridges (1)
-    ["Malav Bhai & Param Bhai"], // Upper Rooms and Walkway/Stairs (1) - Combined unit
+    ["Malav Bhai", "Param Bhai"], // Upper Rooms and Walkway/Stairs (2) - Linked group
     ["Jayraj Bhai"], // Upper Washroom (1)
     ["Vraj Bhai", "Nisarg Bhai"], // Dastva Hall and Walkway/Stairs (2)
     ["Sheel Bhai"], // Lower Washroom (1)
@@ -48,15 +46,144 @@ const DEFAULT_ASSIGNMENTS = [
     ["Volunteer"] // Yard (Fixed volunteer)
 ];
 
+/**
+ * Default rotation rules - replace the special cases of the original Java application
+ * - pin: the person always gets the task (Bhagirath Bhai is permanent on Grocery)
+ * - fixed_task: the task is left out of the rotation and always shows the label
+ * - exclude: the person is never assigned to the task
+ * Any rule can have an "until" date (YYYY-MM-DD) after which it stops applying
+ */
+const DEFAULT_RULES = [
+    { id: "rule-bhagirath-grocery", type: "pin", person: "Bhagirath Bhai", taskId: "grocery" },
+    { id: "rule-yard-volunteer", type: "fixed_task", taskId: "yard", label: "Volunteer" }
+];
+
+/**
+ * Default linked groups - bhaktos who always rotate together as one unit
+ * A group takes one capacity slot per member. While "splitUntil" (YYYY-MM-DD)
+ * has not passed, the members rotate on their own.
+ */
+const DEFAULT_GROUPS = [
+    { id: "group-malav-param", members: ["Malav Bhai", "Param Bhai"] }
+];
+
+/**
+ * Rotation modes an admin can choose from
+ * - classic: everyone moves one place down the list (the original behaviour)
+ * - fair: balances task effort over time using the history and task weights
+ */
+const ROTATION_MODES = {
+    classic: '🔁 Classic shift',
+    fair: '⚖️ Fair (balance effort)'
+};
+
+/**
+ * Default rotation settings
+ * - mode: rotation mode used by the Rotate button and the schedule
+ * - schedule: automatic weekly rotation at a local day and hour; lastRunBoundary
+ *   is the last due time ("YYYY-MM-DDTHH:00") that has been rotated
+ */
+const DEFAULT_ROTATION_SETTINGS = {
+    mode: 'classic',
+    schedule: { enabled: false, dayOfWeek: 1, hour: 6, lastRunBoundary: null }
+};
+
+// Separator used when a linked group is shown as one unit
+const GROUP_SEPARATOR = " & ";
+
+/**
+ * Default roster - every bhakto who takes part in the rotation
+ * "Volunteer" is a placeholder for the Yard task, not a person, so it is left out
+ */
+const DEFAULT_ROSTER = DEFAULT_ASSIGNMENTS.flat().filter(name => name !== "Volunteer");
+
+// Format of the saved/synced data - defined with its schema in schema.js
+const DATA_FORMAT_VERSION = SevaSchema.FORMAT_VERSION;
+
 // Storage keys for browser's localStorage
 const STORAGE_KEY = 'sevaAppData';
 const LAST_UPDATED_KEY = 'sevaAppLastUpdated';
-const VIEWER_COUNT_KEY = 'sevaAppViewerCount';
+const SYNC_VERSION_KEY = 'sevaAppSyncVersion';
+const OUTBOX_KEY = 'sevaAppOutbox';
 const VIEWER_ID_KEY = 'sevaAppViewerId';
 
+// Houses (rooms) - every house has its own synced data. The main house uses the keys above,
+// the others add their room id to them (see roomStorageKey())
+const ROOM_ID_KEY = 'sevaRoomId';
+const KNOWN_ROOMS_KEY = 'sevaKnownRooms';
+const DEFAULT_ROOM_ID = 'main';
+const ROOM_ID_PATTERN = /^[a-z0-9][a-z0-9-]{1,39}$/;
+
+// Room id of the house open in this tab - see getOrCreateRoomId()
+let currentRoomId = null;
+
 // Current assignments data - will be loaded from storage or default
 let currentAssignments = [];
 
+// Current roster of bhaktos - will be loaded from storage or default
+let currentRoster = [];
+
+// Current task list - will be loaded from storage or default
+// currentAssignments[i] always belongs to currentTasks[i]
+let currentTasks = [];
+
+// Current rotation rules - will be loaded from storage or default
+let currentRules = [];
+
+// Current linked groups - will be loaded from storage or default
+let currentGroups = [];
+
+// Weeks each bhakto is away: { name: ["YYYY-MM-DD" (Monday), ...] }
+let currentAvailability = {};
+
+// Rotation settings (mode and schedule) - will be loaded from storage or default
+let rotationSettings = { ...DEFAULT_ROTATION_SETTINGS };
+
+// Ticks for this week: { taskId: { by: name, at: ISO time } } - cleared on rotation
+let currentCompletions = {};
+
+// Claim of the device running the scheduled rotation: { boundary, by, at, version }
+let scheduleClaim = null;
+
+// Name of the house, shown in the header - see HOUSES
+let houseName = '';
+
+// Accounts: [{ username, role, person, salt, hash, iterations, createdAt, createdBy }] - see ACCOUNTS AND ROLES
+let currentAccounts = [];
+
+// Failed logins for admins to review: [{ username, at, device }] (newest last) - see LOGIN SYSTEM
+let loginFailures = [];
+
+// Audit log of every change and login: [{ id, at, action, user, role, device, changes }] - see AUDIT LOG
+let auditLog = [];
+
+// Whether the server has accounts it did not send us - the relay only shows them to admins
+let accountsHidden = false;
+
+// Rotation history - append-only list of assignment snapshots (oldest first)
+let rotationHistory = [];
+
+// Oldest history entries are dropped beyond this many, to keep the synced
+// record small (about a year of weekly rotations plus manual edits)
+const MAX_HISTORY_ENTRIES = 80;
+
+// Labels for the actions that add a history entry
+const HISTORY_ACTION_LABELS = {
+    rotation: '🔄 Rotation',
+    scheduled_rotation: '🗓️ Scheduled rotation',
+    reset: '↩️ Reset to default',
+    clear_storage: '🗑️ Clear & reset',
+    manual_edit: '✏️ Manual edit',
+    undo: '↶ Undo',
+    redo: '↷ Redo'
+};
+
+// Undo/redo - snapshots of the state before/after each admin change (this tab only)
+const MAX_UNDO_STEPS = 20;
+let undoStack = [];
+let redoStack = [];
+let lastSavedState = null; // Snapshot of the state as last saved or loaded
+
 // Real-time sync variables
 let viewerCount = 1;
 let viewerId = null;
@@ -70,10 +197,12 @@ let syncInterval = null;
  * Shows a notification message to the user
  * @param {string} message - The message to display
  * @param {string} type - Type of notification ('success', 'error', 'info')
+ * @param {Object} action - Optional button shown in the toast: { label, onClick }
  */
-function showNotification(message, type = 'success') {
+function showNotification(message, type = 'success', action = null) {
     const notification = document.getElementById('notification');
     const notificationText = document.getElementById('notificationText');
+    const notificationAction = document.getElementById('notificationAction');
     
     // Clear any existing timeout
     if (window.notificationTimeout) {
@@ -83,6 +212,19 @@ function showNotification(message, type = 'success') {
     // Set the message
     notificationText.textContent = message;
     
+    // Set the action button (kept visible longer so there is time to click it)
+    if (action) {
+        notificationAction.textContent = action.label;
+        notificationAction.onclick = () => {
+            notification.style.display = 'none';
+            action.onClick();
+        };
+        notificationAction.style.display = 'block';
+    } else {
+        notificationAction.onclick = null;
+        notificationAction.style.display = 'none';
+    }
+    
     // Set the color based on type
     notification.style.backgroundColor = type === 'error' ? '#f44336' : 
                                        type === 'info' ? '#2196f3' : 
@@ -91,11 +233,11 @@ function showNotification(message, type = 'success') {
     // Show the notification
     notification.style.display = 'flex';
     
-    // Auto-hide after 3 seconds (store timeout ID)
+    // Auto-hide after 3 seconds, 6 with an action button (store timeout ID)
     window.notificationTimeout = setTimeout(() => {
         notification.style.display = 'none';
         window.notificationTimeout = null;
-    }, 3000);
+    }, action ? 6000 : 3000);
 }
 
 /**
@@ -117,48 +259,272 @@ function getCurrentTimestamp() {
 
 /**
  * Updates the last updated timestamp in the footer
+ * The stored time is ISO; data saved by older versions holds a locale string, shown as is.
  */
 function updateLastUpdatedTime() {
     const lastUpdatedElement = document.getElementById('lastUpdated');
-    lastUpdatedElement.textContent = getCurrentTimestamp();
+    const lastUpdated = localStorage.getItem(roomStorageKey(LAST_UPDATED_KEY));
+    const date = new Date(lastUpdated || Date.now());
+    lastUpdatedElement.textContent = isNaN(date.getTime()) ? lastUpdated : date.toLocaleString();
 }
 
 // ============================================================================
 // DATA PERSISTENCE FUNCTIONS
 // ============================================================================
 
+/**
+ * Gets the part of the app state that is shared with every device
+ * All save and push functions build their payload from this
+ * @returns {Object} Synced state (house name, tasks, assignments, roster, rules, groups, settings, availability,
+ *                   completions, schedule claim, accounts, failed logins, audit log and history)
+ */
+function getSyncedState() {
+    return {
+        formatVersion: DATA_FORMAT_VERSION,
+        houseName: houseName,
+        tasks: currentTasks,
+        assignments: currentAssignments,
+        roster: currentRoster,
+        rules: currentRules,
+        groups: currentGroups,
+        settings: rotationSettings,
+        availability: currentAvailability,
+        completions: currentCompletions,
+        scheduleClaim: scheduleClaim,
+        accounts: currentAccounts,
+        loginFailures: loginFailures,
+        auditLog: auditLog,
+        history: rotationHistory
+    };
+}
+
+/**
+ * Applies synced state loaded from storage or received from another device
+ * @param {Object} data - Saved or remote data object
+ */
+function applySyncedState(data) {
+    const migrated = migrateSyncedData(data);
+    houseName = migrated.houseName;
+    currentTasks = migrated.tasks;
+    currentAssignments = migrated.assignments;
+    currentRoster = migrated.roster;
+    currentRules = migrated.rules;
+    currentGroups = migrated.groups;
+    rotationSettings = migrated.settings;
+    currentAvailability = migrated.availability;
+    currentCompletions = migrated.completions;
+    scheduleClaim = migrated.scheduleClaim || null;
+    currentAccounts = migrated.accounts;
+    loginFailures = migrated.loginFailures;
+    auditLog = migrated.auditLog;
+    accountsHidden = Boolean(data.accountsHidden);
+    rotationHistory = migrated.history;
+    
+    // Someone else changed the state - our undo steps no longer apply to it
+    const snapshot = getUndoSnapshot();
+    if (lastSavedState !== null && JSON.stringify(snapshot) !== JSON.stringify(lastSavedState)) {
+        clearUndoHistory();
+    }
+    lastSavedState = snapshot;
+    lastAuditedState = getAuditSnapshot();
+}
+
+/**
+ * Upgrades data saved by an older version of the app to the current format
+ * Version 1 data has no task list - its rows follow the order of DEFAULT_TASKS,
+ * so the defaults are attached row by row. The assignments array is always
+ * padded/trimmed to match the task list so every row has a task.
+ * Data without a roster has it rebuilt from the assignments, and data without
+ * rules relied on the old hard-coded special cases, which DEFAULT_RULES reproduces.
+ * Data without groups stored pairs as one "A & B" name - see migrateCombinedNames().
+ * Tasks without a weight get the default weight of the task with the same id (or 1).
+ * Accounts were stored as "admins" before roles existed - those all stay admins.
+ * Data from before houses existed has no house name.
+ * @param {Object} data - Saved or remote data object
+ * @returns {Object} Copy of the data in the current format
+ */
+function migrateSyncedData(data) {
+    const migrated = { ...data };
+    const hasStoredTasks = Array.isArray(migrated.tasks) && migrated.tasks.length > 0;
+    
+    if (!hasStoredTasks) {
+        migrated.tasks = JSON.parse(JSON.stringify(DEFAULT_TASKS));
+        console.log('Migrated saved data without a task list to format', DATA_FORMAT_VERSION);
+    }
+    
+    const assignments = Array.isArray(migrated.assignments) ? migrated.assignments : [];
+    migrated.assignments = migrated.tasks.map((task, i) => Array.isArray(assignments[i]) ? assignments[i] : []);
+    if (!Array.isArray(migrated.roster)) {
+        migrated.roster = deriveRosterFromAssignments(migrated.assignments);
+    }
+    if (!Array.isArray(migrated.rules)) {
+        migrated.rules = JSON.parse(JSON.stringify(DEFAULT_RULES));
+    }
+    if (!Array.isArray(migrated.history)) {
+        migrated.history = [];
+    }
+    migrated.settings = { ...DEFAULT_ROTATION_SETTINGS, ...migrated.settings };
+    migrated.settings.schedule = { ...DEFAULT_ROTATION_SETTINGS.schedule, ...migrated.settings.schedule };
+    if (!migrated.availability || typeof migrated.availability !== 'object') {
+        migrated.availability = {};
+    }
+    if (!migrated.completions || typeof migrated.completions !== 'object') {
+        migrated.completions = {};
+    }
+    if (!Array.isArray(migrated.accounts)) {
+        migrated.accounts = Array.isArray(migrated.admins) ? migrated.admins : [];
+    }
+    delete migrated.admins;
+    if (!Array.isArray(migrated.loginFailures)) {
+        migrated.loginFailures = [];
+    }
+    if (!Array.isArray(migrated.auditLog)) {
+        migrated.auditLog = [];
+    }
+    if (typeof migrated.houseName !== 'string') {
+        migrated.houseName = '';
+    }
+    migrated.accounts = migrated.accounts.map(account => ROLES.includes(account.role)
+        ? account
+        : { ...account, role: 'admin', person: null });
+    migrated.tasks = migrated.tasks.map(task => {
+        if (task.weight) return task;
+        const defaultTask = DEFAULT_TASKS.find(t => t.id === task.id);
+        return { ...task, weight: defaultTask ? defaultTask.weight : 1 };
+    });
+    if (!Array.isArray(migrated.groups)) {
+        // DEFAULT_TASKS already has room for the default pair, stored tasks do not
+        migrateCombinedNames(migrated, hasStoredTasks);
+    }
+    migrated.formatVersion = DATA_FORMAT_VERSION;
+    
+    return migrated;
+}
+
+/**
+ * Turns combined "A & B" names from older data into linked groups
+ * Each combined name is replaced by its members in the roster, assignments
+ * and rules. The old unit counted as one person, so when the task list came
+ * from storage the task it is on gets one extra capacity slot per additional
+ * member to keep the headcount fitting.
+ * @param {Object} data - Data being migrated (changed in place)
+ * @param {boolean} adjustCapacity - Whether to add the extra capacity slots
+ */
+function migrateCombinedNames(data, adjustCapacity) {
+    const combinedNames = data.roster.filter(name => name.includes(GROUP_SEPARATOR));
+    data.groups = [];
+    
+    if (combinedNames.length === 0) return;
+    
+    const splitName = (name) => name.split(GROUP_SEPARATOR).map(member => member.trim()).filter(Boolean);
+    const expand = (names) => names.flatMap(name => combinedNames.includes(name) ? splitName(name) : [name]);
+    
+    data.tasks = !adjustCapacity ? data.tasks : data.tasks.map((task, i) => {
+        const extraSlots = data.assignments[i]
+            .filter(name => combinedNames.includes(name))
+            .reduce((sum, name) => sum + splitName(name).length - 1, 0);
+        return extraSlots > 0 ? { ...task, capacity: task.capacity + extraSlots } : task;
+    });
+    data.assignments = data.assignments.map(expand);
+    data.roster = expand(data.roster);
+    data.rules = data.rules.flatMap(rule =>
+        combinedNames.includes(rule.person)
+            ? splitName(rule.person).map((member, i) => ({ ...rule, id: `${rule.id}-${i}`, person: member }))
+            : [rule]
+    );
+    data.groups = combinedNames.map(name => ({
+        id: 'group-' + splitName(name).join('-').toLowerCase().replace(/[^a-z0-9]+/g, '-'),
+        members: splitName(name)
+    }));
+    
+    console.log('Migrated combined names to linked groups:', combinedNames);
+}
+
+/**
+ * Builds a roster from the people currently assigned to tasks
+ * @param {Array<Array<string>>} assignments - Assignments to read names from
+ * @returns {Array<string>} Unique names, in assignment order
+ */
+function deriveRosterFromAssignments(assignments) {
+    const roster = [];
+    for (const group of assignments) {
+        for (const person of group) {
+            if (person !== "Volunteer" && !roster.includes(person)) {
+                roster.push(person);
+            }
+        }
+    }
+    return roster;
+}
+
+/**
+ * Gets the data this device may keep in localStorage
+ * With the relay, the accounts and logs an admin is shown stay only while a tab is logged in -
+ * without a session they are left out as in the relay's own view (see viewOf() in relay.js), so
+ * a device left logged out holds no password hashes. Firebase and this-device-only keep them,
+ * as there they have no other copy.
+ * @param {Object} data - Synced state or server record
+ * @param {boolean} hasSession - Whether this tab is logged in (defaults to the current login)
+ * @returns {Object} Data to store
+ */
+function getStorableState(data, hasSession = isLoggedIn) {
+    if (hasSession || SYNC_CONFIG.provider !== 'relay') return data;
+    
+    const { accounts, loginFailures, auditLog, ...shared } = data;
+    return { ...shared, accountsHidden: Boolean(data.accountsHidden) || (accounts || []).length > 0 };
+}
+
 /**
  * Saves the current assignments to browser's localStorage and syncs to cloud
  * localStorage is a browser feature that persists data even after closing the browser
+ * @param {string} action - What caused the change ('rotation', 'scheduled_rotation', 'reset',
+ *                          'clear_storage', 'manual_edit'); adds a history entry. Omit for
+ *                          settings-only changes.
+ * @param {Object} details - Extra fields for the history entry (e.g. archived completions)
  */
-function saveAssignments() {
+function saveAssignments(action = null, details = {}) {
     try {
-        // Create data object with assignments and timestamp
+        // Remember the previous state so the change can be undone
+        // (saves that only touch accounts or the logs have nothing to undo)
+        const snapshot = getUndoSnapshot();
+        const isUndo = action === 'undo' || action === 'redo';
+        if (!isUndo && JSON.stringify(snapshot) !== JSON.stringify(lastSavedState)) {
+            pushUndoStep(lastSavedState);
+        }
+        // Undoing a tick or an availability change moves nobody, so it stays out of the history
+        const movedPeople = !isUndo || !lastSavedState ||
+            JSON.stringify([snapshot.tasks, snapshot.assignments]) !== JSON.stringify([lastSavedState.tasks, lastSavedState.assignments]);
+        lastSavedState = snapshot;
+        
+        // Record a snapshot in the history before saving
+        if (action && movedPeople) {
+            recordHistoryEntry(action, details);
+        }
+        
+        // Create data object with synced state and timestamp
+        const timestamp = new Date().toISOString();
         const dataToSave = {
-            assignments: currentAssignments,
-            timestamp: getCurrentTimestamp()
+            ...getSyncedState(),
+            timestamp: timestamp
         };
         
         // Save to localStorage (converts object to JSON string)
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(dataToSave));
-        localStorage.setItem(LAST_UPDATED_KEY, getCurrentTimestamp());
+        localStorage.setItem(roomStorageKey(STORAGE_KEY), JSON.stringify(getStorableState(dataToSave)));
+        localStorage.setItem(roomStorageKey(LAST_UPDATED_KEY), timestamp);
         
         // Mark that we have pending changes
         syncState.pendingChanges = true;
         
-        // Push to JSONBin for global sync (with small delay to prevent conflicts)
-        if (syncState.jsonbinConnected) {
-            setTimeout(() => {
-                pushToJsonBin();
-            }, 100); // Small delay to prevent rapid conflicts
-        } else if (syncState.firebaseConnected) {
-            // Fallback to Firebase if available
-            setTimeout(() => {
-                pushToFirebase();
-            }, 100);
+        // Push through the sync provider (with small delay to prevent conflicts).
+        // Offline - or with older changes still waiting - the change joins the outbox instead.
+        if (!syncState.isOnline || getOutbox().length > 0) {
+            queueOutboxEntry(action);
         } else {
-            // Save to backup if no sync available
-            saveToBackup();
+            clearTimeout(scheduledPushTimer);
+            scheduledPushTimer = setTimeout(() => {
+                scheduledPushTimer = null;
+                scheduledPush = pushSyncedState();
+            }, 100);
         }
         
         // Update the display
@@ -173,135 +539,193 @@ function saveAssignments() {
 
 /**
  * Loads assignments from browser's localStorage or uses defaults
- * This function is called when the app starts
+ * This function is called when the app starts and when another house is opened
  */
 function loadAssignments() {
     try {
-        // Try to get saved data from localStorage
-        const savedData = localStorage.getItem(STORAGE_KEY);
+        // Try to get this house's saved data from localStorage
+        const savedData = localStorage.getItem(roomStorageKey(STORAGE_KEY));
         
         if (savedData) {
-            // Parse the JSON string back to an object
-            const data = JSON.parse(savedData);
-            currentAssignments = data.assignments || [];
+            // Parse the JSON string back to an object - without a login kept in this tab,
+            // an admin's accounts and logs saved earlier are left out
+            const hasSession = sessionStorage.getItem(roomStorageKey(LOGIN_STORAGE_KEY)) !== null;
+            const data = getStorableState(JSON.parse(savedData), hasSession);
+            applySyncedState(data);
             
             console.log('Assignments loaded from storage');
-        } else {
+        } else if (getOrCreateRoomId() === DEFAULT_ROOM_ID) {
             // No saved data, use defaults
-            currentAssignments = JSON.parse(JSON.stringify(DEFAULT_ASSIGNMENTS));
+            resetStateToDefaults();
             console.log('Using default assignments');
+        } else {
+            // A house this device has not loaded yet - the sync fills it in
+            resetStateForNewHouse(getKnownRoomName(getOrCreateRoomId()));
+            console.log('Starting an empty house');
         }
         
+        // This is the state the first undo step returns to
+        lastSavedState = getUndoSnapshot();
+        lastAuditedState = getAuditSnapshot();
+        
         // Update the last updated time
         updateLastUpdatedTime();
         
     } catch (error) {
         console.error('Error loading assignments:', error);
         // Fallback to defaults if there's an error
-        currentAssignments = JSON.parse(JSON.stringify(DEFAULT_ASSIGNMENTS));
+        resetStateToDefaults();
+        lastSavedState = getUndoSnapshot();
+        lastAuditedState = getAuditSnapshot();
         showNotification('Error loading saved data, using defaults', 'error');
     }
 }
 
+/**
+ * Resets all synced state to its default values (without saving)
+ * The default people, rules and groups belong to the main house - other houses
+ * go back to the default tasks with nobody on them.
+ */
+function resetStateToDefaults() {
+    const isMainHouse = getOrCreateRoomId() === DEFAULT_ROOM_ID;
+    currentTasks = JSON.parse(JSON.stringify(DEFAULT_TASKS));
+    currentAssignments = isMainHouse ? JSON.parse(JSON.stringify(DEFAULT_ASSIGNMENTS)) : currentTasks.map(() => []);
+    currentRoster = isMainHouse ? [...DEFAULT_ROSTER] : [];
+    currentRules = isMainHouse ? JSON.parse(JSON.stringify(DEFAULT_RULES)) : [];
+    currentGroups = isMainHouse ? JSON.parse(JSON.stringify(DEFAULT_GROUPS)) : [];
+    rotationSettings = { ...DEFAULT_ROTATION_SETTINGS };
+    currentCompletions = {};
+}
+
+/**
+ * Resets all synced state for a house that starts from scratch (without saving)
+ * Unlike resetStateToDefaults() it also drops the accounts, logs and history.
+ * @param {string} name - Name of the house
+ */
+function resetStateForNewHouse(name) {
+    resetStateToDefaults();
+    houseName = name;
+    currentAvailability = {};
+    scheduleClaim = null;
+    currentAccounts = [];
+    accountsHidden = false;
+    loginFailures = [];
+    auditLog = [];
+    rotationHistory = [];
+}
+
 // ============================================================================
 // ROTATION LOGIC (CORE FUNCTIONALITY)
 // ============================================================================
 
+// The rotation engine itself is in rotation.js
+const {
+    isRuleActive,
+    formatDateKey,
+    getWeekKey,
+    isGroupLinked,
+    getTaskWeight,
+    computeRotation,
+    getPastRotationWeeks,
+    computeFairRotation,
+    getCompletionCandidates
+} = SevaRotation;
+
+/**
+ * Computes the next assignments from the current state
+ * @param {string} mode - Rotation mode ('classic' or 'fair')
+ * @returns {Object} { assignments, extraPeople, unplaced }
+ */
+function computeNextRotation(mode) {
+    return computeRotationWeeks(mode, 1)[0];
+}
+
+/**
+ * Computes several rotations ahead from the current state, without saving
+ * Each week starts from the result of the week before; fair mode sees the
+ * simulated weeks as history, and rules and splits that end are applied
+ * from the week they end.
+ * Away bhaktos keep their place in the rotation, but fair mode credits each
+ * week to who did the tasks - the covers, from the archived and the marked away weeks.
+ * @param {string} mode - Rotation mode ('classic' or 'fair')
+ * @param {number} count - Number of weeks to compute
+ * @returns {Array<Object>} One { assignments, extraPeople, unplaced } per week
+ */
+function computeRotationWeeks(mode, count) {
+    const results = [];
+    let assignments = currentAssignments;
+    let history = getPastRotationWeeks(rotationHistory).map(entry =>
+        ({ ...entry, assignments: getWorkedAssignments(entry.assignments, getCoversForEntry(entry)) })
+    );
+    let boardDate = new Date(); // A day in the week the board is for
+    
+    for (let week = 1; week <= count; week++) {
+        const date = new Date();
+        date.setDate(date.getDate() + 7 * (week - 1));
+        
+        // The week on the board becomes the newest rotation entry
+        const worked = getWorkedAssignments(assignments, getWeekCovers(assignments, boardDate));
+        history = history.concat({ action: 'rotation', tasks: currentTasks, assignments: worked });
+        const result = mode === 'fair'
+            ? computeFairRotation(currentTasks, assignments, currentRoster, currentRules, currentGroups, history, date, worked)
+            : computeRotation(currentTasks, assignments, currentRoster, currentRules, currentGroups, date);
+        
+        results.push(result);
+        assignments = result.assignments;
+        boardDate = date;
+    }
+    
+    return results;
+}
+
 /**
  * Rotates people between tasks - this is the main feature of the app
- * The logic matches the original Java application exactly:
- * 1. Collects all people except Bhagirathbhai and Volunteer
- * 2. Moves the last person to the front
- * 3. Redistributes people according to task capacities
+ * Uses computeNextRotation() with the current tasks, roster, rules and groups
+ * @param {string} mode - Rotation mode ('classic' or 'fair'); becomes the saved
+ *                        mode when it differs. Defaults to the saved mode.
  */
-function rotatePeople() {
+function rotatePeople(mode = rotationSettings.mode) {
+    if (!requirePermission('rotate')) return;
+    
     // Show loading indicator
     toggleLoading(true);
     
     try {
-        // Step 1: Collect people for rotation (excluding Bhagirath Bhai, Volunteer, and the combined pair)
-        let peopleToRotate = [];
-        
-        // Go through each task and collect people
-        for (let i = 0; i < currentAssignments.length; i++) {
-            const seva = SEVA_TASKS[i];
-            const bhakto = currentAssignments[i];
-            
-            if (seva !== "Grocery" && seva !== "Yard") {
-                // Add all people from non-special tasks (including the combined pair)
-                peopleToRotate = peopleToRotate.concat(bhakto);
-            } else if (seva === "Grocery") {
-                // Only add people from grocery who are not Bhagirath Bhai
-                for (let person of bhakto) {
-                    if (person !== "Bhagirath Bhai") {
-                        peopleToRotate.push(person);
-                    }
-                }
-            }
-            // Yard task (Volunteer) is not added to rotation pool
-        }
-        
-        // Step 2: Perform the rotation - move last person to front
-        if (peopleToRotate.length > 0) {
-            const lastPerson = peopleToRotate.pop(); // Remove last person
-            peopleToRotate.unshift(lastPerson); // Add to front
-        }
+        const result = computeNextRotation(mode);
         
         // Debug logging
-        console.log('People to rotate:', peopleToRotate);
-        console.log('Total people in rotation pool:', peopleToRotate.length);
-        
-        // Check if the combined pair is in the rotation pool
-        const hasCombinedPair = peopleToRotate.includes("Malav Bhai & Param Bhai");
-        console.log('Combined pair in rotation pool:', hasCombinedPair);
-        
-        // Step 3: Redistribute people according to task capacities
-        let personIndex = 0;
-        
-        for (let i = 0; i < currentAssignments.length; i++) {
-            const seva = SEVA_TASKS[i];
-            const capacity = TASK_CAPACITIES[i];
-            const newGroup = [];
-            
-            switch (seva) {
-                case "Yard":
-                    // Yard always gets "Volunteer"
-                    newGroup.push("Volunteer");
-                    break;
-                    
-                case "Grocery":
-                    // Grocery always gets "Bhagirath Bhai" first (permanent)
-                    newGroup.push("Bhagirath Bhai");
-                    
-                    // Add second person from rotation pool
-                    if (personIndex < peopleToRotate.length) {
-                        newGroup.push(peopleToRotate[personIndex++]);
-                    }
-                    break;
-                    
-                default:
-                    // All other tasks get people from rotation pool
-                    for (let j = 0; j < capacity; j++) {
-                        if (personIndex < peopleToRotate.length) {
-                            newGroup.push(peopleToRotate[personIndex++]);
-                        }
-                    }
-                    break;
-            }
-            
-            // Update the assignment
-            currentAssignments[i] = newGroup;
+        console.log(`New assignments (${mode}):`, result.assignments);
+        if (result.extraPeople > 0) {
+            console.log(`Roster exceeds task capacity by ${result.extraPeople}, extra people spread over tasks`);
+        }
+        if (result.unplaced.length > 0) {
+            console.warn('Excluded from every rotating task, left unassigned:', result.unplaced);
         }
         
         // Step 4: Save the new assignments and update the display
-        saveAssignments();
+        const covers = getWeekCovers(currentAssignments);
+        currentAssignments = result.assignments;
+        const completions = takeCompletions();
+        rotationSettings = { ...rotationSettings, mode: mode };
+        if (rotationSettings.schedule.enabled) {
+            // Rotating by hand covers the schedule's current week as well
+            rotationSettings.schedule = { ...rotationSettings.schedule, lastRunBoundary: getLatestScheduleBoundary(rotationSettings.schedule) };
+        }
+        recordAuditEntry('rotation');
+        saveAssignments('rotation', { completions: completions, covers: covers });
         renderTable();
         
         // Notify other users of the change
         notifyOtherUsers('rotation');
         
         // Show success message
-        showNotification('Assignments rotated successfully! 🔄');
+        if (result.unplaced.length > 0) {
+            showNotification(`Rotated, but ${result.unplaced.join(', ')} could not be placed - check the rules`, 'error');
+        } else if (result.extraPeople > 0) {
+            showNotification(`Assignments rotated! ${result.extraPeople} extra bhakto(s) added beyond task capacity 🔄`, 'info', getUndoNotificationAction());
+        } else {
+            showNotification('Assignments rotated successfully! 🔄', 'success', getUndoNotificationAction());
+        }
         
         console.log('Rotation completed successfully');
         
@@ -318,20 +742,56 @@ function rotatePeople() {
 // UI RENDERING FUNCTIONS
 // ============================================================================
 
+/**
+ * Splits the people on a task into the units shown together
+ * Members of a linked group who are on the same task form one unit,
+ * unless the group is split this week
+ * @param {Array<string>} people - Names assigned to the task
+ * @returns {Array<Array<string>>} Units in assignment order
+ */
+function groupPeopleForDisplay(people) {
+    const units = [];
+    const shown = new Set();
+    
+    for (const person of people) {
+        if (shown.has(person)) continue;
+        
+        const group = currentGroups.find(g => isGroupLinked(g) && g.members.includes(person));
+        const together = group ? group.members.filter(member => people.includes(member)) : [person];
+        together.forEach(member => shown.add(member));
+        units.push(together);
+    }
+    
+    return units;
+}
+
+/**
+ * Formats the people on a task for display
+ * Linked group members on the same task are shown as one "A & B" unit
+ * @param {Array<string>} people - Names assigned to the task
+ * @returns {string} Names joined with commas
+ */
+function formatPeople(people) {
+    return groupPeopleForDisplay(people).map(unit => unit.join(GROUP_SEPARATOR)).join(', ');
+}
+
 /**
  * Renders the seva table with current assignments
  * This function updates the HTML table to show current data
+ * Coordinators and admins get draggable name chips (see renderEditableCell())
+ * Bhaktos who are away this week are shown with who covers for them
  */
 function renderTable() {
     const tableBody = document.getElementById('sevaTableBody');
+    const coverage = computeCoverage(currentAssignments);
     
     // Clear existing rows
     tableBody.innerHTML = '';
     
     // Create a row for each seva task
-    for (let i = 0; i < SEVA_TASKS.length; i++) {
-        const seva = SEVA_TASKS[i];
-        const bhakto = currentAssignments[i] || [];
+    for (let i = 0; i < currentTasks.length; i++) {
+        const seva = currentTasks[i].name;
+        const bhakto = coverage[i] || [];
         
         // Create table row
         const row = document.createElement('tr');
@@ -343,16 +803,29 @@ function renderTable() {
         
         // Create bhakto cell
         const bhaktoCell = document.createElement('td');
-        bhaktoCell.textContent = bhakto.join(', '); // Join names with commas
         bhaktoCell.className = 'bhakto-cell';
+        if (hasPermission('editAssignments') && !isTaskFixed(currentTasks[i])) {
+            renderEditableCell(bhaktoCell, i, bhakto);
+        } else {
+            bhaktoCell.textContent = formatCoveredPeople(bhakto); // Join names with commas, pairs with &
+        }
+        
+        // Create done cell - ticking it off depends on the role (see canTickTask())
+        const doneCell = document.createElement('td');
+        doneCell.className = 'done-cell';
+        renderCompletionCell(doneCell, i, bhakto);
         
         // Add cells to row
         row.appendChild(sevaCell);
         row.appendChild(bhaktoCell);
+        row.appendChild(doneCell);
         
         // Add row to table
         tableBody.appendChild(row);
     }
+    
+    updateProgressDisplay();
+    updateHouseDisplay();
 }
 
 /**
@@ -360,22 +833,25 @@ function renderTable() {
  * This is useful if you want to start over
  */
 function resetToDefault() {
+    if (!requirePermission('reset')) return;
+    
     // Show confirmation dialog
-    if (confirm('Are you sure you want to reset to default assignments? This cannot be undone.')) {
+    if (confirm('Are you sure you want to reset to default assignments? You can undo this from this device.')) {
         toggleLoading(true);
         
         try {
             // Reset to defaults
-            currentAssignments = JSON.parse(JSON.stringify(DEFAULT_ASSIGNMENTS));
+            resetStateToDefaults();
             
             // Save and update display
-            saveAssignments();
+            recordAuditEntry('reset');
+            saveAssignments('reset');
             renderTable();
             
             // Notify other users of the change
             notifyOtherUsers('reset');
             
-            showNotification('Reset to default assignments! 🔄');
+            showNotification('Reset to default assignments! 🔄', 'success', getUndoNotificationAction());
             
         } catch (error) {
             console.error('Error resetting assignments:', error);
@@ -391,26 +867,29 @@ function resetToDefault() {
  * This is useful when you want to completely start fresh
  */
 function clearStorageAndReset() {
+    if (!requirePermission('clearStorage')) return;
+    
     // Show confirmation dialog
-    if (confirm('Are you sure you want to clear all stored data and reset to defaults? This will remove all saved assignments and cannot be undone.')) {
+    if (confirm('Are you sure you want to clear all stored data and reset to defaults? This will remove all saved assignments. You can undo this from this device.')) {
         toggleLoading(true);
         
         try {
             // Clear all localStorage data
-            localStorage.removeItem(STORAGE_KEY);
-            localStorage.removeItem(LAST_UPDATED_KEY);
+            localStorage.removeItem(roomStorageKey(STORAGE_KEY));
+            localStorage.removeItem(roomStorageKey(LAST_UPDATED_KEY));
             
             // Reset to defaults
-            currentAssignments = JSON.parse(JSON.stringify(DEFAULT_ASSIGNMENTS));
+            resetStateToDefaults();
             
             // Save and update display
-            saveAssignments();
+            recordAuditEntry('clear_storage');
+            saveAssignments('clear_storage');
             renderTable();
             
             // Notify other users of the change
             notifyOtherUsers('clear_storage');
             
-            showNotification('Storage cleared and reset to defaults! 🗑️');
+            showNotification('Storage cleared and reset to defaults! 🗑️', 'success', getUndoNotificationAction());
             
         } catch (error) {
             console.error('Error clearing storage:', error);
@@ -422,1552 +901,5935 @@ function clearStorageAndReset() {
 }
 
 // ============================================================================
-// QUALITY OF LIFE IMPROVEMENTS
+// ROSTER MANAGEMENT
 // ============================================================================
 
 /**
- * Takes a screenshot of the current assignments table
- * This makes it easy to share the current state with your group
+ * Show roster manager modal
  */
-function takeScreenshot() {
-    try {
-        // Hide buttons and unnecessary elements for clean screenshot
-        const controls = document.querySelector('.controls');
-        const footer = document.querySelector('.footer');
-        const notification = document.getElementById('notification');
+function showRosterModal() {
+    if (!requirePermission('manageRoster')) return;
+    
+    const modal = document.getElementById('rosterModal');
+    renderRosterList();
+    modal.style.display = 'flex';
+    
+    // Focus on new name input
+    setTimeout(() => {
+        document.getElementById('newRosterName').focus();
+    }, 100);
+}
+
+/**
+ * Hide roster manager modal
+ */
+function hideRosterModal() {
+    const modal = document.getElementById('rosterModal');
+    modal.style.display = 'none';
+    document.getElementById('newRosterName').value = '';
+}
+
+/**
+ * Finds the task a person is currently assigned to
+ * @param {string} person - Name to look for
+ * @returns {string|null} Task name or null if not assigned
+ */
+function findTaskForPerson(person) {
+    const index = currentAssignments.findIndex(group => group.includes(person));
+    return index === -1 ? null : currentTasks[index].name;
+}
+
+/**
+ * Renders the list of bhaktos in the roster manager
+ */
+function renderRosterList() {
+    const rosterList = document.getElementById('rosterList');
+    const rosterCount = document.getElementById('rosterCount');
+    
+    rosterList.innerHTML = '';
+    rosterCount.textContent = currentRoster.length;
+    
+    for (const person of currentRoster) {
+        const item = document.createElement('li');
+        item.className = 'roster-item';
         
-        // Store original display states
-        const originalControlsDisplay = controls.style.display;
-        const originalFooterDisplay = footer.style.display;
-        const originalNotificationDisplay = notification.style.display;
+        const name = document.createElement('span');
+        name.className = 'roster-name';
+        name.textContent = person;
         
-        // Hide elements for clean screenshot
-        controls.style.display = 'none';
-        footer.style.display = 'none';
-        notification.style.display = 'none';
+        const task = document.createElement('span');
+        task.className = 'roster-task';
+        task.textContent = findTaskForPerson(person) || 'Joins at next rotation';
         
-        // Add screenshot class to body for special styling
-        document.body.classList.add('screenshot-mode');
+        item.appendChild(name);
+        item.appendChild(task);
+        item.appendChild(createIconButton('✏️', 'Rename', () => renameRosterMember(person)));
+        item.appendChild(createIconButton('🗑️', 'Remove from roster', () => removeRosterMember(person)));
+        rosterList.appendChild(item);
+    }
+    
+    renderGroupList();
+}
+
+/**
+ * Renders the linked groups section of the roster manager
+ */
+function renderGroupList() {
+    const groupList = document.getElementById('groupList');
+    const memberA = document.getElementById('groupMemberA');
+    const memberB = document.getElementById('groupMemberB');
+    
+    groupList.innerHTML = '';
+    for (const group of currentGroups) {
+        const item = document.createElement('li');
+        item.className = 'roster-item';
         
-        // Use simple canvas method that doesn't require permissions
-        captureWithCanvas();
+        const name = document.createElement('span');
+        name.className = 'roster-name';
+        name.textContent = '🔗 ' + group.members.join(GROUP_SEPARATOR);
         
-        // Restore original display states after a delay
-        setTimeout(() => {
-            controls.style.display = originalControlsDisplay;
-            footer.style.display = originalFooterDisplay;
-            notification.style.display = originalNotificationDisplay;
-            document.body.classList.remove('screenshot-mode');
-        }, 1000);
+        const status = document.createElement('span');
+        status.className = 'roster-task';
+        status.textContent = isGroupLinked(group) ? 'Rotating together' : `Split until ${group.splitUntil}`;
         
-    } catch (error) {
-        console.error('Screenshot error:', error);
-        showNotification('Screenshot failed! Please try again.', 'error');
+        item.appendChild(name);
+        item.appendChild(status);
+        item.appendChild(isGroupLinked(group)
+            ? createIconButton('✂️', 'Split for a week', () => splitGroupForWeek(group.id))
+            : createIconButton('🔗', 'Link again now', () => rejoinGroup(group.id)));
+        item.appendChild(createIconButton('🗑️', 'Unlink permanently', () => unlinkGroup(group.id)));
+        groupList.appendChild(item);
+    }
+    
+    // Refill the member pickers with the current roster
+    for (const select of [memberA, memberB]) {
+        const selected = select.value;
+        select.innerHTML = '';
+        for (const person of currentRoster) {
+            select.appendChild(new Option(person, person));
+        }
+        if (currentRoster.includes(selected)) {
+            select.value = selected;
+        }
     }
 }
 
 /**
- * Capture screenshot using the actual webpage content - exact same styling!
+ * Finds the linked group a person belongs to
+ * @param {string} person - Name to look for
+ * @returns {Object|undefined} The group, if any
  */
-function captureWithCanvas() {
-    // Create a temporary container with all the content
-    const tempContainer = document.createElement('div');
-    tempContainer.style.position = 'absolute';
-    tempContainer.style.top = '-9999px';
-    tempContainer.style.left = '-9999px';
-    tempContainer.style.width = '1000px';
-    tempContainer.style.backgroundColor = getComputedStyle(document.body).backgroundColor;
-    tempContainer.style.fontFamily = getComputedStyle(document.body).fontFamily;
-    tempContainer.style.color = getComputedStyle(document.body).color;
+function findGroupForPerson(person) {
+    return currentGroups.find(group => group.members.includes(person));
+}
+
+/**
+ * Links two bhaktos so they always rotate together
+ * If the first one is already in a group, the second one joins that group
+ */
+function linkRosterMembers() {
+    if (!requirePermission('manageRoster')) return;
     
-    // Clone the actual webpage elements to preserve all styling
-    const header = document.querySelector('.header').cloneNode(true);
-    const tableContainer = document.querySelector('.table-container').cloneNode(true);
-    const gujaratiText = document.querySelector('.gujarati-text').cloneNode(true);
+    const personA = document.getElementById('groupMemberA').value;
+    const personB = document.getElementById('groupMemberB').value;
     
-    // Apply screenshot mode styles to the cloned elements
-    header.classList.add('screenshot-mode');
-    tableContainer.classList.add('screenshot-mode');
-    gujaratiText.classList.add('screenshot-mode');
-    
-    tempContainer.appendChild(header);
-    tempContainer.appendChild(tableContainer);
-    tempContainer.appendChild(gujaratiText);
-    
-    // Add to DOM temporarily so styles are applied
-    document.body.appendChild(tempContainer);
+    if (!personA || !personB || personA === personB) {
+        showNotification('Please choose two different bhaktos', 'error');
+        return;
+    }
+    if (findGroupForPerson(personB)) {
+        showNotification(`${personB} is already in a linked group`, 'error');
+        return;
+    }
     
-    // Try to use html2canvas if available for perfect rendering
-    if (typeof html2canvas !== 'undefined') {
-        html2canvas(tempContainer, {
-            backgroundColor: getComputedStyle(document.body).backgroundColor,
-            scale: 2, // Higher quality
-            useCORS: true,
-            allowTaint: true,
-            logging: false
-        }).then(canvas => {
-            const link = document.createElement('a');
-            link.download = `seva-assignments-${new Date().toISOString().split('T')[0]}.png`;
-            link.href = canvas.toDataURL('image/png', 1.0);
-            link.click();
-            
-            showNotification('Screenshot saved! 📸');
-            document.body.removeChild(tempContainer);
-        }).catch(error => {
-            console.log('html2canvas failed, using fallback method');
-            fallbackCanvasMethod(tempContainer);
-        });
+    const existing = findGroupForPerson(personA);
+    if (existing) {
+        existing.members.push(personB);
     } else {
-        // Fallback method using browser's built-in canvas
-        fallbackCanvasMethod(tempContainer);
+        currentGroups.push({
+            id: 'group-' + Date.now() + '-' + Math.random().toString(36).substr(2, 5),
+            members: [personA, personB]
+        });
     }
+    commitRosterChange();
+    
+    showNotification(`${personA} and ${personB} now rotate together from the next rotation 🔗`, 'success', getUndoNotificationAction());
+    console.log('Linked group updated:', findGroupForPerson(personA));
 }
 
 /**
- * Fallback method that renders the actual DOM content to canvas
+ * Lets a group's members rotate on their own for the next 7 days
+ * @param {string} groupId - Id of the group to split
  */
-function fallbackCanvasMethod(tempContainer) {
-    // Create canvas with proper dimensions
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
+function splitGroupForWeek(groupId) {
+    if (!requirePermission('manageRoster')) return;
     
-    // Set canvas size with breathing space
-    canvas.width = 1000;  // Width adjusted as requested
-    canvas.height = 800;  // Taller for better proportions
+    const group = currentGroups.find(g => g.id === groupId);
+    if (!group) return;
     
-    // Get computed styles from the actual webpage
-    const bodyStyles = getComputedStyle(document.body);
-    const titleStyles = getComputedStyle(document.querySelector('.main-title'));
-    const subtitleStyles = getComputedStyle(document.querySelector('.sub-title'));
-    const tableStyles = getComputedStyle(document.querySelector('.seva-table'));
+    const until = new Date();
+    until.setDate(until.getDate() + 6);
+    group.splitUntil = formatDateKey(until);
+    commitRosterChange();
     
-    // Fill background
-    ctx.fillStyle = bodyStyles.backgroundColor;
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    showNotification(`${group.members.join(GROUP_SEPARATOR)} split until ${group.splitUntil} ✂️`, 'info', getUndoNotificationAction());
+    console.log('Linked group split:', group);
+}
+
+/**
+ * Ends a split early so the group rotates together again
+ * @param {string} groupId - Id of the group to link again
+ */
+function rejoinGroup(groupId) {
+    if (!requirePermission('manageRoster')) return;
     
-    // Render title with exact same styling
-    ctx.fillStyle = titleStyles.color;
-    ctx.font = `${titleStyles.fontWeight} ${titleStyles.fontSize} ${titleStyles.fontFamily}`;
-    ctx.textAlign = 'center';
-    ctx.fillText('IT\'S HOUSE CLEANING SEVA TIME!', canvas.width / 2, 60);
+    const group = currentGroups.find(g => g.id === groupId);
+    if (!group) return;
     
-    // Render subtitle with exact same styling
-    ctx.fillStyle = subtitleStyles.color;
-    ctx.font = `${subtitleStyles.fontWeight} ${subtitleStyles.fontSize} ${subtitleStyles.fontFamily}`;
-    ctx.fillText('LETS TRY TO COMPLETE IT BEFORE SUNDAY 🙏', canvas.width / 2, 90);
+    delete group.splitUntil;
+    commitRosterChange();
     
-    // Draw table with exact same styling and breathing space
-    const tableY = 150;  // More space from title
-    const tableHeight = 400;  // Taller table
-    const tableWidth = 900;   // Fixed width for better proportions
-    const tableX = (canvas.width - tableWidth) / 2;  // Center the table
+    showNotification(`${group.members.join(GROUP_SEPARATOR)} linked again 🔗`, 'success', getUndoNotificationAction());
+    console.log('Linked group rejoined:', group);
+}
+
+/**
+ * Removes a linked group - its members rotate on their own from now on
+ * @param {string} groupId - Id of the group to remove
+ */
+function unlinkGroup(groupId) {
+    if (!requirePermission('manageRoster')) return;
     
-    // Table background and border
-    ctx.fillStyle = tableStyles.backgroundColor;
-    ctx.fillRect(tableX, tableY, tableWidth, tableHeight);
+    const group = currentGroups.find(g => g.id === groupId);
+    if (!group || !confirm(`Unlink ${group.members.join(GROUP_SEPARATOR)}? They will rotate separately from now on.`)) {
+        return;
+    }
     
-    // Table border
-    ctx.strokeStyle = '#ff7e16';
-    ctx.lineWidth = 2;
-    ctx.strokeRect(tableX, tableY, tableWidth, tableHeight);
+    currentGroups = currentGroups.filter(g => g.id !== groupId);
+    commitRosterChange();
     
-    // Table header
-    ctx.fillStyle = '#ff7e16';
-    ctx.fillRect(tableX, tableY, tableWidth, 40);
+    showNotification('Group unlinked 🗑️', 'info', getUndoNotificationAction());
+    console.log('Linked group removed:', group);
+}
+
+/**
+ * Checks a name typed into the roster manager
+ * @param {string} name - Trimmed name to check
+ * @param {string} ignoreName - Existing name to skip in the duplicate check (for renames)
+ * @returns {string|null} Error message, or null if the name is valid
+ */
+function validateRosterName(name, ignoreName = null) {
+    if (!name) {
+        return 'Please enter a name';
+    }
+    const isFixedLabel = currentRules.some(rule =>
+        rule.type === 'fixed_task' && rule.label.toLowerCase() === name.toLowerCase()
+    );
+    if (isFixedLabel) {
+        return `"${name}" is used as a fixed task label`;
+    }
+    const duplicate = currentRoster.some(person =>
+        person !== ignoreName && person.toLowerCase() === name.toLowerCase()
+    );
+    if (duplicate) {
+        return `${name} is already in the roster`;
+    }
+    return null;
+}
+
+/**
+ * Saves a roster change, refreshes the views and tells other users
+ */
+function commitRosterChange() {
+    recordAuditEntry('roster_update');
+    saveAssignments('manual_edit');
+    renderTable();
+    renderRosterList();
+    notifyOtherUsers('roster_update');
+}
+
+/**
+ * Adds a new bhakto to the roster - they join the pool at the next rotation
+ */
+function addRosterMember() {
+    if (!requirePermission('manageRoster')) return;
     
-    // Header text with exact styling
-    ctx.fillStyle = '#242424';
-    ctx.font = 'bold 16px Inter, Arial, sans-serif';
-    ctx.textAlign = 'left';
-    ctx.fillText('Seva', tableX + 20, tableY + 25);
-    ctx.fillText('Bhakto', tableX + tableWidth/2 + 20, tableY + 25);
+    const input = document.getElementById('newRosterName');
+    const name = input.value.trim();
     
-    // Table rows with exact styling
-    ctx.fillStyle = '#ffffff';
-    ctx.font = '600 14px Inter, Arial, sans-serif';
+    const error = validateRosterName(name);
+    if (error) {
+        showNotification(error, 'error');
+        return;
+    }
     
-    let rowY = tableY + 60;
-    const rowHeight = 30;
+    currentRoster.push(name);
+    input.value = '';
+    commitRosterChange();
     
-    for (let i = 0; i < SEVA_TASKS.length; i++) {
-        const seva = SEVA_TASKS[i];
-        const bhakto = currentAssignments[i] || [];
-        
-        // Row separator
-        ctx.strokeStyle = '#dddddd';
-        ctx.lineWidth = 1;
-        ctx.beginPath();
-        ctx.moveTo(tableX, rowY);
-        ctx.lineTo(tableX + tableWidth, rowY);
-        ctx.stroke();
-        
-        // Text with proper spacing
-        ctx.fillText(seva, tableX + 20, rowY - 8);
-        ctx.fillText(bhakto.join(', '), tableX + tableWidth/2 + 20, rowY - 8);
-        
-        rowY += rowHeight;
+    showNotification(`${name} added! They will join at the next rotation 👋`, 'success', getUndoNotificationAction());
+    console.log('Roster member added:', name);
+}
+
+/**
+ * Renames a bhakto everywhere (roster and current assignments)
+ * @param {string} oldName - Current name
+ */
+function renameRosterMember(oldName) {
+    if (!requirePermission('manageRoster')) return;
+    
+    const input = prompt(`Rename ${oldName} to:`, oldName);
+    if (input === null) return;
+    
+    const newName = input.trim();
+    if (newName === oldName) return;
+    
+    const error = validateRosterName(newName, oldName);
+    if (error) {
+        showNotification(error, 'error');
+        return;
     }
     
-    // Gujarati text with exact styling and breathing space
-    const gujaratiStyles = getComputedStyle(document.querySelector('.gujarati-text'));
-    ctx.fillStyle = gujaratiStyles.color;
-    ctx.font = `${gujaratiStyles.fontWeight} ${gujaratiStyles.fontSize} ${gujaratiStyles.fontFamily}`;
-    ctx.textAlign = 'center';
-    ctx.fillText('સેવા માં બની ગરજુ ન કરીએ ફરિયાદ મફત જે મળી મોજ તેને લૂટી લઈએ આજ', canvas.width / 2, 600);
+    currentRoster = currentRoster.map(person => person === oldName ? newName : person);
+    currentAssignments = currentAssignments.map(group =>
+        group.map(person => person === oldName ? newName : person)
+    );
+    currentRules = currentRules.map(rule =>
+        rule.person === oldName ? { ...rule, person: newName } : rule
+    );
+    currentGroups = currentGroups.map(group => ({
+        ...group,
+        members: group.members.map(member => member === oldName ? newName : member)
+    }));
+    if (currentAvailability[oldName]) {
+        const { [oldName]: weeks, ...others } = currentAvailability;
+        currentAvailability = { ...others, [newName]: weeks };
+    }
+    currentAccounts = currentAccounts.map(account =>
+        account.person === oldName ? { ...account, person: newName } : account
+    );
+    commitRosterChange();
     
-    // Download the image
-    const link = document.createElement('a');
-    link.download = `seva-assignments-${new Date().toISOString().split('T')[0]}.png`;
-    link.href = canvas.toDataURL('image/png', 1.0);
-    link.click();
+    showNotification(`Renamed ${oldName} to ${newName} ✏️`, 'success', getUndoNotificationAction());
+    console.log('Roster member renamed:', oldName, '→', newName);
+}
+
+/**
+ * Removes a bhakto from the roster and from their current task
+ * Their slot stays empty until the next rotation refills it
+ * @param {string} name - Name to remove
+ */
+function removeRosterMember(name) {
+    if (!requirePermission('manageRoster')) return;
     
-    showNotification('Screenshot saved! 📸');
-    document.body.removeChild(tempContainer);
+    if (!confirm(`Remove ${name} from the roster? They will no longer be assigned any seva and their rotation rules will be deleted.`)) {
+        return;
+    }
+    
+    currentRoster = currentRoster.filter(person => person !== name);
+    currentAssignments = currentAssignments.map(group => group.filter(person => person !== name));
+    currentRules = currentRules.filter(rule => rule.person !== name);
+    currentGroups = currentGroups
+        .map(group => ({ ...group, members: group.members.filter(member => member !== name) }))
+        .filter(group => group.members.length > 1);
+    const { [name]: removedWeeks, ...otherAvailability } = currentAvailability;
+    currentAvailability = otherAvailability;
+    commitRosterChange();
+    
+    showNotification(`${name} removed from the roster 👋`, 'info', getUndoNotificationAction());
+    console.log('Roster member removed:', name);
+}
+
+// ============================================================================
+// TASK MANAGEMENT
+// ============================================================================
+
+// Largest capacity that can be set for a single task
+const MAX_TASK_CAPACITY = 10;
+
+// Largest effort weight of a task (1 is the lightest)
+const MAX_TASK_WEIGHT = 5;
+
+/**
+ * Show task editor modal
+ */
+function showTaskModal() {
+    if (!requirePermission('editTasks')) return;
+    
+    const modal = document.getElementById('taskModal');
+    renderTaskList();
+    modal.style.display = 'flex';
 }
 
+/**
+ * Hide task editor modal
+ */
+function hideTaskModal() {
+    const modal = document.getElementById('taskModal');
+    modal.style.display = 'none';
+    document.getElementById('newTaskName').value = '';
+    document.getElementById('newTaskCapacity').value = '1';
+    document.getElementById('newTaskWeight').value = '1';
+}
 
 /**
- * Shares the current assignments via Web Share API or clipboard
- * This makes it easy to send assignments to your group chat
+ * Renders the list of tasks in the task editor
  */
-async function shareAssignments() {
-    try {
-        // Create a formatted text version of the assignments
-        let shareText = "🏠 HOUSE CLEANING SEVA ASSIGNMENTS 🏠\n\n";
-        shareText += "📅 " + getCurrentTimestamp() + "\n\n";
+function renderTaskList() {
+    const taskList = document.getElementById('taskList');
+    const totalCapacity = document.getElementById('totalCapacity');
+    
+    taskList.innerHTML = '';
+    totalCapacity.textContent = currentTasks.reduce((sum, task) => sum + task.capacity, 0);
+    
+    currentTasks.forEach((task, index) => {
+        const item = document.createElement('li');
+        item.className = 'task-item';
         
-        for (let i = 0; i < SEVA_TASKS.length; i++) {
-            const seva = SEVA_TASKS[i];
-            const bhakto = currentAssignments[i] || [];
-            shareText += `📍 ${seva}: ${bhakto.join(', ')}\n`;
-        }
+        const name = document.createElement('span');
+        name.className = 'task-name';
+        name.textContent = task.name;
         
-        shareText += "\n🙏 Let's complete it before Sunday!";
+        const capacity = document.createElement('input');
+        capacity.type = 'number';
+        capacity.className = 'task-capacity';
+        capacity.min = '1';
+        capacity.max = String(MAX_TASK_CAPACITY);
+        capacity.value = String(task.capacity);
+        capacity.title = 'Capacity';
+        capacity.addEventListener('change', () => setTaskCapacity(index, capacity.value));
         
-        // Try to use Web Share API if available (mobile browsers)
-        if (navigator.share) {
-            await navigator.share({
-                title: 'Seva Assignments',
-                text: shareText
-            });
-            showNotification('Shared successfully! 📤');
-        } else {
-            // Fallback: copy to clipboard
-            await navigator.clipboard.writeText(shareText);
-            showNotification('Assignments copied to clipboard! 📋');
-        }
+        const weight = document.createElement('input');
+        weight.type = 'number';
+        weight.className = 'task-capacity task-weight';
+        weight.min = '1';
+        weight.max = String(MAX_TASK_WEIGHT);
+        weight.value = String(getTaskWeight(task));
+        weight.title = 'Effort (1 light - 5 heavy)';
+        weight.addEventListener('change', () => setTaskWeight(index, weight.value));
         
-    } catch (error) {
-        console.error('Share error:', error);
-        showNotification('Share failed! Try copying manually.', 'error');
+        item.appendChild(name);
+        item.appendChild(capacity);
+        item.appendChild(weight);
+        item.appendChild(createIconButton('⬆️', 'Move up', () => moveTask(index, -1), index === 0));
+        item.appendChild(createIconButton('⬇️', 'Move down', () => moveTask(index, 1), index === currentTasks.length - 1));
+        item.appendChild(createIconButton('✏️', 'Rename', () => renameTask(index)));
+        item.appendChild(createIconButton('🗑️', 'Delete task', () => deleteTask(index)));
+        taskList.appendChild(item);
+    });
+}
+
+/**
+ * Creates a small icon button for the manager lists
+ * @param {string} icon - Emoji shown on the button
+ * @param {string} title - Tooltip text
+ * @param {Function} onClick - Click handler
+ * @param {boolean} disabled - Whether the button is disabled
+ * @returns {HTMLButtonElement} The button
+ */
+function createIconButton(icon, title, onClick, disabled = false) {
+    const button = document.createElement('button');
+    button.className = 'icon-btn';
+    button.title = title;
+    button.textContent = icon;
+    button.disabled = disabled;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+/**
+ * Parses a capacity typed into the task editor
+ * @param {string} value - Raw input value
+ * @returns {number|null} Capacity, or null if it is out of range
+ */
+function parseTaskCapacity(value) {
+    const capacity = parseInt(value, 10);
+    if (isNaN(capacity) || capacity < 1 || capacity > MAX_TASK_CAPACITY) {
+        return null;
     }
+    return capacity;
 }
 
 /**
- * Show share modal with URL
+ * Parses an effort weight typed into the task editor
+ * @param {string} value - Raw input value
+ * @returns {number|null} Weight, or null if it is out of range
  */
-function showShareModal() {
-    const modal = document.getElementById('shareModal');
-    const shareUrl = document.getElementById('shareUrl');
-    
-    const roomId = getOrCreateRoomId();
-    const shareUrlValue = `${window.location.origin}${window.location.pathname}?room=${roomId}`;
-    
-    shareUrl.value = shareUrlValue;
-    modal.style.display = 'flex';
+function parseTaskWeight(value) {
+    const weight = parseInt(value, 10);
+    if (isNaN(weight) || weight < 1 || weight > MAX_TASK_WEIGHT) {
+        return null;
+    }
+    return weight;
 }
 
 /**
- * Hide share modal
+ * Checks a task name typed into the task editor
+ * @param {string} name - Trimmed name to check
+ * @param {number} ignoreIndex - Task index to skip in the duplicate check (for renames)
+ * @returns {string|null} Error message, or null if the name is valid
  */
-function hideShareModal() {
-    const modal = document.getElementById('shareModal');
-    modal.style.display = 'none';
+function validateTaskName(name, ignoreIndex = -1) {
+    if (!name) {
+        return 'Please enter a task name';
+    }
+    const duplicate = currentTasks.some((task, i) =>
+        i !== ignoreIndex && task.name.toLowerCase() === name.toLowerCase()
+    );
+    if (duplicate) {
+        return `A task called ${name} already exists`;
+    }
+    return null;
 }
 
 /**
- * Copy share URL to clipboard
+ * Generates a stable id for a new task from its name
+ * @param {string} name - Task name
+ * @returns {string} Id that is not used by any other task
  */
-async function copyShareUrl() {
-    const shareUrl = document.getElementById('shareUrl');
-    
-    try {
-        await navigator.clipboard.writeText(shareUrl.value);
-        showNotification('URL copied to clipboard! 📋', 'success');
-    } catch (error) {
-        console.error('Copy to clipboard failed:', error);
-        shareUrl.select();
-        shareUrl.setSelectionRange(0, 99999);
-        
-        try {
-            document.execCommand('copy');
-            showNotification('URL copied to clipboard! 📋', 'success');
-        } catch (fallbackError) {
-            console.error('Fallback copy failed:', fallbackError);
-            showNotification('Copy failed. Please copy manually.', 'error');
-        }
+function generateTaskId(name) {
+    const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'task';
+    let id = base;
+    let suffix = 2;
+    while (currentTasks.some(task => task.id === id)) {
+        id = `${base}-${suffix++}`;
     }
+    return id;
 }
 
-// ============================================================================
-// EVENT LISTENERS AND INITIALIZATION
-// ============================================================================
+/**
+ * Saves a task list change, refreshes the views and tells other users
+ */
+function commitTaskChange() {
+    recordAuditEntry('task_update');
+    saveAssignments('manual_edit');
+    renderTable();
+    renderTaskList();
+    notifyOtherUsers('task_update');
+}
 
 /**
- * Sets up all event listeners for buttons and interactions
- * This function is called when the page loads
+ * Adds a new task at the end of the list - it is filled at the next rotation
  */
-function setupEventListeners() {
-    // Rotate button - main functionality
-    const rotateBtn = document.getElementById('rotateBtn');
-    rotateBtn.addEventListener('click', rotatePeople);
+function addTask() {
+    if (!requirePermission('editTasks')) return;
     
-    // Screenshot button - quality of life improvement
-    const screenshotBtn = document.getElementById('screenshotBtn');
-    screenshotBtn.addEventListener('click', takeScreenshot);
+    const nameInput = document.getElementById('newTaskName');
+    const capacityInput = document.getElementById('newTaskCapacity');
+    const weightInput = document.getElementById('newTaskWeight');
+    const name = nameInput.value.trim();
     
-    // Share button - quality of life improvement
-    const shareBtn = document.getElementById('shareBtn');
-    shareBtn.addEventListener('click', shareAssignments);
+    const error = validateTaskName(name);
+    if (error) {
+        showNotification(error, 'error');
+        return;
+    }
     
-    // Share Link button - global sync sharing
-    const linkBtn = document.getElementById('linkBtn');
-    linkBtn.addEventListener('click', showShareModal);
+    const capacity = parseTaskCapacity(capacityInput.value);
+    if (capacity === null) {
+        showNotification(`Capacity must be between 1 and ${MAX_TASK_CAPACITY}`, 'error');
+        return;
+    }
     
-    // Reset button - utility function
-    const resetBtn = document.getElementById('resetBtn');
-    resetBtn.addEventListener('click', resetToDefault);
+    const weight = parseTaskWeight(weightInput.value);
+    if (weight === null) {
+        showNotification(`Effort must be between 1 and ${MAX_TASK_WEIGHT}`, 'error');
+        return;
+    }
     
-    // Clear storage button - utility function
-    const clearStorageBtn = document.getElementById('clearStorageBtn');
-    clearStorageBtn.addEventListener('click', clearStorageAndReset);
+    currentTasks.push({ id: generateTaskId(name), name: name, capacity: capacity, weight: weight });
+    currentAssignments.push([]);
+    nameInput.value = '';
+    capacityInput.value = '1';
+    weightInput.value = '1';
+    commitTaskChange();
     
-    // Notification close button
-    const closeNotificationBtn = document.getElementById('closeNotification');
-    closeNotificationBtn.addEventListener('click', () => {
-        document.getElementById('notification').style.display = 'none';
-    });
+    showNotification(`${name} added! It will be filled at the next rotation 🧹`, 'success', getUndoNotificationAction());
+    console.log('Task added:', name, capacity);
+}
+
+/**
+ * Renames a task - its id and assignments stay the same
+ * @param {number} index - Task index
+ */
+function renameTask(index) {
+    if (!requirePermission('editTasks')) return;
     
-    // Share Modal event listeners
-    const closeShareModalBtn = document.getElementById('closeShareModal');
-    closeShareModalBtn.addEventListener('click', hideShareModal);
+    const task = currentTasks[index];
+    const input = prompt(`Rename "${task.name}" to:`, task.name);
+    if (input === null) return;
     
-    const copyShareUrlBtn = document.getElementById('copyShareUrlBtn');
-    copyShareUrlBtn.addEventListener('click', copyShareUrl);
+    const newName = input.trim();
+    if (newName === task.name) return;
     
-    // Close Share modal when clicking outside
-    const shareModal = document.getElementById('shareModal');
-    shareModal.addEventListener('click', (e) => {
-        if (e.target === shareModal) {
-            hideShareModal();
-        }
-    });
+    const error = validateTaskName(newName, index);
+    if (error) {
+        showNotification(error, 'error');
+        return;
+    }
     
-    // Keyboard shortcuts for power users
-    document.addEventListener('keydown', (event) => {
-        // Ctrl+R or Cmd+R for rotation
-        if ((event.ctrlKey || event.metaKey) && event.key === 'r') {
-            event.preventDefault(); // Prevent browser refresh
-            rotatePeople();
+    const oldName = task.name;
+    task.name = newName;
+    commitTaskChange();
+    
+    showNotification(`Renamed ${oldName} to ${newName} ✏️`, 'success', getUndoNotificationAction());
+    console.log('Task renamed:', oldName, '→', newName);
+}
+
+/**
+ * Changes how many people a task takes - applied from the next rotation
+ * @param {number} index - Task index
+ * @param {string} value - New capacity from the input
+ */
+function setTaskCapacity(index, value) {
+    if (!requirePermission('editTasks')) return;
+    
+    const task = currentTasks[index];
+    const capacity = parseTaskCapacity(value);
+    
+    if (capacity === null) {
+        showNotification(`Capacity must be between 1 and ${MAX_TASK_CAPACITY}`, 'error');
+        renderTaskList();
+        return;
+    }
+    if (capacity === task.capacity) return;
+    
+    task.capacity = capacity;
+    commitTaskChange();
+    
+    showNotification(`${task.name} now takes ${capacity} bhakto(s) from the next rotation`, 'success', getUndoNotificationAction());
+    console.log('Task capacity changed:', task.name, capacity);
+}
+
+/**
+ * Changes how much effort a task counts for in fair rotation
+ * @param {number} index - Task index
+ * @param {string} value - New weight from the input
+ */
+function setTaskWeight(index, value) {
+    if (!requirePermission('editTasks')) return;
+    
+    const task = currentTasks[index];
+    const weight = parseTaskWeight(value);
+    
+    if (weight === null) {
+        showNotification(`Effort must be between 1 and ${MAX_TASK_WEIGHT}`, 'error');
+        renderTaskList();
+        return;
+    }
+    if (weight === getTaskWeight(task)) return;
+    
+    task.weight = weight;
+    commitTaskChange();
+    
+    showNotification(`${task.name} now counts as effort ${weight} ⚖️`, 'success', getUndoNotificationAction());
+    console.log('Task weight changed:', task.name, weight);
+}
+
+/**
+ * Moves a task up or down - its assignment row moves with it
+ * @param {number} index - Task index
+ * @param {number} direction - -1 to move up, 1 to move down
+ */
+function moveTask(index, direction) {
+    if (!requirePermission('editTasks')) return;
+    
+    const target = index + direction;
+    if (target < 0 || target >= currentTasks.length) return;
+    
+    [currentTasks[index], currentTasks[target]] = [currentTasks[target], currentTasks[index]];
+    [currentAssignments[index], currentAssignments[target]] = [currentAssignments[target], currentAssignments[index]];
+    commitTaskChange();
+}
+
+/**
+ * Deletes a task - the people on it go back into the pool at the next rotation
+ * @param {number} index - Task index
+ */
+function deleteTask(index) {
+    if (!requirePermission('editTasks')) return;
+    
+    const task = currentTasks[index];
+    if (!confirm(`Delete "${task.name}"? The bhaktos on it will be reassigned at the next rotation and its rotation rules will be deleted.`)) {
+        return;
+    }
+    
+    currentTasks.splice(index, 1);
+    currentAssignments.splice(index, 1);
+    currentRules = currentRules.filter(rule => rule.taskId !== task.id);
+    commitTaskChange();
+    
+    showNotification(`${task.name} deleted 🗑️`, 'info', getUndoNotificationAction());
+    console.log('Task deleted:', task.name);
+}
+
+// ============================================================================
+// ROTATION RULES
+// ============================================================================
+
+/**
+ * Show rotation rules modal
+ */
+function showRulesModal() {
+    if (!requirePermission('manageRules')) return;
+    
+    const modal = document.getElementById('rulesModal');
+    populateRuleFormOptions();
+    updateRuleFormFields();
+    renderRulesList();
+    modal.style.display = 'flex';
+}
+
+/**
+ * Hide rotation rules modal
+ */
+function hideRulesModal() {
+    const modal = document.getElementById('rulesModal');
+    modal.style.display = 'none';
+    document.getElementById('ruleLabel').value = '';
+    document.getElementById('ruleUntil').value = '';
+}
+
+/**
+ * Fills the person and task dropdowns of the rule form
+ */
+function populateRuleFormOptions() {
+    const personSelect = document.getElementById('rulePerson');
+    const taskSelect = document.getElementById('ruleTask');
+    
+    personSelect.innerHTML = '';
+    for (const person of currentRoster) {
+        personSelect.appendChild(new Option(person, person));
+    }
+    
+    taskSelect.innerHTML = '';
+    for (const task of currentTasks) {
+        taskSelect.appendChild(new Option(task.name, task.id));
+    }
+}
+
+/**
+ * Shows only the form fields needed for the selected rule type
+ */
+function updateRuleFormFields() {
+    const type = document.getElementById('ruleType').value;
+    document.getElementById('rulePersonRow').style.display = type === 'fixed_task' ? 'none' : 'flex';
+    document.getElementById('ruleLabelRow').style.display = type === 'fixed_task' ? 'flex' : 'none';
+}
+
+/**
+ * Gets a task's display name from its id
+ * @param {string} taskId - Task id
+ * @returns {string} Task name, or the id if the task no longer exists
+ */
+function getTaskName(taskId) {
+    const task = currentTasks.find(t => t.id === taskId);
+    return task ? task.name : taskId;
+}
+
+/**
+ * Describes a rule in plain words for the rules list
+ * @param {Object} rule - Rotation rule
+ * @returns {string} Description
+ */
+function describeRule(rule) {
+    const taskName = getTaskName(rule.taskId);
+    let text;
+    
+    switch (rule.type) {
+        case 'pin':
+            text = `📌 ${rule.person} always does ${taskName}`;
+            break;
+        case 'fixed_task':
+            text = `🔒 ${taskName} is not rotated - always "${rule.label}"`;
+            break;
+        case 'exclude':
+            text = `🚫 ${rule.person} never does ${taskName}`;
+            break;
+        default:
+            text = `Unknown rule (${rule.type})`;
+            break;
+    }
+    
+    if (rule.until) {
+        text += ` until ${rule.until}`;
+    }
+    return text;
+}
+
+/**
+ * Renders the list of rules in the rules modal
+ */
+function renderRulesList() {
+    const rulesList = document.getElementById('rulesList');
+    rulesList.innerHTML = '';
+    
+    if (currentRules.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'modal-note';
+        empty.textContent = 'No rules - everyone rotates through every task.';
+        rulesList.appendChild(empty);
+        return;
+    }
+    
+    for (const rule of currentRules) {
+        const item = document.createElement('li');
+        item.className = 'rule-item';
+        if (!isRuleActive(rule)) {
+            item.classList.add('expired');
         }
         
-        // Ctrl+S or Cmd+S for screenshot
-        if ((event.ctrlKey || event.metaKey) && event.key === 's') {
-            event.preventDefault(); // Prevent browser save
-            takeScreenshot();
-        }
+        const text = document.createElement('span');
+        text.className = 'rule-text';
+        text.textContent = describeRule(rule) + (isRuleActive(rule) ? '' : ' (expired)');
         
-        // Escape key to close modals
-        if (event.key === 'Escape') {
-            hideQRCodeModal();
+        item.appendChild(text);
+        item.appendChild(createIconButton('🗑️', 'Delete rule', () => deleteRule(rule.id)));
+        rulesList.appendChild(item);
+    }
+}
+
+/**
+ * Checks a new rule against the existing ones
+ * @param {Object} rule - Rule to add
+ * @returns {string|null} Error message, or null if the rule can be added
+ */
+function validateRule(rule) {
+    const active = currentRules.filter(r => isRuleActive(r));
+    const taskName = getTaskName(rule.taskId);
+    
+    if (rule.until && rule.until < formatDateKey(new Date())) {
+        return 'The end date is already in the past';
+    }
+    
+    switch (rule.type) {
+        case 'pin':
+            if (active.some(r => r.type === 'pin' && r.person === rule.person)) {
+                return `${rule.person} is already pinned to a task`;
+            }
+            if (active.some(r => r.type === 'fixed_task' && r.taskId === rule.taskId)) {
+                return `${taskName} is a fixed task`;
+            }
+            if (active.some(r => r.type === 'exclude' && r.person === rule.person && r.taskId === rule.taskId)) {
+                return `${rule.person} is excluded from ${taskName}`;
+            }
+            break;
+        case 'fixed_task':
+            if (!rule.label) {
+                return 'Please enter the label shown for the fixed task';
+            }
+            if (active.some(r => r.taskId === rule.taskId && r.type !== 'exclude')) {
+                return `${taskName} already has a pinned person or fixed label`;
+            }
+            break;
+        case 'exclude':
+            if (active.some(r => r.type === 'exclude' && r.person === rule.person && r.taskId === rule.taskId)) {
+                return `${rule.person} is already excluded from ${taskName}`;
+            }
+            if (active.some(r => r.type === 'pin' && r.person === rule.person && r.taskId === rule.taskId)) {
+                return `${rule.person} is pinned to ${taskName}`;
+            }
+            break;
+    }
+    return null;
+}
+
+/**
+ * Saves a rules change, refreshes the list and tells other users
+ */
+function commitRulesChange() {
+    recordAuditEntry('rules_update');
+    saveAssignments();
+    renderRulesList();
+    notifyOtherUsers('rules_update');
+}
+
+/**
+ * Adds a rule from the form - it is applied at the next rotation
+ */
+function addRule() {
+    if (!requirePermission('manageRules')) return;
+    
+    const type = document.getElementById('ruleType').value;
+    const rule = {
+        id: 'rule-' + Date.now() + '-' + Math.random().toString(36).substr(2, 5),
+        type: type,
+        taskId: document.getElementById('ruleTask').value
+    };
+    
+    if (type === 'fixed_task') {
+        rule.label = document.getElementById('ruleLabel').value.trim();
+    } else {
+        rule.person = document.getElementById('rulePerson').value;
+    }
+    
+    const until = document.getElementById('ruleUntil').value;
+    if (until) {
+        rule.until = until;
+    }
+    
+    if (!rule.taskId || (type !== 'fixed_task' && !rule.person)) {
+        showNotification('Please choose a task and a bhakto', 'error');
+        return;
+    }
+    
+    const error = validateRule(rule);
+    if (error) {
+        showNotification(error, 'error');
+        return;
+    }
+    
+    currentRules.push(rule);
+    document.getElementById('ruleLabel').value = '';
+    document.getElementById('ruleUntil').value = '';
+    commitRulesChange();
+    
+    showNotification('Rule added! It applies from the next rotation 📌', 'success', getUndoNotificationAction());
+    console.log('Rule added:', rule);
+}
+
+/**
+ * Deletes a rule
+ * @param {string} ruleId - Id of the rule to delete
+ */
+function deleteRule(ruleId) {
+    if (!requirePermission('manageRules')) return;
+    
+    const rule = currentRules.find(r => r.id === ruleId);
+    if (!rule || !confirm(`Delete this rule?\n\n${describeRule(rule)}`)) {
+        return;
+    }
+    
+    currentRules = currentRules.filter(r => r.id !== ruleId);
+    commitRulesChange();
+    
+    showNotification('Rule deleted 🗑️', 'info', getUndoNotificationAction());
+    console.log('Rule deleted:', rule);
+}
+
+// ============================================================================
+// MANUAL REASSIGNMENT
+// ============================================================================
+
+// Bhakto being dragged in the seva table: { taskIndex, person }
+let draggedPerson = null;
+
+/**
+ * Checks whether a task is kept out of the rotation by an active rule
+ * @param {Object} task - Task to check
+ * @returns {boolean} True if the task always shows a fixed label
+ */
+function isTaskFixed(task) {
+    return currentRules.some(rule => rule.type === 'fixed_task' && rule.taskId === task.id && isRuleActive(rule));
+}
+
+/**
+ * Fills a bhakto cell with draggable name chips (coordinators and admins)
+ * Linked group members are still shown as "A & B" but can be moved one by one.
+ * A bhakto who is away keeps their chip, labelled with who covers for them.
+ * @param {HTMLTableCellElement} cell - Cell to fill
+ * @param {number} taskIndex - Task index of the row
+ * @param {Array<Object>} entries - Entries from computeCoverage() for the task
+ */
+function renderEditableCell(cell, taskIndex, entries) {
+    cell.classList.add('editable-cell');
+    
+    const present = entries.filter(entry => !entry.away).map(entry => entry.person);
+    const chips = groupPeopleForDisplay(present).map(unit => unit.map(person => createPersonChip(person, taskIndex)));
+    entries.filter(entry => entry.away).forEach(entry => {
+        const chip = createPersonChip(entry.person, taskIndex);
+        chip.textContent = formatCoverEntry(entry);
+        chip.classList.add('away-chip');
+        chips.push([chip]);
+    });
+    
+    chips.forEach((unit, u) => {
+        if (u > 0) cell.appendChild(document.createTextNode(', '));
+        unit.forEach((chip, m) => {
+            if (m > 0) cell.appendChild(document.createTextNode(GROUP_SEPARATOR));
+            cell.appendChild(chip);
+        });
+    });
+    
+    // Dropping on the cell (not on a chip) moves the bhakto to this task
+    cell.addEventListener('dragover', (e) => {
+        if (draggedPerson === null) return;
+        e.preventDefault();
+        cell.classList.add('drop-target');
+    });
+    cell.addEventListener('dragleave', () => cell.classList.remove('drop-target'));
+    cell.addEventListener('drop', (e) => {
+        e.preventDefault();
+        cell.classList.remove('drop-target');
+        if (draggedPerson !== null) {
+            moveAssignedPerson(draggedPerson, taskIndex);
+        }
+    });
+}
+
+/**
+ * Creates a name chip that can be dragged to another task, dropped on
+ * another chip to swap, or double-clicked to type a replacement
+ * @param {string} person - Bhakto name
+ * @param {number} taskIndex - Task the bhakto is on
+ * @returns {HTMLSpanElement} The chip
+ */
+function createPersonChip(person, taskIndex) {
+    const chip = document.createElement('span');
+    chip.className = 'person-chip';
+    chip.textContent = person;
+    chip.draggable = true;
+    chip.title = 'Drag to another task or onto a bhakto to swap - double-click to replace';
+    
+    chip.addEventListener('dragstart', (e) => {
+        draggedPerson = { taskIndex, person };
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', person); // Some browsers only start a drag with data
+        chip.classList.add('dragging');
+    });
+    chip.addEventListener('dragend', () => {
+        draggedPerson = null;
+        chip.classList.remove('dragging');
+    });
+    chip.addEventListener('dragover', (e) => {
+        if (draggedPerson !== null) e.preventDefault();
+    });
+    chip.addEventListener('drop', (e) => {
+        e.preventDefault();
+        e.stopPropagation(); // Swap instead of the cell's move
+        chip.parentElement.classList.remove('drop-target');
+        if (draggedPerson !== null) {
+            swapAssignedPeople(draggedPerson, { taskIndex, person });
         }
     });
+    chip.addEventListener('dblclick', () => replaceAssignedPerson(taskIndex, person));
     
-    console.log('Event listeners set up successfully');
+    return chip;
 }
 
 /**
- * Initializes the application when the page loads
- * This is the main entry point for the application
+ * Lists the pin and exclusion rules that a set of assignments breaks
+ * @param {Array<Array<string>>} assignments - Assignments to check (one row per task)
+ * @returns {Array<string>} Error messages
  */
-function initializeApp() {
-    console.log('Initializing Seva App...');
+function getRuleViolations(assignments) {
+    const violations = [];
     
-    try {
-        // Load saved data or use defaults
-        loadAssignments();
-        
-        // Render the initial table
-        renderTable();
-        
-        // Set up event listeners
-        setupEventListeners();
-        
-        // Set up login system
-        setupLoginEventListeners();
-        checkLoginState();
-        
-        // Initialize real-time features
-        initializeViewerTracking();
-        startRealTimeSync();
-        
-        // Check for room parameter in URL
-        checkForRoomParameter();
-        
-        // Initialize global sync system
-        initializeGlobalSync();
-        
-        // Initialize debug panel for mobile devices
-        initializeDebugPanel();
+    for (const rule of currentRules.filter(r => isRuleActive(r))) {
+        const taskIndex = currentTasks.findIndex(task => task.id === rule.taskId);
+        if (taskIndex === -1 || !currentRoster.includes(rule.person)) continue;
         
-        // Set up page visibility handling
-        document.addEventListener('visibilitychange', handleVisibilityChange);
-        window.addEventListener('beforeunload', stopRealTimeSync);
+        const onTask = (assignments[taskIndex] || []).includes(rule.person);
+        if (rule.type === 'pin' && !onTask) {
+            violations.push(`${rule.person} is pinned to ${currentTasks[taskIndex].name}`);
+        } else if (rule.type === 'exclude' && onTask) {
+            violations.push(`${rule.person} is excluded from ${currentTasks[taskIndex].name}`);
+        }
+    }
+    
+    return violations;
+}
+
+/**
+ * Checks a manual edit of the assignments
+ * Only problems the edit introduces are reported, so a table that is already
+ * over capacity (more bhaktos than slots) can still be edited.
+ * @param {Array<Array<string>>} assignments - Proposed assignments
+ * @returns {string|null} Error message, or null if the edit is allowed
+ */
+function validateManualAssignments(assignments) {
+    for (let i = 0; i < currentTasks.length; i++) {
+        const task = currentTasks[i];
+        const changed = JSON.stringify(assignments[i]) !== JSON.stringify(currentAssignments[i]);
         
-        // Show welcome message
-        showNotification('Seva App loaded successfully! Welcome back! 🏠', 'info');
+        if (changed && isTaskFixed(task)) {
+            return `${task.name} is kept out of the rotation`;
+        }
+        if (assignments[i].length > task.capacity && assignments[i].length > currentAssignments[i].length) {
+            return `${task.name} only takes ${task.capacity} bhakto(s)`;
+        }
+    }
+    
+    const existing = getRuleViolations(currentAssignments);
+    const introduced = getRuleViolations(assignments).find(violation => !existing.includes(violation));
+    return introduced || null;
+}
+
+/**
+ * Saves a manual edit of the assignments if it passes validation
+ * @param {Array<Array<string>>} assignments - Proposed assignments
+ * @param {string} message - Success message
+ */
+function applyManualEdit(assignments, message) {
+    if (!requirePermission('editAssignments')) return;
+    
+    const error = validateManualAssignments(assignments);
+    if (error) {
+        showNotification(error, 'error');
+        return;
+    }
+    
+    currentAssignments = assignments;
+    recordAuditEntry('manual_edit');
+    saveAssignments('manual_edit');
+    renderTable();
+    notifyOtherUsers('manual_edit');
+    
+    showNotification(message, 'success', getUndoNotificationAction());
+    console.log('Manual edit:', message);
+}
+
+/**
+ * Moves a bhakto to another task
+ * @param {Object} from - { taskIndex, person } being moved
+ * @param {number} toIndex - Task index to move to
+ */
+function moveAssignedPerson(from, toIndex) {
+    if (from.taskIndex === toIndex) return;
+    
+    const assignments = JSON.parse(JSON.stringify(currentAssignments));
+    assignments[from.taskIndex] = assignments[from.taskIndex].filter(name => name !== from.person);
+    assignments[toIndex].push(from.person);
+    
+    applyManualEdit(assignments, `${from.person} moved to ${currentTasks[toIndex].name} ✏️`);
+}
+
+/**
+ * Swaps two bhaktos between their tasks
+ * @param {Object} a - { taskIndex, person }
+ * @param {Object} b - { taskIndex, person }
+ */
+function swapAssignedPeople(a, b) {
+    if (a.taskIndex === b.taskIndex) return;
+    
+    const assignments = JSON.parse(JSON.stringify(currentAssignments));
+    assignments[a.taskIndex] = assignments[a.taskIndex].map(name => name === a.person ? b.person : name);
+    assignments[b.taskIndex] = assignments[b.taskIndex].map(name => name === b.person ? a.person : name);
+    
+    applyManualEdit(assignments, `${a.person} and ${b.person} swapped ✏️`);
+}
+
+/**
+ * Replaces a bhakto on a task with a typed name from the roster
+ * If the replacement is on another task, the two swap places; otherwise
+ * the replaced bhakto is left without a task until the next rotation.
+ * @param {number} taskIndex - Task index
+ * @param {string} person - Bhakto to replace
+ */
+function replaceAssignedPerson(taskIndex, person) {
+    const input = prompt(`Replace ${person} on ${currentTasks[taskIndex].name} with:`, '');
+    if (input === null) return;
+    
+    const typed = input.trim();
+    const replacement = currentRoster.find(name => name.toLowerCase() === typed.toLowerCase());
+    if (!replacement) {
+        showNotification(typed ? `${typed} is not in the roster - add them in Manage Roster first` : 'Please enter a name', 'error');
+        return;
+    }
+    if (replacement === person) return;
+    
+    const otherIndex = currentAssignments.findIndex(people => people.includes(replacement));
+    if (otherIndex === taskIndex) {
+        showNotification(`${replacement} is already on ${currentTasks[taskIndex].name}`, 'error');
+        return;
+    }
+    if (otherIndex !== -1) {
+        swapAssignedPeople({ taskIndex, person }, { taskIndex: otherIndex, person: replacement });
+        return;
+    }
+    
+    const assignments = JSON.parse(JSON.stringify(currentAssignments));
+    assignments[taskIndex] = assignments[taskIndex].map(name => name === person ? replacement : name);
+    applyManualEdit(assignments, `${replacement} replaces ${person} on ${currentTasks[taskIndex].name} ✏️`);
+}
+
+// ============================================================================
+// ROTATION PREVIEW
+// ============================================================================
+
+// How many weeks ahead the preview can show
+const MAX_PREVIEW_WEEKS = 6;
+
+// A bhakto on the same task, or on heavy tasks, this many weeks running is flagged
+const PREVIEW_STREAK_WEEKS = 3;
+
+// Tasks with at least this effort weight count as heavy for streaks
+const HEAVY_TASK_WEIGHT = 3;
+
+/**
+ * Show rotation preview modal - nothing is saved until the coordinator confirms
+ */
+function showRotationPreviewModal() {
+    if (!requirePermission('rotate')) return;
+    
+    const modal = document.getElementById('rotationPreviewModal');
+    const modeSelect = document.getElementById('rotationModeSelect');
+    const weeksSelect = document.getElementById('rotationWeeksSelect');
+    
+    modeSelect.innerHTML = '';
+    Object.keys(ROTATION_MODES).forEach(mode => {
+        modeSelect.appendChild(new Option(ROTATION_MODES[mode], mode));
+    });
+    modeSelect.value = rotationSettings.mode;
+    
+    weeksSelect.innerHTML = '';
+    for (let weeks = 1; weeks <= MAX_PREVIEW_WEEKS; weeks++) {
+        weeksSelect.appendChild(new Option(weeks === 1 ? 'Next week' : `${weeks} weeks ahead`, String(weeks)));
+    }
+    
+    renderRotationPreview();
+    renderScheduleSettings();
+    modal.style.display = 'flex';
+}
+
+/**
+ * Hide rotation preview modal
+ */
+function hideRotationPreviewModal() {
+    const modal = document.getElementById('rotationPreviewModal');
+    modal.style.display = 'none';
+}
+
+/**
+ * Finds bhaktos who would be on the same task, or on heavy tasks, for
+ * PREVIEW_STREAK_WEEKS weeks or more in a row. Pinned bhaktos are left out.
+ * @param {Array<Array<Array<string>>>} weeks - Assignments per week, current week first
+ * @returns {Object} { warnings, streaks } - messages, and per week index the set of "task index|name" in a streak
+ */
+function findRotationStreaks(weeks) {
+    const pinned = new Set(currentRules.filter(rule => rule.type === 'pin' && isRuleActive(rule)).map(rule => rule.person));
+    const isHeavy = (i) => i !== -1 && getTaskWeight(currentTasks[i]) >= HEAVY_TASK_WEIGHT;
+    const warnings = [];
+    const streaks = weeks.map(() => new Set());
+    
+    for (const person of currentRoster) {
+        if (pinned.has(person)) continue;
+        const taskIndexes = weeks.map(week => week.findIndex(people => people.includes(person)));
         
-        console.log('Seva App initialized successfully');
+        // describe() names a run, or returns null when it is already reported
+        const checkRuns = (matches, describe) => {
+            let start = 0;
+            for (let w = 1; w <= taskIndexes.length; w++) {
+                if (w < taskIndexes.length && taskIndexes[w] !== -1 && matches(start, w)) continue;
+                const label = taskIndexes[start] !== -1 && w - start >= PREVIEW_STREAK_WEEKS ? describe(start, w) : null;
+                if (label !== null) {
+                    warnings.push(`${person}: ${label} ${w - start} weeks in a row`);
+                    for (let k = start; k < w; k++) streaks[k].add(`${taskIndexes[k]}|${person}`);
+                }
+                start = w;
+            }
+        };
+        
+        checkRuns((start, w) => taskIndexes[w] === taskIndexes[start], start => currentTasks[taskIndexes[start]].name);
+        checkRuns((start, w) => isHeavy(taskIndexes[start]) && isHeavy(taskIndexes[w]), (start, end) =>
+            taskIndexes.slice(start, end).every(i => i === taskIndexes[start]) ? null : 'heavy tasks'
+        );
+    }
+    
+    return { warnings, streaks };
+}
+
+/**
+ * Renders the current assignments next to the proposed ones for the selected
+ * mode and number of weeks. Bhaktos who moved since the column before are
+ * highlighted, and streaks are listed under the table.
+ */
+function renderRotationPreview() {
+    const mode = document.getElementById('rotationModeSelect').value;
+    const weekCount = parseInt(document.getElementById('rotationWeeksSelect').value, 10) || 1;
+    const tableHead = document.getElementById('rotationPreviewTableHead');
+    const tableBody = document.getElementById('rotationPreviewTableBody');
+    const note = document.getElementById('rotationPreviewNote');
+    const warningList = document.getElementById('rotationPreviewWarnings');
+    
+    const results = computeRotationWeeks(mode, weekCount);
+    const weeks = [currentAssignments, ...results.map(result => result.assignments)];
+    const { warnings, streaks } = findRotationStreaks(weeks);
+    
+    tableHead.innerHTML = '';
+    const headRow = document.createElement('tr');
+    const headers = ['Seva', 'Now', ...results.map((_, w) => w === 0 ? 'Next week' : `Week +${w + 1}`)];
+    headers.forEach((label, c) => {
+        const th = document.createElement('th');
+        th.textContent = label;
+        th.className = c === 0 ? 'seva-column' : 'bhakto-column';
+        headRow.appendChild(th);
+    });
+    tableHead.appendChild(headRow);
+    
+    tableBody.innerHTML = '';
+    currentTasks.forEach((task, i) => {
+        const row = document.createElement('tr');
+        
+        const sevaCell = document.createElement('td');
+        sevaCell.textContent = task.name;
+        sevaCell.className = 'seva-cell';
+        row.appendChild(sevaCell);
+        
+        weeks.forEach((week, w) => {
+            const bhaktoCell = document.createElement('td');
+            bhaktoCell.className = 'bhakto-cell';
+            
+            groupPeopleForDisplay(week[i] || []).forEach((unit, u) => {
+                if (u > 0) bhaktoCell.appendChild(document.createTextNode(', '));
+                
+                const name = document.createElement('span');
+                name.textContent = unit.join(GROUP_SEPARATOR);
+                
+                // Highlight units that were on another task the week before
+                const from = w === 0 ? -1 : weeks[w - 1].findIndex(people => people.includes(unit[0]));
+                if (w > 0 && from !== i && currentRoster.includes(unit[0])) {
+                    name.classList.add('preview-moved');
+                    name.title = from === -1 ? 'Joins the rotation' : `From ${currentTasks[from].name}`;
+                }
+                if (unit.some(person => streaks[w].has(`${i}|${person}`))) {
+                    name.classList.add('preview-streak');
+                }
+                bhaktoCell.appendChild(name);
+            });
+            
+            row.appendChild(bhaktoCell);
+        });
+        
+        tableBody.appendChild(row);
+    });
+    
+    const description = mode === 'fair'
+        ? 'Heavier tasks go to whoever has done the least effort lately, avoiding repeats.'
+        : 'Everyone moves one place down the list.';
+    const next = results[0];
+    const problems = [];
+    if (next.extraPeople > 0) {
+        problems.push(`${next.extraPeople} extra bhakto(s) beyond task capacity`);
+    }
+    if (next.unplaced.length > 0) {
+        problems.push(`could not place ${next.unplaced.join(', ')} - check the rules`);
+    }
+    note.textContent = problems.length > 0 ? `${description} ⚠️ ${problems.join('; ')}` : description;
+    
+    warningList.innerHTML = '';
+    warnings.forEach(warning => {
+        const item = document.createElement('li');
+        item.textContent = `⚠️ ${warning}`;
+        warningList.appendChild(item);
+    });
+}
+
+/**
+ * Saves the next week of the previewed rotation with the selected mode
+ */
+function confirmRotationPreview() {
+    const mode = document.getElementById('rotationModeSelect').value;
+    hideRotationPreviewModal();
+    rotatePeople(mode);
+}
+
+// ============================================================================
+// SCHEDULED ROTATION
+// ============================================================================
+
+// How often every open device checks whether the scheduled rotation is due
+const SCHEDULE_CHECK_INTERVAL = 60000; // 1 minute
+
+// How long a device waits after claiming a run before reading the claim back
+const SCHEDULE_CLAIM_WAIT = 3000;
+
+// A claim older than this is treated as abandoned (the device went away)
+const SCHEDULE_CLAIM_TIMEOUT = 120000; // 2 minutes
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Whether this device is in the middle of a scheduled run check
+let scheduleCheckRunning = false;
+
+/**
+ * Gets the most recent time the schedule was due, at or before now
+ * @param {Object} schedule - { dayOfWeek, hour } in local time
+ * @param {Date} now - Current time
+ * @returns {string} Boundary key "YYYY-MM-DDTHH:00" (local time, sorts by date)
+ */
+function getLatestScheduleBoundary(schedule, now = new Date()) {
+    const boundary = new Date(now.getFullYear(), now.getMonth(), now.getDate(), schedule.hour);
+    boundary.setDate(boundary.getDate() - (boundary.getDay() - schedule.dayOfWeek + 7) % 7);
+    if (boundary > now) {
+        boundary.setDate(boundary.getDate() - 7);
+    }
+    return `${formatDateKey(boundary)}T${String(schedule.hour).padStart(2, '0')}:00`;
+}
+
+/**
+ * Runs the scheduled rotation if it is due and no other device has run it
+ * The first device that is open after the boundary rotates, exactly once:
+ * 1. It re-reads the backend - if another device already ran this boundary,
+ *    or holds a fresh claim on it, there is nothing to do.
+ * 2. It writes a claim { boundary, by, version } and reads it back after a
+ *    short wait. If another device wrote after it, that device wins.
+ * 3. The winner rotates and saves lastRunBoundary, which every device syncs.
+ * Without a sync backend the rotation simply runs on this device.
+ * The relay only takes a rotation from a role that may rotate, so with it one of those devices runs it.
+ */
+async function checkScheduledRotation() {
+    const schedule = rotationSettings.schedule;
+    if (!schedule.enabled || scheduleCheckRunning) return;
+    if (syncProvider && syncProvider.login && !hasPermission('rotate')) return;
+    
+    const boundary = getLatestScheduleBoundary(schedule);
+    if (schedule.lastRunBoundary && schedule.lastRunBoundary >= boundary) return;
+    
+    scheduleCheckRunning = true;
+    try {
+        const remote = await fetchLatestRemoteState();
+        if (remote && remote.assignments && !isValidRemoteData(remote)) return;
+        
+        if (remote) {
+            const remoteSchedule = migrateSyncedData(remote).settings.schedule;
+            const remoteClaim = remote.scheduleClaim;
+            const claimIsFresh = remoteClaim && remoteClaim.boundary === boundary &&
+                Date.now() - new Date(remoteClaim.at).getTime() < SCHEDULE_CLAIM_TIMEOUT;
+            
+            if (!remoteSchedule.enabled || (remoteSchedule.lastRunBoundary && remoteSchedule.lastRunBoundary >= boundary) || claimIsFresh) {
+                handleRemoteUpdate(remote);
+                return;
+            }
+            
+            // Claim the run on top of the latest data and check nobody else claimed it after us
+            handleRemoteUpdate(remote);
+            const claim = { boundary: boundary, by: viewerId, at: new Date().toISOString(), version: Date.now() };
+            scheduleClaim = claim;
+            if (!(await pushSyncedState({ resolveConflicts: false }))) {
+                throw new Error('Could not save the schedule claim');
+            }
+            await new Promise(resolve => setTimeout(resolve, SCHEDULE_CLAIM_WAIT));
+            
+            const confirmed = await fetchLatestRemoteState();
+            const confirmedClaim = confirmed && confirmed.scheduleClaim;
+            if (!confirmedClaim || confirmedClaim.by !== claim.by || confirmedClaim.version !== claim.version) {
+                console.log('⏭️ Another device is running the scheduled rotation');
+                scheduleClaim = confirmedClaim || null;
+                return;
+            }
+        }
         
+        runScheduledRotation(boundary);
     } catch (error) {
-        console.error('Error initializing app:', error);
-        showNotification('Error loading app! Please refresh the page.', 'error');
+        // Backend not reachable - try again at the next check rather than risk a double run
+        console.error('Scheduled rotation check failed:', error);
+    } finally {
+        scheduleCheckRunning = false;
+    }
+}
+
+/**
+ * Rotates with the saved mode as a system action and marks the boundary as done
+ * @param {string} boundary - Boundary key from getLatestScheduleBoundary()
+ */
+function runScheduledRotation(boundary) {
+    const result = computeNextRotation(rotationSettings.mode);
+    const covers = getWeekCovers(currentAssignments);
+    
+    currentAssignments = result.assignments;
+    rotationSettings = {
+        ...rotationSettings,
+        schedule: { ...rotationSettings.schedule, lastRunBoundary: boundary }
+    };
+    scheduleClaim = null;
+    recordAuditEntry('scheduled_rotation');
+    saveAssignments('scheduled_rotation', { completions: takeCompletions(), covers: covers });
+    renderTable();
+    
+    showNotification('Weekly rotation done automatically 🗓️', 'info');
+    console.log('Scheduled rotation completed for', boundary, result.assignments);
+}
+
+/**
+ * Fills the schedule controls in the rotation preview modal
+ */
+function renderScheduleSettings() {
+    const schedule = rotationSettings.schedule;
+    const daySelect = document.getElementById('scheduleDay');
+    const hourSelect = document.getElementById('scheduleHour');
+    
+    daySelect.innerHTML = '';
+    WEEKDAY_NAMES.forEach((day, i) => daySelect.appendChild(new Option(day, String(i))));
+    hourSelect.innerHTML = '';
+    for (let hour = 0; hour < 24; hour++) {
+        hourSelect.appendChild(new Option(`${String(hour).padStart(2, '0')}:00`, String(hour)));
+    }
+    
+    document.getElementById('scheduleEnabled').checked = schedule.enabled;
+    daySelect.value = String(schedule.dayOfWeek);
+    hourSelect.value = String(schedule.hour);
+    document.getElementById('scheduleNote').textContent = schedule.enabled
+        ? `Uses the ${ROTATION_MODES[rotationSettings.mode]} mode. Last automatic rotation: ${schedule.lastRunBoundary ? schedule.lastRunBoundary.replace('T', ' ') : 'not yet'}.`
+        : 'The first device that is open after the set time rotates, once per week.';
+}
+
+/**
+ * Saves the schedule from the controls in the rotation preview modal
+ * The current boundary counts as done, so turning the schedule on or moving
+ * it never rotates straight away.
+ */
+function updateSchedule() {
+    if (!requirePermission('rotate')) return;
+    
+    const schedule = {
+        ...rotationSettings.schedule,
+        enabled: document.getElementById('scheduleEnabled').checked,
+        dayOfWeek: parseInt(document.getElementById('scheduleDay').value, 10),
+        hour: parseInt(document.getElementById('scheduleHour').value, 10)
+    };
+    schedule.lastRunBoundary = getLatestScheduleBoundary(schedule);
+    
+    rotationSettings = { ...rotationSettings, schedule: schedule };
+    recordAuditEntry('schedule_update');
+    saveAssignments();
+    renderScheduleSettings();
+    notifyOtherUsers('schedule_update');
+    
+    const message = schedule.enabled
+        ? `Rotation scheduled every ${WEEKDAY_NAMES[schedule.dayOfWeek]} at ${String(schedule.hour).padStart(2, '0')}:00 🗓️`
+        : 'Automatic rotation turned off';
+    showNotification(message, 'success', getUndoNotificationAction());
+    console.log('Schedule updated:', schedule);
+}
+
+// ============================================================================
+// AVAILABILITY
+// ============================================================================
+
+// Most weeks that can be marked in one go
+const MAX_AWAY_WEEKS_AT_ONCE = 12;
+
+/**
+ * Parses a YYYY-MM-DD key as a local date
+ * @param {string} key - Date key
+ * @returns {Date} Date at local midnight
+ */
+function parseDateKey(key) {
+    const [year, month, day] = key.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+/**
+ * Checks whether a bhakto marked the week of a day as away
+ * @param {string} person - Bhakto name
+ * @param {Date} date - Day to check (defaults to today)
+ * @returns {boolean} True if the bhakto is away that week
+ */
+function isAway(person, date = new Date()) {
+    return (currentAvailability[person] || []).includes(getWeekKey(date));
+}
+
+/**
+ * Works out who covers for the bhaktos who are away in a given week
+ * (see computeCoverage() in rotation.js - the relay checks ticks with the same rules)
+ * @param {Array<Array<string>>} assignments - Assignments (one row per task)
+ * @param {Date} date - Day in the week (defaults to today)
+ * @returns {Array<Array<Object>>} Per task, entries of { person, away, cover } -
+ *          bhaktos who moved to cover are left out of their own task
+ */
+function computeCoverage(assignments, date = new Date()) {
+    return SevaRotation.computeCoverage(currentTasks, assignments, currentRoster, currentRules, currentGroups, currentAvailability, date);
+}
+
+/**
+ * Formats the people on a task for display, with covers
+ * @param {Array<Object>} entries - Entries from computeCoverage() for one task
+ * @returns {string} e.g. "A, B & C, D (for E)"
+ */
+function formatCoveredPeople(entries) {
+    const present = formatPeople(entries.filter(entry => !entry.away).map(entry => entry.person));
+    const covered = entries.filter(entry => entry.away).map(formatCoverEntry);
+    return [present, ...covered].filter(Boolean).join(', ');
+}
+
+/**
+ * Formats one entry of someone who is away
+ * @param {Object} entry - { person, away, cover } from computeCoverage()
+ * @returns {string} "Cover (for Person)" or "Person (away)"
+ */
+function formatCoverEntry(entry) {
+    return entry.cover ? `${entry.cover} (for ${entry.person})` : `${entry.person} (away)`;
+}
+
+/**
+ * Lists who covered for whom in a week - archived on the rotation that ends the week
+ * @param {Array<Array<string>>} assignments - Assignments (one row per task)
+ * @param {Date} date - Day in the week (defaults to today)
+ * @returns {Array<Object>} { person, cover } for everyone away (cover is null if nobody could)
+ */
+function getWeekCovers(assignments, date = new Date()) {
+    return computeCoverage(assignments, date).flat()
+        .filter(entry => entry.away)
+        .map(entry => ({ person: entry.person, cover: entry.cover }));
+}
+
+/**
+ * Rebuilds the coverage of a week from its assignments and archived covers
+ * @param {Array<Array<string>>} assignments - Assignments (one row per task)
+ * @param {Array<Object>} covers - { person, cover } from getWeekCovers()
+ * @returns {Array<Array<Object>>} Per task, entries of { person, away, cover } like computeCoverage()
+ */
+function applyCovers(assignments, covers) {
+    const coverFor = new Map(covers.map(entry => [entry.person, entry.cover]));
+    const covering = new Set(covers.map(entry => entry.cover).filter(Boolean));
+    return assignments.map(people => people
+        .filter(person => !covering.has(person))
+        .map(person => ({ person: person, away: coverFor.has(person), cover: coverFor.get(person) || null }))
+    );
+}
+
+/**
+ * Gets who did each task in a week - the covers, not those who were away
+ * @param {Array<Array<string>>} assignments - Assignments (one row per task)
+ * @param {Array<Object>} covers - { person, cover } from getWeekCovers()
+ * @returns {Array<Array<string>>} Names per task
+ */
+function getWorkedAssignments(assignments, covers) {
+    return applyCovers(assignments, covers).map(getCompletionCandidates);
+}
+
+/**
+ * Show availability modal - members mark their own away weeks, coordinators anyone's
+ */
+function showAvailabilityModal() {
+    if (!requirePermission('markOwnAvailability')) return;
+    
+    const modal = document.getElementById('availabilityModal');
+    const personSelect = document.getElementById('awayPerson');
+    
+    personSelect.innerHTML = '';
+    currentRoster.filter(canMarkAway).forEach(person => personSelect.appendChild(new Option(person, person)));
+    document.getElementById('awayFrom').value = formatDateKey(new Date());
+    document.getElementById('awayUntil').value = '';
+    
+    renderAvailabilityList();
+    modal.style.display = 'flex';
+}
+
+/**
+ * Hide availability modal
+ */
+function hideAvailabilityModal() {
+    const modal = document.getElementById('availabilityModal');
+    modal.style.display = 'none';
+}
+
+/**
+ * Renders every marked week from this week on, by bhakto
+ */
+function renderAvailabilityList() {
+    const list = document.getElementById('availabilityList');
+    const thisWeek = getWeekKey(new Date());
+    list.innerHTML = '';
+    
+    for (const person of currentRoster) {
+        for (const weekKey of (currentAvailability[person] || []).filter(key => key >= thisWeek)) {
+            const item = document.createElement('li');
+            item.className = 'roster-item';
+            
+            const name = document.createElement('span');
+            name.className = 'roster-name';
+            name.textContent = person;
+            
+            const week = document.createElement('span');
+            week.className = 'roster-task';
+            week.textContent = weekKey === thisWeek ? 'This week' : `Week of ${parseDateKey(weekKey).toLocaleDateString()}`;
+            
+            item.appendChild(name);
+            item.appendChild(week);
+            item.appendChild(createIconButton('🗑️', 'Back that week', () => removeAwayWeek(person, weekKey), !canMarkAway(person)));
+            list.appendChild(item);
+        }
+    }
+    
+    document.getElementById('availabilityEmpty').style.display = list.children.length === 0 ? 'block' : 'none';
+}
+
+/**
+ * Saves an availability change, refreshes the views and tells other users
+ * Weeks that have passed are dropped to keep the synced data small.
+ */
+function commitAvailabilityChange() {
+    const thisWeek = getWeekKey(new Date());
+    const pruned = {};
+    Object.keys(currentAvailability).forEach(person => {
+        // Other people's past weeks are left to those who may change them (the relay would refuse it)
+        const weeks = canMarkAway(person)
+            ? currentAvailability[person].filter(key => key >= thisWeek).sort()
+            : currentAvailability[person];
+        if (weeks.length > 0) pruned[person] = weeks;
+    });
+    currentAvailability = pruned;
+    
+    recordAuditEntry('availability_update');
+    saveAssignments();
+    renderTable();
+    renderAvailabilityList();
+    notifyOtherUsers('availability_update');
+}
+
+/**
+ * Marks every week from the "away from" day to the "away until" day as away
+ */
+function addAwayWeeks() {
+    const person = document.getElementById('awayPerson').value;
+    const from = document.getElementById('awayFrom').value;
+    const until = document.getElementById('awayUntil').value || from;
+    
+    if (!person || !from) {
+        showNotification('Please choose a bhakto and a date', 'error');
+        return;
+    }
+    if (!requirePermission(canMarkAway(person))) return;
+    if (until < from) {
+        showNotification('The last day must be after the first day', 'error');
+        return;
+    }
+    if (getWeekKey(parseDateKey(until)) < getWeekKey(new Date())) {
+        showNotification('Those weeks have already passed', 'error');
+        return;
+    }
+    
+    const weeks = [];
+    for (const day = parseDateKey(getWeekKey(parseDateKey(from))); formatDateKey(day) <= until; day.setDate(day.getDate() + 7)) {
+        weeks.push(formatDateKey(day));
+    }
+    if (weeks.length > MAX_AWAY_WEEKS_AT_ONCE) {
+        showNotification(`At most ${MAX_AWAY_WEEKS_AT_ONCE} weeks can be marked at once`, 'error');
+        return;
+    }
+    
+    const existing = currentAvailability[person] || [];
+    currentAvailability = { ...currentAvailability, [person]: [...new Set([...existing, ...weeks])] };
+    commitAvailabilityChange();
+    
+    showNotification(`${person} marked away for ${weeks.length} week(s) 🧳`, 'success', getUndoNotificationAction());
+    console.log('Away weeks added:', person, weeks);
+}
+
+/**
+ * Marks a bhakto as available again for one week
+ * @param {string} person - Bhakto name
+ * @param {string} weekKey - Week to clear
+ */
+function removeAwayWeek(person, weekKey) {
+    if (!requirePermission(canMarkAway(person))) return;
+    
+    currentAvailability = {
+        ...currentAvailability,
+        [person]: (currentAvailability[person] || []).filter(key => key !== weekKey)
+    };
+    commitAvailabilityChange();
+    
+    showNotification(`${person} is back for that week 🙏`, 'success', getUndoNotificationAction());
+    console.log('Away week removed:', person, weekKey);
+}
+
+// ============================================================================
+// TASK COMPLETION
+// ============================================================================
+
+/**
+ * Fills the done cell of a row with a picker of who completed the task
+ * The picker is read-only unless the role can tick this task, and members
+ * are only offered their own name.
+ * @param {HTMLTableCellElement} cell - Cell to fill
+ * @param {number} taskIndex - Task index of the row
+ * @param {Array<Object>} entries - Entries from computeCoverage() for the task
+ */
+function renderCompletionCell(cell, taskIndex, entries) {
+    const task = currentTasks[taskIndex];
+    const completion = currentCompletions[task.id];
+    const candidates = getCompletionCandidates(entries);
+    if (completion && !candidates.includes(completion.by)) {
+        candidates.push(completion.by);
+    }
+    
+    const select = document.createElement('select');
+    select.className = 'done-select';
+    select.appendChild(new Option('⬜ Not done', ''));
+    candidates.forEach(person => {
+        const option = new Option(`✅ ${person}`, person);
+        option.disabled = !canTickTask(taskIndex, person);
+        select.appendChild(option);
+    });
+    select.value = completion ? completion.by : '';
+    select.disabled = !canTickTask(taskIndex);
+    select.title = completion
+        ? `Done by ${completion.by} on ${new Date(completion.at).toLocaleString()}`
+        : 'Pick who completed this seva';
+    select.addEventListener('change', () => setTaskCompletion(taskIndex, select.value));
+    
+    cell.classList.toggle('done', Boolean(completion));
+    cell.appendChild(select);
+}
+
+/**
+ * Marks a task as done by a bhakto, or as not done
+ * @param {number} taskIndex - Task index
+ * @param {string} person - Who completed it, or '' to untick
+ */
+function setTaskCompletion(taskIndex, person) {
+    if (!requirePermission(canTickTask(taskIndex, person))) {
+        renderTable();
+        return;
+    }
+    
+    const task = currentTasks[taskIndex];
+    const { [task.id]: previous, ...others } = currentCompletions;
+    
+    currentCompletions = person
+        ? { ...others, [task.id]: { by: person, at: new Date().toISOString() } }
+        : others;
+    recordAuditEntry('completion_update');
+    saveAssignments();
+    renderTable();
+    notifyOtherUsers('completion_update');
+    
+    const message = person ? `${task.name} done by ${person} ✅` : `${task.name} marked as not done`;
+    showNotification(message, person ? 'success' : 'info', getUndoNotificationAction());
+    console.log('Task completion changed:', task.name, person || 'not done');
+}
+
+/**
+ * Updates the weekly progress in the footer
+ */
+function updateProgressDisplay() {
+    const progressCount = document.getElementById('progressCount');
+    if (!progressCount) return;
+    
+    const done = currentTasks.filter(task => currentCompletions[task.id]).length;
+    progressCount.textContent = `${done}/${currentTasks.length}`;
+}
+
+/**
+ * Clears the ticks for a new week
+ * @returns {Object} The ticks of the week that ended, to archive in the history
+ */
+function takeCompletions() {
+    const completions = currentCompletions;
+    currentCompletions = {};
+    return completions;
+}
+
+/**
+ * Gets the ticks of the week a history entry belongs to
+ * They are archived on the rotation entry that ended that week; entries after
+ * the last rotation belong to the week on the board, which uses the live ticks.
+ * @param {Object} entry - History entry
+ * @returns {Object|null} Ticks by task id, or null if unknown (older data)
+ */
+function getCompletionsForEntry(entry) {
+    const index = rotationHistory.indexOf(entry);
+    const nextRotation = rotationHistory.slice(index + 1).find(later =>
+        later.action === 'rotation' || later.action === 'scheduled_rotation'
+    );
+    return nextRotation ? nextRotation.completions || null : currentCompletions;
+}
+
+/**
+ * Gets who covered for whom in the week a history entry belongs to
+ * Archived like the ticks; the week on the board uses the live away weeks.
+ * @param {Object} entry - History entry
+ * @returns {Array<Object>} { person, cover } entries (none for weeks archived before covers were)
+ */
+function getCoversForEntry(entry) {
+    const index = rotationHistory.indexOf(entry);
+    const nextRotation = rotationHistory.slice(index + 1).find(later =>
+        later.action === 'rotation' || later.action === 'scheduled_rotation'
+    );
+    return nextRotation ? nextRotation.covers || [] : getWeekCovers(currentAssignments);
+}
+
+// ============================================================================
+// ROTATION HISTORY
+// ============================================================================
+
+/**
+ * Appends a snapshot of the current assignments to the history
+ * Manual edits that leave the assignments unchanged (e.g. adding a bhakto
+ * who joins at the next rotation) are not recorded again.
+ * @param {string} action - What caused the change (see HISTORY_ACTION_LABELS)
+ * @param {Object} details - Extra fields to store on the entry
+ */
+function recordHistoryEntry(action, details = {}) {
+    const entry = {
+        ...details,
+        id: 'history-' + Date.now() + '-' + Math.random().toString(36).substr(2, 5),
+        action: action,
+        timestamp: new Date().toISOString(),
+        viewerId: action === 'scheduled_rotation' ? 'system' : viewerId,
+        // Task names are copied so old weeks still read correctly after tasks are edited
+        tasks: currentTasks.map(task => ({ id: task.id, name: task.name })),
+        assignments: JSON.parse(JSON.stringify(currentAssignments))
+    };
+    
+    const last = rotationHistory[rotationHistory.length - 1];
+    const unchanged = last &&
+        JSON.stringify(last.tasks) === JSON.stringify(entry.tasks) &&
+        JSON.stringify(last.assignments) === JSON.stringify(entry.assignments);
+    if (action === 'manual_edit' && unchanged) {
+        return;
+    }
+    
+    rotationHistory = rotationHistory.concat(entry).slice(-MAX_HISTORY_ENTRIES);
+    console.log('History entry recorded:', action);
+}
+
+/**
+ * Show history modal - available to everyone, not only admins
+ */
+function showHistoryModal() {
+    const modal = document.getElementById('historyModal');
+    renderHistoryEntryOptions();
+    renderHistorySnapshot();
+    modal.style.display = 'flex';
+}
+
+/**
+ * Hide history modal
+ */
+function hideHistoryModal() {
+    const modal = document.getElementById('historyModal');
+    modal.style.display = 'none';
+}
+
+/**
+ * Fills the history dropdown, newest entry first
+ */
+function renderHistoryEntryOptions() {
+    const select = document.getElementById('historyEntrySelect');
+    select.innerHTML = '';
+    
+    for (const entry of [...rotationHistory].reverse()) {
+        const label = HISTORY_ACTION_LABELS[entry.action] || entry.action;
+        const date = new Date(entry.timestamp).toLocaleString();
+        select.appendChild(new Option(`${date} - ${label}`, entry.id));
+    }
+    
+    document.getElementById('historyEmpty').style.display = rotationHistory.length === 0 ? 'block' : 'none';
+    document.getElementById('historyTable').style.display = rotationHistory.length === 0 ? 'none' : 'table';
+    select.style.display = rotationHistory.length === 0 ? 'none' : 'block';
+}
+
+/**
+ * Renders the assignments of the selected history entry
+ */
+function renderHistorySnapshot() {
+    const entryId = document.getElementById('historyEntrySelect').value;
+    const entry = rotationHistory.find(e => e.id === entryId);
+    const tableBody = document.getElementById('historyTableBody');
+    const meta = document.getElementById('historyMeta');
+    
+    tableBody.innerHTML = '';
+    meta.textContent = '';
+    if (!entry) return;
+    
+    const completions = getCompletionsForEntry(entry);
+    const coverage = applyCovers(entry.assignments, getCoversForEntry(entry));
+    const doneCount = completions ? entry.tasks.filter(task => completions[task.id]).length : 0;
+    meta.textContent = `Saved by ${entry.viewerId || 'unknown device'}` +
+        (completions ? ` · ${doneCount}/${entry.tasks.length} sevas done that week` : '');
+    
+    entry.tasks.forEach((task, i) => {
+        const row = document.createElement('tr');
+        
+        const sevaCell = document.createElement('td');
+        sevaCell.textContent = task.name;
+        sevaCell.className = 'seva-cell';
+        
+        const bhaktoCell = document.createElement('td');
+        bhaktoCell.textContent = formatCoveredPeople(coverage[i] || []);
+        bhaktoCell.className = 'bhakto-cell';
+        
+        const doneCell = document.createElement('td');
+        const completion = completions && completions[task.id];
+        doneCell.textContent = completion ? `✅ ${completion.by}` : (completions ? '⬜' : '');
+        doneCell.className = 'done-cell';
+        
+        row.appendChild(sevaCell);
+        row.appendChild(bhaktoCell);
+        row.appendChild(doneCell);
+        tableBody.appendChild(row);
+    });
+}
+
+// ============================================================================
+// AUDIT LOG
+// ============================================================================
+// Every change and every login/logout adds an entry with who made it, from
+// which device, and what changed (field by field, before and after). The log
+// is synced like the history so admins can review it from any device.
+
+// Oldest audit entries are dropped beyond this many, to keep the synced record small
+// (shared with relay.js, which refuses any other way of shortening the log)
+const MAX_AUDIT_ENTRIES = SevaSchema.MAX_AUDIT_ENTRIES;
+
+// Longest before/after value kept in an audit entry, and most changes per entry
+// (shared with schema.js, which refuses longer entries)
+const MAX_AUDIT_VALUE_LENGTH = SevaSchema.MAX_AUDIT_VALUE_LENGTH;
+const MAX_AUDIT_CHANGES = SevaSchema.MAX_AUDIT_CHANGES;
+
+// Labels for the actions in the audit log
+const AUDIT_ACTION_LABELS = {
+    ...HISTORY_ACTION_LABELS,
+    roster_update: '👥 Roster change',
+    task_update: '🧹 Task change',
+    rules_update: '📌 Rules change',
+    schedule_update: '🗓️ Schedule change',
+    availability_update: '🧳 Away weeks',
+    completion_update: '✅ Check-off',
+    account_update: '👤 Account change',
+    house_update: '🏠 House change',
+    login: '🔐 Login',
+    logout: '👋 Logout',
+    session_timeout: '💤 Session ended'
+};
+
+// Audit snapshot as of the last audit entry or load - the "before" of the next entry
+let lastAuditedState = null;
+
+/**
+ * Takes a copy of the audited state, keyed so the diff reads well
+ * Tasks, rules and groups are keyed by id, assignments by task name and
+ * accounts by username. Accounts keep only a short piece of the salt, which
+ * changes with every new password, so password changes show up without
+ * putting anything secret in the log.
+ * @returns {Object} Audit snapshot
+ */
+function getAuditSnapshot() {
+    const { tasks, assignments, rules, groups, ...rest } = getUndoSnapshot();
+    const keyBy = (items, key) => Object.fromEntries(items.map(item => [item[key], item]));
+    
+    return {
+        ...rest,
+        tasks: keyBy(tasks, 'id'),
+        assignments: Object.fromEntries(tasks.map((task, i) => [task.name, assignments[i]])),
+        rules: keyBy(rules, 'id'),
+        groups: keyBy(groups, 'id'),
+        accounts: Object.fromEntries(currentAccounts.map(account => [account.username, {
+            role: account.role,
+            person: account.person,
+            password: account.salt.slice(0, 6)
+        }]))
+    };
+}
+
+/**
+ * Formats an audited value for the log
+ * @param {*} value - Value from an audit snapshot
+ * @returns {string} Short text ('' when the value did not exist)
+ */
+function formatAuditValue(value) {
+    if (value === undefined || value === null) return '';
+    
+    const text = Array.isArray(value) && value.every(item => typeof item !== 'object')
+        ? value.join(', ')
+        : (typeof value === 'object' ? JSON.stringify(value) : String(value));
+    return text.length > MAX_AUDIT_VALUE_LENGTH ? text.slice(0, MAX_AUDIT_VALUE_LENGTH - 1) + '…' : text;
+}
+
+/**
+ * Lists the fields that differ between two audit snapshots
+ * Lists of plain values (like the names on a task) count as one field.
+ * @param {*} before - Older value
+ * @param {*} after - Newer value
+ * @param {string} path - Field path so far
+ * @returns {Array<Object>} [{ field, before, after }]
+ */
+function diffAuditStates(before, after, path = '') {
+    if (JSON.stringify(before) === JSON.stringify(after)) return [];
+    
+    const isNested = (value) => value !== null && typeof value === 'object' &&
+        !(Array.isArray(value) && value.every(item => typeof item !== 'object'));
+    if (!isNested(before) || !isNested(after)) {
+        return [{ field: path, before: formatAuditValue(before), after: formatAuditValue(after) }];
+    }
+    
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+    return keys.flatMap(key => diffAuditStates(before[key], after[key], path ? `${path}.${key}` : key));
+}
+
+/**
+ * Adds an audit entry for what changed since the last one
+ * Call it after changing the state and before saveAssignments(), which syncs it.
+ * @param {string} action - What happened (see AUDIT_ACTION_LABELS)
+ */
+function recordAuditEntry(action) {
+    const snapshot = getAuditSnapshot();
+    const changes = diffAuditStates(lastAuditedState, snapshot);
+    if (changes.length > MAX_AUDIT_CHANGES) {
+        const more = changes.length - MAX_AUDIT_CHANGES + 1;
+        changes.splice(MAX_AUDIT_CHANGES - 1, Infinity, { field: '…', before: '', after: `${more} more changes` });
+    }
+    
+    const entry = {
+        id: 'audit-' + Date.now() + '-' + Math.random().toString(36).substr(2, 5),
+        at: new Date().toISOString(),
+        action: action,
+        user: action === 'scheduled_rotation' ? 'system' : currentUsername,
+        role: action === 'scheduled_rotation' ? null : getCurrentRole(),
+        device: viewerId,
+        changes: changes
+    };
+    
+    auditLog = auditLog.concat(entry).slice(-MAX_AUDIT_ENTRIES);
+    lastAuditedState = snapshot;
+    console.log('📋 Audit entry recorded:', action, changes.length, 'change(s)');
+}
+
+/**
+ * Show audit log modal (admins only)
+ */
+function showAuditModal() {
+    if (!requirePermission('viewAudit')) return;
+    
+    const modal = document.getElementById('auditModal');
+    renderAuditFilters();
+    renderAuditLog();
+    modal.style.display = 'flex';
+}
+
+/**
+ * Hide audit log modal
+ */
+function hideAuditModal() {
+    const modal = document.getElementById('auditModal');
+    modal.style.display = 'none';
+}
+
+/**
+ * Fills the action and user filters with what appears in the log
+ */
+function renderAuditFilters() {
+    const fill = (select, allLabel, values, label) => {
+        const selected = select.value;
+        select.innerHTML = '';
+        select.appendChild(new Option(allLabel, ''));
+        values.forEach(value => select.appendChild(new Option(label(value), value)));
+        select.value = values.includes(selected) ? selected : '';
+    };
+    
+    const actions = [...new Set(auditLog.map(entry => entry.action))];
+    const users = [...new Set(auditLog.map(entry => entry.user || ''))];
+    fill(document.getElementById('auditActionFilter'), 'All actions', actions, action => AUDIT_ACTION_LABELS[action] || action);
+    fill(document.getElementById('auditUserFilter'), 'Everyone', users.filter(Boolean), user => user);
+    if (users.includes('')) {
+        document.getElementById('auditUserFilter').appendChild(new Option('Not logged in', '-'));
+    }
+}
+
+/**
+ * Gets the audit entries matching the filters, newest first
+ * @returns {Array<Object>} Audit entries
+ */
+function getFilteredAuditLog() {
+    const action = document.getElementById('auditActionFilter').value;
+    const user = document.getElementById('auditUserFilter').value;
+    const search = document.getElementById('auditSearch').value.trim().toLowerCase();
+    
+    return auditLog.slice().reverse().filter(entry =>
+        (!action || entry.action === action) &&
+        (!user || (user === '-' ? !entry.user : entry.user === user)) &&
+        (!search || JSON.stringify(entry).toLowerCase().includes(search))
+    );
+}
+
+/**
+ * Renders the filtered audit entries with their changes
+ */
+function renderAuditLog() {
+    const list = document.getElementById('auditList');
+    const entries = getFilteredAuditLog();
+    list.innerHTML = '';
+    
+    for (const entry of entries) {
+        const item = document.createElement('li');
+        item.className = 'audit-item';
+        
+        const header = document.createElement('div');
+        header.className = 'audit-header';
+        header.textContent = `${new Date(entry.at).toLocaleString()} · ${AUDIT_ACTION_LABELS[entry.action] || entry.action} · ` +
+            (entry.user ? `${entry.user}${entry.role ? ` (${entry.role})` : ''}` : 'not logged in');
+        header.title = `Device ${entry.device}`;
+        item.appendChild(header);
+        
+        for (const change of entry.changes) {
+            const line = document.createElement('div');
+            line.className = 'audit-change';
+            line.textContent = `${change.field}: ${change.before || '—'} → ${change.after || '—'}`;
+            item.appendChild(line);
+        }
+        
+        list.appendChild(item);
+    }
+    
+    document.getElementById('auditCount').textContent = `${entries.length} of ${auditLog.length} entries`;
+    document.getElementById('auditEmpty').style.display = entries.length === 0 ? 'block' : 'none';
+}
+
+/**
+ * Quotes a value for a CSV cell
+ * Cells starting with = + - or @ are prefixed so spreadsheets do not run them as formulas.
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+function toCsvCell(value) {
+    let text = String(value === undefined || value === null ? '' : value);
+    if (/^[=+\-@]/.test(text)) {
+        text = "'" + text;
+    }
+    return '"' + text.replace(/"/g, '""') + '"';
+}
+
+/**
+ * Builds a CSV of audit entries - one row per changed field
+ * @param {Array<Object>} entries - Audit entries
+ * @returns {string} CSV text
+ */
+function buildAuditCsv(entries) {
+    const rows = [['Time', 'User', 'Role', 'Device', 'Action', 'Field', 'Before', 'After']];
+    for (const entry of entries) {
+        const changes = entry.changes.length > 0 ? entry.changes : [{ field: '', before: '', after: '' }];
+        for (const change of changes) {
+            rows.push([entry.at, entry.user || '', entry.role || '', entry.device, entry.action, change.field, change.before, change.after]);
+        }
+    }
+    return rows.map(row => row.map(toCsvCell).join(',')).join('\r\n');
+}
+
+/**
+ * Downloads the filtered audit entries as a CSV file
+ */
+function exportAuditCsv() {
+    if (!requirePermission('viewAudit')) return;
+    
+    const entries = getFilteredAuditLog();
+    const blob = new Blob([buildAuditCsv(entries)], { type: 'text/csv;charset=utf-8' });
+    const link = document.createElement('a');
+    link.download = `seva-audit-log-${new Date().toISOString().split('T')[0]}.csv`;
+    link.href = URL.createObjectURL(blob);
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    
+    showNotification(`Exported ${entries.length} audit entries 📋`, 'success');
+}
+
+// ============================================================================
+// UNDO / REDO
+// ============================================================================
+
+/**
+ * Takes a copy of the state that undo/redo restores
+ * History is append-only and the schedule claim belongs to the sync, so
+ * neither is part of the snapshot
+ * @returns {Object} Deep copy of tasks, assignments, roster, rules, groups, settings and availability
+ */
+function getUndoSnapshot() {
+    // Accounts and the logs are never undone - undo must not bring back a revoked account or role
+    const { history, scheduleClaim, accounts, loginFailures, auditLog, ...undoable } = getSyncedState();
+    return JSON.parse(JSON.stringify(undoable));
+}
+
+/**
+ * Adds a step to the undo stack and clears the redo stack
+ * @param {Object|null} snapshot - State before the change
+ */
+function pushUndoStep(snapshot) {
+    if (snapshot === null) return;
+    undoStack = undoStack.concat([snapshot]).slice(-MAX_UNDO_STEPS);
+    redoStack = [];
+    updateUndoButtons();
+}
+
+/**
+ * Forgets all undo/redo steps
+ */
+function clearUndoHistory() {
+    undoStack = [];
+    redoStack = [];
+    updateUndoButtons();
+}
+
+/**
+ * Restores a snapshot, saves it (which syncs it to other devices) and refreshes the views
+ * @param {Object} snapshot - State to restore
+ * @param {string} action - 'undo' or 'redo'
+ */
+function restoreUndoSnapshot(snapshot, action) {
+    houseName = snapshot.houseName;
+    currentTasks = snapshot.tasks;
+    currentAssignments = snapshot.assignments;
+    currentRoster = snapshot.roster;
+    currentRules = snapshot.rules;
+    currentGroups = snapshot.groups;
+    currentAvailability = snapshot.availability;
+    currentCompletions = snapshot.completions;
+    // The last scheduled run is not undone, or the schedule would rotate again
+    rotationSettings = {
+        ...snapshot.settings,
+        schedule: { ...snapshot.settings.schedule, lastRunBoundary: rotationSettings.schedule.lastRunBoundary }
+    };
+    
+    recordAuditEntry(action);
+    saveAssignments(action);
+    renderTable();
+    refreshOpenManagers();
+    updateUndoButtons();
+    notifyOtherUsers(action);
+}
+
+/**
+ * Re-renders the admin manager modals that are open, after the state changed under them
+ */
+function refreshOpenManagers() {
+    const isOpen = (id) => document.getElementById(id).style.display === 'flex';
+    
+    if (isOpen('rosterModal')) renderRosterList();
+    if (isOpen('taskModal')) renderTaskList();
+    if (isOpen('rulesModal')) {
+        populateRuleFormOptions();
+        renderRulesList();
+    }
+    if (isOpen('rotationPreviewModal')) {
+        renderRotationPreview();
+        renderScheduleSettings();
+    }
+    if (isOpen('availabilityModal')) renderAvailabilityList();
+    if (isOpen('accountsModal')) renderAccountList();
+    if (isOpen('auditModal')) {
+        renderAuditFilters();
+        renderAuditLog();
+    }
+}
+
+/**
+ * Undoes the last change made on this tab
+ */
+function undoLastChange() {
+    if (!requirePermission('undo')) return;
+    
+    if (undoStack.length === 0) {
+        showNotification('Nothing to undo', 'info');
+        return;
+    }
+    
+    redoStack = redoStack.concat([getUndoSnapshot()]);
+    const previous = undoStack[undoStack.length - 1];
+    undoStack = undoStack.slice(0, -1);
+    restoreUndoSnapshot(previous, 'undo');
+    
+    showNotification('Change undone ↶', 'info', { label: 'Redo', onClick: redoLastChange });
+    console.log('Undo applied, steps left:', undoStack.length);
+}
+
+/**
+ * Redoes the last undone change
+ */
+function redoLastChange() {
+    if (!requirePermission('undo')) return;
+    
+    if (redoStack.length === 0) {
+        showNotification('Nothing to redo', 'info');
+        return;
+    }
+    
+    undoStack = undoStack.concat([getUndoSnapshot()]);
+    const next = redoStack[redoStack.length - 1];
+    redoStack = redoStack.slice(0, -1);
+    restoreUndoSnapshot(next, 'redo');
+    
+    showNotification('Change redone ↷', 'info', getUndoNotificationAction());
+    console.log('Redo applied, steps left:', redoStack.length);
+}
+
+/**
+ * Gets the Undo button for a success toast
+ * @returns {Object|null} Notification action, or null when there is nothing to undo
+ */
+function getUndoNotificationAction() {
+    return undoStack.length > 0 ? { label: 'Undo', onClick: undoLastChange } : null;
+}
+
+/**
+ * Enables or disables the undo/redo buttons
+ */
+function updateUndoButtons() {
+    const undoBtn = document.getElementById('undoBtn');
+    const redoBtn = document.getElementById('redoBtn');
+    if (!undoBtn || !redoBtn) return;
+    
+    undoBtn.disabled = undoStack.length === 0;
+    redoBtn.disabled = redoStack.length === 0;
+}
+
+// ============================================================================
+// QUALITY OF LIFE IMPROVEMENTS
+// ============================================================================
+
+/**
+ * Takes a screenshot of the current assignments table
+ * This makes it easy to share the current state with your group
+ */
+function takeScreenshot() {
+    try {
+        // Hide buttons and unnecessary elements for clean screenshot
+        const controls = document.querySelector('.controls');
+        const footer = document.querySelector('.footer');
+        const notification = document.getElementById('notification');
+        
+        // Store original display states
+        const originalControlsDisplay = controls.style.display;
+        const originalFooterDisplay = footer.style.display;
+        const originalNotificationDisplay = notification.style.display;
+        
+        // Hide elements for clean screenshot
+        controls.style.display = 'none';
+        footer.style.display = 'none';
+        notification.style.display = 'none';
+        
+        // Add screenshot class to body for special styling
+        document.body.classList.add('screenshot-mode');
+        
+        // Use simple canvas method that doesn't require permissions
+        captureWithCanvas();
+        
+        // Restore original display states after a delay
+        setTimeout(() => {
+            controls.style.display = originalControlsDisplay;
+            footer.style.display = originalFooterDisplay;
+            notification.style.display = originalNotificationDisplay;
+            document.body.classList.remove('screenshot-mode');
+        }, 1000);
+        
+    } catch (error) {
+        console.error('Screenshot error:', error);
+        showNotification('Screenshot failed! Please try again.', 'error');
+    }
+}
+
+/**
+ * Capture screenshot using the actual webpage content - exact same styling!
+ */
+function captureWithCanvas() {
+    // Create a temporary container with all the content
+    const tempContainer = document.createElement('div');
+    tempContainer.style.position = 'absolute';
+    tempContainer.style.top = '-9999px';
+    tempContainer.style.left = '-9999px';
+    tempContainer.style.width = '1000px';
+    tempContainer.style.backgroundColor = getComputedStyle(document.body).backgroundColor;
+    tempContainer.style.fontFamily = getComputedStyle(document.body).fontFamily;
+    tempContainer.style.color = getComputedStyle(document.body).color;
+    
+    // Clone the actual webpage elements to preserve all styling
+    const header = document.querySelector('.header').cloneNode(true);
+    const tableContainer = document.querySelector('.table-container').cloneNode(true);
+    const gujaratiText = document.querySelector('.gujarati-text').cloneNode(true);
+    
+    // Apply screenshot mode styles to the cloned elements
+    header.classList.add('screenshot-mode');
+    tableContainer.classList.add('screenshot-mode');
+    gujaratiText.classList.add('screenshot-mode');
+    
+    tempContainer.appendChild(header);
+    tempContainer.appendChild(tableContainer);
+    tempContainer.appendChild(gujaratiText);
+    
+    // Add to DOM temporarily so styles are applied
+    document.body.appendChild(tempContainer);
+    
+    // Try to use html2canvas if available for perfect rendering
+    if (typeof html2canvas !== 'undefined') {
+        html2canvas(tempContainer, {
+            backgroundColor: getComputedStyle(document.body).backgroundColor,
+            scale: 2, // Higher quality
+            useCORS: true,
+            allowTaint: true,
+            logging: false
+        }).then(canvas => {
+            const link = document.createElement('a');
+            link.download = `seva-assignments-${new Date().toISOString().split('T')[0]}.png`;
+            link.href = canvas.toDataURL('image/png', 1.0);
+            link.click();
+            
+            showNotification('Screenshot saved! 📸');
+            document.body.removeChild(tempContainer);
+        }).catch(error => {
+            console.log('html2canvas failed, using fallback method');
+            fallbackCanvasMethod(tempContainer);
+        });
+    } else {
+        // Fallback method using browser's built-in canvas
+        fallbackCanvasMethod(tempContainer);
+    }
+}
+
+/**
+ * Fallback method that renders the actual DOM content to canvas
+ */
+function fallbackCanvasMethod(tempContainer) {
+    // Create canvas with proper dimensions
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    
+    // Set canvas size with breathing space
+    canvas.width = 1000;  // Width adjusted as requested
+    canvas.height = 800;  // Taller for better proportions
+    
+    // Get computed styles from the actual webpage
+    const bodyStyles = getComputedStyle(document.body);
+    const titleStyles = getComputedStyle(document.querySelector('.main-title'));
+    const subtitleStyles = getComputedStyle(document.querySelector('.sub-title'));
+    const tableStyles = getComputedStyle(document.querySelector('.seva-table'));
+    
+    // Fill background
+    ctx.fillStyle = bodyStyles.backgroundColor;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    
+    // Render title with exact same styling
+    ctx.fillStyle = titleStyles.color;
+    ctx.font = `${titleStyles.fontWeight} ${titleStyles.fontSize} ${titleStyles.fontFamily}`;
+    ctx.textAlign = 'center';
+    ctx.fillText('IT\'S HOUSE CLEANING SEVA TIME!', canvas.width / 2, 60);
+    
+    // Render subtitle with exact same styling
+    ctx.fillStyle = subtitleStyles.color;
+    ctx.font = `${subtitleStyles.fontWeight} ${subtitleStyles.fontSize} ${subtitleStyles.fontFamily}`;
+    ctx.fillText('LETS TRY TO COMPLETE IT BEFORE SUNDAY 🙏', canvas.width / 2, 90);
+    
+    // Draw table with exact same styling and breathing space
+    const tableY = 150;  // More space from title
+    const tableHeight = 400;  // Taller table
+    const tableWidth = 900;   // Fixed width for better proportions
+    const tableX = (canvas.width - tableWidth) / 2;  // Center the table
+    
+    // Table background and border
+    ctx.fillStyle = tableStyles.backgroundColor;
+    ctx.fillRect(tableX, tableY, tableWidth, tableHeight);
+    
+    // Table border
+    ctx.strokeStyle = '#ff7e16';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(tableX, tableY, tableWidth, tableHeight);
+    
+    // Table header
+    ctx.fillStyle = '#ff7e16';
+    ctx.fillRect(tableX, tableY, tableWidth, 40);
+    
+    // Header text with exact styling
+    ctx.fillStyle = '#242424';
+    ctx.font = 'bold 16px Inter, Arial, sans-serif';
+    ctx.textAlign = 'left';
+    ctx.fillText('Seva', tableX + 20, tableY + 25);
+    ctx.fillText('Bhakto', tableX + tableWidth/2 + 20, tableY + 25);
+    
+    // Table rows with exact styling
+    ctx.fillStyle = '#ffffff';
+    ctx.font = '600 14px Inter, Arial, sans-serif';
+    
+    let rowY = tableY + 60;
+    const rowHeight = 30;
+    
+    const coverage = computeCoverage(currentAssignments);
+    for (let i = 0; i < currentTasks.length; i++) {
+        const seva = currentTasks[i].name;
+        const bhakto = coverage[i] || [];
+        
+        // Row separator
+        ctx.strokeStyle = '#dddddd';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(tableX, rowY);
+        ctx.lineTo(tableX + tableWidth, rowY);
+        ctx.stroke();
+        
+        // Text with proper spacing
+        ctx.fillText(seva, tableX + 20, rowY - 8);
+        ctx.fillText(formatCoveredPeople(bhakto), tableX + tableWidth/2 + 20, rowY - 8);
+        
+        rowY += rowHeight;
+    }
+    
+    // Gujarati text with exact styling and breathing space
+    const gujaratiStyles = getComputedStyle(document.querySelector('.gujarati-text'));
+    ctx.fillStyle = gujaratiStyles.color;
+    ctx.font = `${gujaratiStyles.fontWeight} ${gujaratiStyles.fontSize} ${gujaratiStyles.fontFamily}`;
+    ctx.textAlign = 'center';
+    ctx.fillText('સેવા માં બની ગરજુ ન કરીએ ફરિયાદ મફત જે મળી મોજ તેને લૂટી લઈએ આજ', canvas.width / 2, 600);
+    
+    // Download the image
+    const link = document.createElement('a');
+    link.download = `seva-assignments-${new Date().toISOString().split('T')[0]}.png`;
+    link.href = canvas.toDataURL('image/png', 1.0);
+    link.click();
+    
+    showNotification('Screenshot saved! 📸');
+    document.body.removeChild(tempContainer);
+}
+
+
+/**
+ * Shares the current assignments via Web Share API or clipboard
+ * This makes it easy to send assignments to your group chat
+ */
+async function shareAssignments() {
+    try {
+        // Create a formatted text version of the assignments
+        let shareText = "🏠 HOUSE CLEANING SEVA ASSIGNMENTS 🏠\n\n";
+        shareText += "📅 " + getCurrentTimestamp() + "\n\n";
+        
+        const coverage = computeCoverage(currentAssignments);
+        for (let i = 0; i < currentTasks.length; i++) {
+            const seva = currentTasks[i].name;
+            const bhakto = coverage[i] || [];
+            shareText += `📍 ${seva}: ${formatCoveredPeople(bhakto)}\n`;
+        }
+        
+        shareText += "\n🙏 Let's complete it before Sunday!";
+        
+        // Try to use Web Share API if available (mobile browsers)
+        if (navigator.share) {
+            await navigator.share({
+                title: 'Seva Assignments',
+                text: shareText
+            });
+            showNotification('Shared successfully! 📤');
+        } else {
+            // Fallback: copy to clipboard
+            await navigator.clipboard.writeText(shareText);
+            showNotification('Assignments copied to clipboard! 📋');
+        }
+        
+    } catch (error) {
+        console.error('Share error:', error);
+        showNotification('Share failed! Try copying manually.', 'error');
+    }
+}
+
+/**
+ * Show share modal with URL
+ */
+function showShareModal() {
+    const modal = document.getElementById('shareModal');
+    const shareUrl = document.getElementById('shareUrl');
+    
+    const roomId = getOrCreateRoomId();
+    const shareUrlValue = `${window.location.origin}${window.location.pathname}?room=${roomId}`;
+    
+    shareUrl.value = shareUrlValue;
+    modal.style.display = 'flex';
+}
+
+/**
+ * Hide share modal
+ */
+function hideShareModal() {
+    const modal = document.getElementById('shareModal');
+    modal.style.display = 'none';
+}
+
+/**
+ * Copy share URL to clipboard
+ */
+async function copyShareUrl() {
+    const shareUrl = document.getElementById('shareUrl');
+    
+    try {
+        await navigator.clipboard.writeText(shareUrl.value);
+        showNotification('URL copied to clipboard! 📋', 'success');
+    } catch (error) {
+        console.error('Copy to clipboard failed:', error);
+        shareUrl.select();
+        shareUrl.setSelectionRange(0, 99999);
+        
+        try {
+            document.execCommand('copy');
+            showNotification('URL copied to clipboard! 📋', 'success');
+        } catch (fallbackError) {
+            console.error('Fallback copy failed:', fallbackError);
+            showNotification('Copy failed. Please copy manually.', 'error');
+        }
+    }
+}
+
+// ============================================================================
+// EVENT LISTENERS AND INITIALIZATION
+// ============================================================================
+
+/**
+ * Sets up all event listeners for buttons and interactions
+ * This function is called when the page loads
+ */
+function setupEventListeners() {
+    // Rotate button - main functionality
+    const rotateBtn = document.getElementById('rotateBtn');
+    rotateBtn.addEventListener('click', showRotationPreviewModal);
+    
+    // Rotation preview modal
+    document.getElementById('rotationModeSelect').addEventListener('change', renderRotationPreview);
+    document.getElementById('rotationWeeksSelect').addEventListener('change', renderRotationPreview);
+    document.getElementById('scheduleEnabled').addEventListener('change', updateSchedule);
+    document.getElementById('scheduleDay').addEventListener('change', updateSchedule);
+    document.getElementById('scheduleHour').addEventListener('change', updateSchedule);
+    document.getElementById('confirmRotationBtn').addEventListener('click', confirmRotationPreview);
+    document.getElementById('cancelRotationBtn').addEventListener('click', hideRotationPreviewModal);
+    document.getElementById('closeRotationPreviewModal').addEventListener('click', hideRotationPreviewModal);
+    
+    const rotationPreviewModal = document.getElementById('rotationPreviewModal');
+    rotationPreviewModal.addEventListener('click', (e) => {
+        if (e.target === rotationPreviewModal) {
+            hideRotationPreviewModal();
+        }
+    });
+    
+    // Screenshot button - quality of life improvement
+    const screenshotBtn = document.getElementById('screenshotBtn');
+    screenshotBtn.addEventListener('click', takeScreenshot);
+    
+    // Share button - quality of life improvement
+    const shareBtn = document.getElementById('shareBtn');
+    shareBtn.addEventListener('click', shareAssignments);
+    
+    // Share Link button - global sync sharing
+    const linkBtn = document.getElementById('linkBtn');
+    linkBtn.addEventListener('click', showShareModal);
+    
+    // Reset button - utility function
+    const resetBtn = document.getElementById('resetBtn');
+    resetBtn.addEventListener('click', resetToDefault);
+    
+    // Clear storage button - utility function
+    const clearStorageBtn = document.getElementById('clearStorageBtn');
+    clearStorageBtn.addEventListener('click', clearStorageAndReset);
+    
+    // Admin accounts manager
+    document.getElementById('accountsBtn').addEventListener('click', showAccountsModal);
+    document.getElementById('closeAccountsModal').addEventListener('click', hideAccountsModal);
+    document.getElementById('addAccountBtn').addEventListener('click', addAccount);
+    document.getElementById('changePasswordBtn').addEventListener('click', changeAccountPassword);
+    document.getElementById('clearLoginFailuresBtn').addEventListener('click', clearLoginFailures);
+    
+    const accountsModal = document.getElementById('accountsModal');
+    accountsModal.addEventListener('click', (e) => {
+        if (e.target === accountsModal) {
+            hideAccountsModal();
+        }
+    });
+    
+    // Viewer list behind the footer's viewer count
+    document.getElementById('viewerInfo').addEventListener('click', showViewersModal);
+    document.getElementById('closeViewersModal').addEventListener('click', hideViewersModal);
+    
+    const viewersModal = document.getElementById('viewersModal');
+    viewersModal.addEventListener('click', (e) => {
+        if (e.target === viewersModal) {
+            hideViewersModal();
+        }
+    });
+    
+    // House switcher behind the header's house name
+    document.getElementById('houseBtn').addEventListener('click', showHousesModal);
+    document.getElementById('closeHousesModal').addEventListener('click', hideHousesModal);
+    document.getElementById('renameHouseBtn').addEventListener('click', renameHouse);
+    document.getElementById('createHouseBtn').addEventListener('click', createHouse);
+    document.getElementById('houseNameInput').addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+            renameHouse();
+        }
+    });
+    document.getElementById('newHouseName').addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+            createHouse();
+        }
+    });
+    
+    const housesModal = document.getElementById('housesModal');
+    housesModal.addEventListener('click', (e) => {
+        if (e.target === housesModal) {
+            hideHousesModal();
+        }
+    });
+    
+    // Audit log viewer
+    document.getElementById('auditBtn').addEventListener('click', showAuditModal);
+    document.getElementById('closeAuditModal').addEventListener('click', hideAuditModal);
+    document.getElementById('exportAuditBtn').addEventListener('click', exportAuditCsv);
+    ['auditActionFilter', 'auditUserFilter'].forEach(id => {
+        document.getElementById(id).addEventListener('change', renderAuditLog);
+    });
+    document.getElementById('auditSearch').addEventListener('input', renderAuditLog);
+    
+    const auditModal = document.getElementById('auditModal');
+    auditModal.addEventListener('click', (e) => {
+        if (e.target === auditModal) {
+            hideAuditModal();
+        }
+    });
+    
+    // Roster manager button and modal
+    const rosterBtn = document.getElementById('rosterBtn');
+    rosterBtn.addEventListener('click', showRosterModal);
+    
+    const closeRosterModalBtn = document.getElementById('closeRosterModal');
+    closeRosterModalBtn.addEventListener('click', hideRosterModal);
+    
+    const addRosterBtn = document.getElementById('addRosterBtn');
+    addRosterBtn.addEventListener('click', addRosterMember);
+    
+    const linkMembersBtn = document.getElementById('linkMembersBtn');
+    linkMembersBtn.addEventListener('click', linkRosterMembers);
+    
+    document.getElementById('newRosterName').addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+            addRosterMember();
+        }
+    });
+    
+    const rosterModal = document.getElementById('rosterModal');
+    rosterModal.addEventListener('click', (e) => {
+        if (e.target === rosterModal) {
+            hideRosterModal();
+        }
+    });
+    
+    // Task editor button and modal
+    const tasksBtn = document.getElementById('tasksBtn');
+    tasksBtn.addEventListener('click', showTaskModal);
+    
+    const closeTaskModalBtn = document.getElementById('closeTaskModal');
+    closeTaskModalBtn.addEventListener('click', hideTaskModal);
+    
+    const addTaskBtn = document.getElementById('addTaskBtn');
+    addTaskBtn.addEventListener('click', addTask);
+    
+    const taskModal = document.getElementById('taskModal');
+    taskModal.addEventListener('click', (e) => {
+        if (e.target === taskModal) {
+            hideTaskModal();
+        }
+    });
+    
+    // Rotation rules button and modal
+    const rulesBtn = document.getElementById('rulesBtn');
+    rulesBtn.addEventListener('click', showRulesModal);
+    
+    const closeRulesModalBtn = document.getElementById('closeRulesModal');
+    closeRulesModalBtn.addEventListener('click', hideRulesModal);
+    
+    document.getElementById('ruleType').addEventListener('change', updateRuleFormFields);
+    
+    const addRuleBtn = document.getElementById('addRuleBtn');
+    addRuleBtn.addEventListener('click', addRule);
+    
+    const rulesModal = document.getElementById('rulesModal');
+    rulesModal.addEventListener('click', (e) => {
+        if (e.target === rulesModal) {
+            hideRulesModal();
+        }
+    });
+    
+    // History button and modal - open to everyone
+    const historyBtn = document.getElementById('historyBtn');
+    historyBtn.addEventListener('click', showHistoryModal);
+    
+    const closeHistoryModalBtn = document.getElementById('closeHistoryModal');
+    closeHistoryModalBtn.addEventListener('click', hideHistoryModal);
+    
+    document.getElementById('historyEntrySelect').addEventListener('change', renderHistorySnapshot);
+    
+    const historyModal = document.getElementById('historyModal');
+    historyModal.addEventListener('click', (e) => {
+        if (e.target === historyModal) {
+            hideHistoryModal();
+        }
+    });
+    
+    // Availability - available to everyone, like the history
+    document.getElementById('availabilityBtn').addEventListener('click', showAvailabilityModal);
+    document.getElementById('closeAvailabilityModal').addEventListener('click', hideAvailabilityModal);
+    document.getElementById('addAwayBtn').addEventListener('click', addAwayWeeks);
+    
+    const availabilityModal = document.getElementById('availabilityModal');
+    availabilityModal.addEventListener('click', (e) => {
+        if (e.target === availabilityModal) {
+            hideAvailabilityModal();
+        }
+    });
+    
+    // Sync conflict choices - the dialog stays open until one is made
+    document.getElementById('keepMyChangesBtn').addEventListener('click', () => resolveSyncConflict(true));
+    document.getElementById('useTheirChangesBtn').addEventListener('click', () => resolveSyncConflict(false));
+    
+    // Undo / redo buttons
+    const undoBtn = document.getElementById('undoBtn');
+    undoBtn.addEventListener('click', undoLastChange);
+    
+    const redoBtn = document.getElementById('redoBtn');
+    redoBtn.addEventListener('click', redoLastChange);
+    updateUndoButtons();
+    
+    // Notification close button
+    const closeNotificationBtn = document.getElementById('closeNotification');
+    closeNotificationBtn.addEventListener('click', () => {
+        document.getElementById('notification').style.display = 'none';
+    });
+    
+    // Share Modal event listeners
+    const closeShareModalBtn = document.getElementById('closeShareModal');
+    closeShareModalBtn.addEventListener('click', hideShareModal);
+    
+    const copyShareUrlBtn = document.getElementById('copyShareUrlBtn');
+    copyShareUrlBtn.addEventListener('click', copyShareUrl);
+    
+    // Close Share modal when clicking outside
+    const shareModal = document.getElementById('shareModal');
+    shareModal.addEventListener('click', (e) => {
+        if (e.target === shareModal) {
+            hideShareModal();
+        }
+    });
+    
+    // Keyboard shortcuts for power users
+    document.addEventListener('keydown', (event) => {
+        // Ctrl+R or Cmd+R to preview the rotation (coordinators and admins)
+        if ((event.ctrlKey || event.metaKey) && event.key === 'r' && hasPermission('rotate')) {
+            event.preventDefault(); // Prevent browser refresh
+            showRotationPreviewModal();
+        }
+        
+        // Ctrl+Z / Cmd+Z to undo, Ctrl+Shift+Z / Ctrl+Y to redo (logged-in roles, not while typing)
+        const isTyping = ['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName);
+        if ((event.ctrlKey || event.metaKey) && hasPermission('undo') && !isTyping) {
+            if (event.key.toLowerCase() === 'z' && !event.shiftKey) {
+                event.preventDefault();
+                undoLastChange();
+            } else if ((event.key.toLowerCase() === 'z' && event.shiftKey) || event.key === 'y') {
+                event.preventDefault();
+                redoLastChange();
+            }
+        }
+        
+        // Ctrl+S or Cmd+S for screenshot
+        if ((event.ctrlKey || event.metaKey) && event.key === 's') {
+            event.preventDefault(); // Prevent browser save
+            takeScreenshot();
+        }
+        
+        // Escape key to close modals
+        if (event.key === 'Escape') {
+            hideRosterModal();
+            hideTaskModal();
+            hideRulesModal();
+            hideHistoryModal();
+            hideRotationPreviewModal();
+            hideAvailabilityModal();
+            hideAccountsModal();
+            hideAuditModal();
+            hideViewersModal();
+            hideHousesModal();
+            hideQRCodeModal();
+        }
+    });
+    
+    console.log('Event listeners set up successfully');
+}
+
+/**
+ * Initializes the application when the page loads
+ * This is the main entry point for the application
+ */
+function initializeApp() {
+    console.log('Initializing Seva App...');
+    
+    try {
+        // Open the house from the URL's room parameter - it decides which data is loaded
+        checkForRoomParameter();
+        
+        // Pick the sync provider first - it decides what the saved data may hold
+        applySyncOverrides();
+        
+        // Load saved data or use defaults
+        loadAssignments();
+        
+        // Render the initial table
+        renderTable();
+        
+        // Set up event listeners
+        setupEventListeners();
+        
+        // Set up login system
+        setupLoginEventListeners();
+        checkLoginState();
+        applyRolePermissions(); // Viewers see only what they can use
+        
+        // Initialize real-time features
+        initializeViewerTracking();
+        startRealTimeSync();
+        
+        // Initialize global sync system
+        initializeGlobalSync();
+        
+        // Run the weekly rotation when it is due (the first check waits for the sync to load)
+        setTimeout(checkScheduledRotation, SCHEDULE_CLAIM_WAIT);
+        setInterval(checkScheduledRotation, SCHEDULE_CHECK_INTERVAL);
+        
+        // Initialize debug panel for mobile devices
+        initializeDebugPanel();
+        
+        // Cache the app for offline use and offer updates
+        registerServiceWorker();
+        
+        // Set up page visibility handling
+        document.addEventListener('visibilitychange', handleVisibilityChange);
+        window.addEventListener('beforeunload', stopRealTimeSync);
+        
+        // Show welcome message
+        showNotification('Seva App loaded successfully! Welcome back! 🏠', 'info');
+        
+        console.log('Seva App initialized successfully');
+        
+    } catch (error) {
+        console.error('Error initializing app:', error);
+        showNotification('Error loading app! Please refresh the page.', 'error');
+    }
+}
+
+// ============================================================================
+// APPLICATION STARTUP
+// ============================================================================
+
+/**
+ * Wait for the page to fully load before initializing
+ * This ensures all HTML elements are available
+ */
+document.addEventListener('DOMContentLoaded', initializeApp);
+
+// Also initialize if the page is already loaded (for some browsers)
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializeApp);
+} else {
+    initializeApp();
+}
+
+// ============================================================================
+// DEBUGGING AND DEVELOPMENT UTILITIES
+// ============================================================================
+
+/**
+ * Debug function to log current state
+ * Useful for development and troubleshooting
+ */
+function debugLogState() {
+    console.log('=== SEVA APP DEBUG STATE ===');
+    console.log('Current assignments:', currentAssignments);
+    console.log('Tasks:', currentTasks);
+    console.log('Roster:', currentRoster);
+    console.log('Rules:', currentRules);
+    console.log('Groups:', currentGroups);
+    console.log('History entries:', rotationHistory.length);
+    console.log('Storage data:', localStorage.getItem(roomStorageKey(STORAGE_KEY)));
+    console.log('============================');
+}
+
+/**
+ * Rotates the default sevas, roster, rules and linked groups for some weeks in both modes, without
+ * saving, and reports every week where a seva is not filled to its capacity or a bhakto is not placed
+ * exactly once - a regression check for the rotation, run checkRotationFit() in the console
+ * @param {number} weeks - Weeks to rotate per mode
+ * @returns {boolean} True if every week fits
+ */
+function checkRotationFit(weeks = 12) {
+    let fits = true;
+    
+    for (const mode of ['classic', 'fair']) {
+        let assignments = DEFAULT_ASSIGNMENTS;
+        let history = [];
+        for (let week = 1; week <= weeks; week++) {
+            history = history.concat({ action: 'rotation', tasks: DEFAULT_TASKS, assignments: assignments });
+            const result = mode === 'fair'
+                ? computeFairRotation(DEFAULT_TASKS, assignments, DEFAULT_ROSTER, DEFAULT_RULES, DEFAULT_GROUPS, history)
+                : computeRotation(DEFAULT_TASKS, assignments, DEFAULT_ROSTER, DEFAULT_RULES, DEFAULT_GROUPS);
+            
+            const placed = result.assignments.flat();
+            const problems = [];
+            DEFAULT_TASKS.forEach((task, i) => {
+                if (result.assignments[i].length !== task.capacity) {
+                    problems.push(`${task.name} has ${result.assignments[i].length} of ${task.capacity}`);
+                }
+            });
+            DEFAULT_ROSTER.forEach(person => {
+                const times = placed.filter(name => name === person).length;
+                if (times !== 1) {
+                    problems.push(`${person} is placed ${times} times`);
+                }
+            });
+            if (problems.length > 0) {
+                console.error(`❌ ${mode} rotation, week ${week}:`, problems);
+                fits = false;
+            }
+            assignments = result.assignments;
+        }
+    }
+    
+    console.log(fits ? `✅ Every seva filled for ${weeks} weeks in both modes` : '❌ The rotation does not fit the default data');
+    return fits;
+}
+
+// Make debug function available in browser console
+window.debugSevaApp = debugLogState;
+window.checkRotationFit = checkRotationFit;
+
+// Force reset function for troubleshooting
+window.forceReset = function() {
+    localStorage.clear();
+    location.reload();
+};
+
+// Force sync function for testing
+window.forceSync = forceSync;
+
+// ============================================================================
+// INSTALLABLE APP (SERVICE WORKER)
+// ============================================================================
+
+// How often an open page asks the server for a new sw.js
+const SW_UPDATE_CHECK_INTERVAL = 60 * 60 * 1000;
+
+/**
+ * Registers sw.js and offers to update when a new version has been installed
+ * The new worker waits until the user accepts, then the page reloads onto it.
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    
+    let updateAccepted = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (updateAccepted) {
+            window.location.reload();
+        }
+    });
+    
+    const offerUpdate = (worker) => {
+        showNotification('A new version of the app is available! 🆕', 'info', {
+            label: 'Update',
+            onClick: () => {
+                updateAccepted = true;
+                worker.postMessage({ type: 'SKIP_WAITING' });
+            }
+        });
+    };
+    
+    navigator.serviceWorker.register('sw.js').then((registration) => {
+        // Only an update if a worker already controls the page - the first install is silent
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            offerUpdate(registration.waiting);
+        }
+        
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    offerUpdate(worker);
+                }
+            });
+        });
+        
+        setInterval(() => registration.update(), SW_UPDATE_CHECK_INTERVAL);
+        console.log('📦 Service worker registered');
+    }).catch((error) => {
+        console.error('Service worker registration failed:', error);
+    });
+}
+
+// ============================================================================
+// GLOBAL SYNCHRONIZATION SYSTEM
+// ============================================================================
+
+// Global sync configuration - relay.js as primary server (it keeps the JSONBin key)
+const SYNC_CONFIG = {
+    provider: 'relay',            // 'relay', 'firebase' or 'local' (this device only)
+    syncInterval: 3000,           // 3 seconds - polling when the relay's live channel is down
+    maxPollInterval: 60000,       // polling and reconnecting back off up to 1 minute while that fails
+    conflictResolution: 'manual', // 'server_wins', 'client_wins' or 'manual' (side-by-side dialog)
+    maxRetries: 3,
+    relayUrl: '/api'              // relay.js serves the app and its API from one origin - see getConfiguredRelayUrl()
+};
+
+// Sync state variables
+let syncState = {
+    isOnline: navigator.onLine,
+    lastSyncTime: null,
+    pendingChanges: false,
+    conflictDetected: false,
+    invalidData: null,            // { source: 'remote' or 'local', version, errors } while data fails the schema
+    retryCount: 0
+};
+
+// The active sync provider and the function that stops its subscription
+let syncProvider = null;
+let unsubscribeSync = null;
+
+// Server data waiting for the user to resolve a conflict with local changes
+let pendingConflictData = null;
+
+// The push saveAssignments() has scheduled, and the promise of the last one it started
+let scheduledPushTimer = null;
+let scheduledPush = null;
+
+/**
+ * Gets the relay address set in index.html's seva-sync-url meta tag
+ * A copy of the app hosted without the relay (e.g. on GitHub Pages) has no /api of its own.
+ * @returns {string|null} Relay API URL without a trailing slash, or null to use SYNC_CONFIG.relayUrl
+ */
+function getConfiguredRelayUrl() {
+    const meta = document.querySelector('meta[name="seva-sync-url"]');
+    const url = meta ? meta.content.trim() : '';
+    return url ? url.replace(/\/$/, '') : null;
+}
+
+/**
+ * Applies the configured relay address and the ?sync= and ?syncUrl= overrides, so the app can
+ * run against a relay on this machine
+ * The overrides are limited to localhost so a shared link cannot move a device off the relay
+ * or redirect the sync traffic.
+ */
+function applySyncOverrides() {
+    const configuredUrl = getConfiguredRelayUrl();
+    if (configuredUrl) {
+        SYNC_CONFIG.relayUrl = configuredUrl;
+    }
+    
+    const urlParams = new URLSearchParams(window.location.search);
+    const provider = urlParams.get('sync');
+    const baseUrl = urlParams.get('syncUrl');
+    const isLocalPage = ['localhost', '127.0.0.1'].includes(window.location.hostname);
+    
+    if (provider && SYNC_PROVIDERS[provider] && isLocalPage) {
+        SYNC_CONFIG.provider = provider;
+    }
+    if (baseUrl && /^https?:\/\/(localhost|127\.0\.0\.1)(:\d+)?(\/|$)/.test(baseUrl)) {
+        SYNC_CONFIG.relayUrl = baseUrl.replace(/\/$/, '');
+        console.log('🧪 Using local relay:', SYNC_CONFIG.relayUrl);
+    }
+}
+
+/**
+ * Initialize global sync system
+ */
+async function initializeGlobalSync() {
+    console.log('Initializing global sync system...');
+    
+    // Set up online/offline detection
+    window.addEventListener('online', handleOnlineStatusChange);
+    window.addEventListener('offline', handleOnlineStatusChange);
+    
+    syncProvider = SYNC_PROVIDERS[SYNC_CONFIG.provider](SYNC_CONFIG);
+    
+    // Changes queued offline before the last reload still have to reach the server
+    syncState.pendingChanges = getOutbox().length > 0;
+    updateSyncStatusDisplay();
+    
+    await loadFromSyncProvider();
+    
+    subscribeToSyncProvider();
+    startPresence();
+    updateSyncStatusDisplay();
+    
+    console.log(`Global sync system initialized (${syncProvider.name})`);
+}
+
+/**
+ * Takes the open house's shared data if there is any, otherwise publishes ours
+ */
+async function loadFromSyncProvider() {
+    try {
+        const remoteData = await syncProvider.load();
+        if (remoteData && remoteData.assignments) {
+            console.log(`📥 Loading data from ${syncProvider.name}:`, remoteData);
+            handleRemoteUpdate(remoteData);
+            await replayOutbox();
+        } else if (!syncProvider.login || setupToken) {
+            // The relay only starts a house with a setup token - otherwise the first admin's setup does it
+            await pushSyncedState();
+        }
+    } catch (error) {
+        console.error(`Error loading from ${syncProvider.name}:`, error);
+    }
+}
+
+/**
+ * (Re)starts listening for remote changes, e.g. after joining another room
+ */
+function subscribeToSyncProvider() {
+    if (!syncProvider) return;
+    
+    if (unsubscribeSync) {
+        unsubscribeSync();
+    }
+    unsubscribeSync = syncProvider.subscribe((remoteData) => {
+        if (remoteData && remoteData.assignments) {
+            handleRemoteUpdate(remoteData);
+        }
+        updateSyncStatusDisplay();
+    });
+}
+
+/**
+ * Takes the server record as the current session may see it, e.g. after logging in or out
+ * The relay shows only admins the accounts and logs, so the same version can hold more or less.
+ * @param {Object} remoteData - Server record (ignored if missing, invalid or older than ours)
+ */
+function applySessionView(remoteData) {
+    if (!remoteData || syncState.pendingChanges) return;
+    if (Number(remoteData.version) >= getSyncedVersion() && isValidRemoteData(remoteData)) {
+        applyRemoteData(remoteData);
+    }
+}
+
+/**
+ * Reloads the shared data and restarts the live updates for a session that has just ended
+ */
+async function reloadSyncView() {
+    subscribeToSyncProvider();
+    try {
+        applySessionView(await syncProvider.load());
+    } catch (error) {
+        console.error(`Error reloading from ${syncProvider.name}:`, error);
+    }
+}
+
+/**
+ * Gets the server version the local data is based on
+ * @returns {number} Version counter (0 before the first sync)
+ */
+function getSyncedVersion() {
+    return Number(localStorage.getItem(roomStorageKey(SYNC_VERSION_KEY))) || 0;
+}
+
+/**
+ * Remembers the server version the local data is based on
+ * @param {number} version - Version counter from the server record
+ * @param {string} roomId - House the version belongs to (defaults to the open one)
+ */
+function setSyncedVersion(version, roomId = getOrCreateRoomId()) {
+    localStorage.setItem(roomStorageKey(SYNC_VERSION_KEY, roomId), String(Number(version) || 0));
+}
+
+/**
+ * Pushes the current synced state through the active provider
+ * The record carries a version counter one above the version our data is based on.
+ * If the server has moved past that base, the save is rejected and the conflict is
+ * handled by handleSyncConflict() instead of overwriting the other device's change.
+ * Pushing the current state also sends every queued offline change, so the outbox is emptied.
+ * @param {Object} options - { resolveConflicts: false } just reports a rejected save;
+ *                           { state } pushes an earlier state instead (outbox replay)
+ * @returns {Promise<boolean>} Whether the provider accepted the data
+ */
+async function pushSyncedState({ resolveConflicts = true, state = null } = {}) {
+    if (!syncProvider) return false;
+    
+    const roomId = getOrCreateRoomId();
+    const baseVersion = getSyncedVersion();
+    const dataToPush = {
+        ...(state || getSyncedState()),
+        timestamp: new Date().toISOString(),
+        lastModifiedBy: viewerId || 'system',
+        version: baseVersion + 1
+    };
+    
+    const errors = SevaSchema.validateDocument(dataToPush);
+    if (errors.length > 0) {
+        reportInvalidData('local', dataToPush.version, errors);
+        return false;
+    }
+    
+    try {
+        console.log(`📤 Pushing version ${dataToPush.version} to ${syncProvider.name}:`, dataToPush);
+        const savedVersion = await syncProvider.save(dataToPush, baseVersion);
+        console.log(`✅ Data pushed to ${syncProvider.name} successfully`);
+        setSyncedVersion(savedVersion || dataToPush.version, roomId);
+        if (roomId !== getOrCreateRoomId()) {
+            // Another house was opened while the push was on its way - the rest is about that one
+            if (!state) {
+                localStorage.removeItem(roomStorageKey(OUTBOX_KEY, roomId));
+            }
+            return true;
+        }
+        syncState.invalidData = null;
+        if (!state) {
+            clearOutbox();
+        }
+        syncState.lastSyncTime = new Date();
+        syncState.pendingChanges = getOutbox().length > 0;
+        return true;
+    } catch (error) {
+        if (roomId !== getOrCreateRoomId()) {
+            console.warn(`⚠️ Push to house ${roomId} failed after leaving it:`, error.message);
+        } else if (error.code === 'SYNC_CONFLICT') {
+            console.warn(`⚠️ Save rejected - server is at version ${error.remoteData.version}, ours was based on ${baseVersion}`);
+            if (resolveConflicts) {
+                handleSyncConflict(error.remoteData);
+            }
+        } else if (error.code === 'SYNC_UNAUTHORIZED') {
+            console.warn('🔐 Save refused - the session has ended');
+            handleSyncUnauthorized();
+        } else if (error.code === 'SYNC_FORBIDDEN') {
+            console.warn('🔐 Save refused - not allowed for this role:', error.message);
+            handleSyncUnauthorized(error.message);
+        } else if (error.code === 'SYNC_INVALID') {
+            reportInvalidData('local', dataToPush.version, error.errors);
+        } else {
+            console.error(`❌ Error pushing to ${syncProvider.name}:`, error);
+        }
+        return false;
+    } finally {
+        updateSyncStatusDisplay();
+    }
+}
+
+/**
+ * Sends the push saveAssignments() has scheduled right away
+ * Used before logging out - the relay refuses saves once the session is gone.
+ */
+function flushScheduledPush() {
+    if (!scheduledPushTimer) return;
+    
+    clearTimeout(scheduledPushTimer);
+    scheduledPushTimer = null;
+    scheduledPush = pushSyncedState();
+}
+
+/**
+ * Handles a save the relay refused
+ * Without a reason the session has ended: the user is logged out and the server's data
+ * replaces the changes. With one the session is fine but the relay did not accept the
+ * change - it stays queued on this device until the user discards it.
+ * @param {string} [reason] - Why the relay refused a logged-in save
+ */
+async function handleSyncUnauthorized(reason) {
+    if (reason) {
+        if (getOutbox().length === 0) {
+            queueOutboxEntry(null);
+        }
+        showNotification(`The server refused the change: ${reason} 🔐`, 'error', {
+            label: 'Discard',
+            onClick: () => discardLocalChanges()
+        });
+        return;
+    }
+    
+    if (isLoggedIn) {
+        logOut();
+        showNotification('Your login has ended - please log in again to save changes 🔐', 'error');
+    }
+    await discardLocalChanges();
+}
+
+/**
+ * Drops the queued changes and takes the server's data again
+ */
+async function discardLocalChanges() {
+    clearOutbox();
+    syncState.pendingChanges = false;
+    updateSyncStatusDisplay();
+    
+    try {
+        const remoteData = await fetchLatestRemoteState();
+        if (remoteData && remoteData.assignments && isValidRemoteData(remoteData)) {
+            applyRemoteData(remoteData);
+        }
+    } catch (error) {
+        console.error('Error reloading the shared data:', error);
+    }
+}
+
+/**
+ * Checks data received from the server against the schema in schema.js
+ * Invalid data is never applied - the sync indicator shows the error instead.
+ * @param {Object} remoteData - Server record
+ * @returns {boolean} True if the data can be applied
+ */
+function isValidRemoteData(remoteData) {
+    const errors = SevaSchema.validateDocument(remoteData);
+    if (errors.length === 0) {
+        if (syncState.invalidData && syncState.invalidData.source === 'remote') {
+            syncState.invalidData = null;
+            updateSyncStatusDisplay();
+        }
+        return true;
+    }
+    
+    reportInvalidData('remote', remoteData.version, errors);
+    return false;
+}
+
+/**
+ * Puts the sync indicator in its error state for data that failed the schema
+ * Polling sees the same bad record again and again - it is reported once per version.
+ * @param {string} source - 'remote' (received from the server) or 'local' (about to be pushed)
+ * @param {number} version - Version of the record
+ * @param {Array<string>} errors - Problems found by SevaSchema.validateDocument()
+ */
+function reportInvalidData(source, version, errors) {
+    const previous = syncState.invalidData;
+    syncState.invalidData = { source: source, version: version, errors: errors };
+    updateSyncStatusDisplay();
+    if (previous && previous.source === source && previous.version === version) return;
+    
+    console.error(`❌ Invalid ${source === 'remote' ? 'data from the server' : 'data not pushed'} (version ${version}):`, errors);
+    showNotification(source === 'remote'
+        ? 'Ignored invalid data from the server - the table keeps the last good version ⚠️'
+        : 'Your changes could not be synced - they failed the data check ⚠️', 'error');
+}
+
+/**
+ * Reads the latest synced state straight from the sync backend
+ * @returns {Promise<Object|null>} Remote data, or null if there is no backend
+ * @throws {Error} When the backend cannot be reached
+ */
+async function fetchLatestRemoteState() {
+    if (!syncProvider) return null;
+    return syncProvider.load();
+}
+
+/**
+ * Gets the room id of the house open in this tab
+ * The first call opens the house this browser had open last, or the main house.
+ * Room ids from before houses existed were made from the page URL and never
+ * match ROOM_ID_PATTERN - those devices were all in the main house.
+ * @returns {string} Room id
+ */
+function getOrCreateRoomId() {
+    if (!currentRoomId) {
+        const storedRoomId = localStorage.getItem(ROOM_ID_KEY);
+        currentRoomId = isValidRoomId(storedRoomId) ? storedRoomId : DEFAULT_ROOM_ID;
+        localStorage.setItem(ROOM_ID_KEY, currentRoomId);
+        console.log('🏠 Opened house:', currentRoomId);
+    }
+    return currentRoomId;
+}
+/**
+ * Handle updates from remote devices
+ * Versions decide what is newer: anything at or below the version our data is
+ * based on is our own push echoed back (or stale). A newer version is applied,
+ * unless we have unsaved local changes - then it is a conflict.
+ */
+function handleRemoteUpdate(remoteData) {
+    try {
+        const remoteVersion = Number(remoteData.version) || 0;
+        const localVersion = getSyncedVersion();
+        
+        if (remoteVersion <= localVersion || !isValidRemoteData(remoteData)) {
+            return;
+        }
+        if (pendingConflictData && remoteVersion <= Number(pendingConflictData.version)) {
+            // Already showing this version in the conflict dialog
+            return;
+        }
+        
+        console.log('Remote update received:', {
+            remoteVersion: remoteVersion,
+            localVersion: localVersion,
+            remoteModifiedBy: remoteData.lastModifiedBy,
+            pendingChanges: syncState.pendingChanges
+        });
+        
+        if (syncState.pendingChanges) {
+            handleSyncConflict(remoteData);
+            return;
+        }
+        
+        console.log('✅ Updating local data with remote data');
+        applyRemoteData(remoteData);
+        
+        // Only show notification if this is from a different device
+        if (remoteData.lastModifiedBy !== viewerId) {
+            showNotification('Data updated from another device! 🔄', 'info');
+        }
+    } catch (error) {
+        console.error('Error handling remote update:', error);
+    }
+}
+
+/**
+ * Replaces the local state with data from the server
+ * @param {Object} remoteData - Server record
+ */
+function applyRemoteData(remoteData) {
+    applySyncedState(remoteData);
+    localStorage.setItem(roomStorageKey(STORAGE_KEY), JSON.stringify(getStorableState(remoteData)));
+    localStorage.setItem(roomStorageKey(LAST_UPDATED_KEY), remoteData.timestamp);
+    setSyncedVersion(remoteData.version);
+    clearOutbox();
+    
+    syncState.lastSyncTime = new Date();
+    syncState.pendingChanges = false;
+    
+    renderTable();
+    updateLastUpdatedTime();
+    updateSyncStatusDisplay();
+    ensureAccountStillValid();
+}
+
+/**
+ * Handle sync conflicts when multiple devices edit simultaneously
+ * @param {Object} remoteData - Server record that our unsaved changes were not based on
+ */
+function handleSyncConflict(remoteData) {
+    console.log('Sync conflict detected');
+    
+    if (!isValidRemoteData(remoteData)) {
+        // isValidRemoteData() has shown the error - our changes stay queued rather than
+        // overwriting data we could not read, until someone fixes it on the server
+        return;
+    }
+    
+    if (SYNC_CONFIG.conflictResolution === 'server_wins') {
+        applyRemoteData(remoteData);
+        showNotification('Conflict resolved: Using data from other device', 'info');
+    } else if (SYNC_CONFIG.conflictResolution === 'client_wins') {
+        // Rebase our data on the server version and push it again
+        rebaseLogsOnto(remoteData);
+        setSyncedVersion(remoteData.version);
+        pushSyncedState();
+        showNotification('Conflict resolved: Your changes were kept', 'info');
+    } else {
+        syncState.conflictDetected = true;
+        updateSyncStatusDisplay();
+        showConflictResolutionDialog(remoteData);
+    }
+}
+
+/**
+ * Show conflict resolution dialog
+ * Lists every seva side by side - this device's version and the server's - with the
+ * differing rows highlighted. Called again while open, it shows the newest server data.
+ * @param {Object} remoteData - Server record
+ */
+function showConflictResolutionDialog(remoteData) {
+    pendingConflictData = remoteData;
+    const theirs = migrateSyncedData(remoteData);
+    
+    const when = new Date(remoteData.timestamp);
+    const lastEntry = theirs.history[theirs.history.length - 1];
+    const action = lastEntry && lastEntry.timestamp === remoteData.timestamp ? ` (${HISTORY_ACTION_LABELS[lastEntry.action] || lastEntry.action})` : '';
+    document.getElementById('syncConflictNote').textContent =
+        `Another device saved changes at ${isNaN(when.getTime()) ? remoteData.timestamp : when.toLocaleString()}${action} while you were editing. Choose which version to keep.`;
+    
+    // Rows by task id - ours first, then tasks that only exist on the server
+    const rows = currentTasks.map((task, i) => {
+        const theirIndex = theirs.tasks.findIndex(t => t.id === task.id);
+        return {
+            name: task.name,
+            mine: currentAssignments[i],
+            theirs: theirIndex === -1 ? null : theirs.assignments[theirIndex]
+        };
+    });
+    theirs.tasks.forEach((task, i) => {
+        if (!currentTasks.some(t => t.id === task.id)) {
+            rows.push({ name: task.name, mine: null, theirs: theirs.assignments[i] });
+        }
+    });
+    
+    const tableBody = document.getElementById('syncConflictTableBody');
+    tableBody.innerHTML = '';
+    let changedRows = 0;
+    
+    for (const row of rows) {
+        const tr = document.createElement('tr');
+        const differs = JSON.stringify(row.mine) !== JSON.stringify(row.theirs);
+        if (differs) {
+            tr.className = 'conflict-row';
+            changedRows++;
+        }
+        
+        const taskCell = document.createElement('td');
+        taskCell.textContent = row.name;
+        tr.appendChild(taskCell);
+        
+        [row.mine, row.theirs].forEach(people => {
+            const cell = document.createElement('td');
+            cell.textContent = people === null ? '(no such seva)' : (formatPeople(people) || '—');
+            tr.appendChild(cell);
+        });
+        
+        tableBody.appendChild(tr);
+    }
+    
+    // Everything else that differs, by name
+    const mine = getSyncedState();
+    const otherChanges = [
+        ['tasks', 'seva list'], ['roster', 'roster'], ['rules', 'rules'], ['groups', 'linked groups'],
+        ['settings', 'rotation settings'], ['availability', 'away weeks'], ['completions', 'check-offs'],
+        ['accounts', 'accounts'], ['loginFailures', 'failed logins'], ['auditLog', 'audit log']
+    ].filter(([key]) => JSON.stringify(mine[key]) !== JSON.stringify(theirs[key])).map(([, label]) => label);
+    
+    const summary = [`${changedRows} seva${changedRows === 1 ? '' : 's'} assigned differently.`];
+    if (otherChanges.length > 0) {
+        summary.push(`Also different: ${otherChanges.join(', ')}.`);
+    }
+    document.getElementById('syncConflictSummary').textContent = summary.join(' ');
+    
+    document.getElementById('syncConflictModal').style.display = 'flex';
+}
+
+/**
+ * Adds the audit log and history entries of the server's data that this device does not have
+ * Keeping this device's version then does not drop what the other device logged - and the
+ * relay only accepts an audit log that keeps every stored entry.
+ * @param {Object} remoteData - Server record our changes are pushed over
+ */
+function rebaseLogsOnto(remoteData) {
+    const theirs = migrateSyncedData(remoteData);
+    const addMissing = (entries, mine) => {
+        const ids = new Set(entries.map(entry => entry.id));
+        return entries.concat(mine.filter(entry => !ids.has(entry.id)));
+    };
+    
+    // The server's log first - our entries are the ones added on top of it
+    auditLog = addMissing(theirs.auditLog, auditLog).slice(-MAX_AUDIT_ENTRIES);
+    rotationHistory = addMissing(theirs.history, rotationHistory)
+        .sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)))
+        .slice(-MAX_HISTORY_ENTRIES);
+}
+
+/**
+ * Resolves the open conflict
+ * @param {boolean} keepMine - true pushes this device's data over the server's,
+ *                             false replaces it with the server's
+ */
+async function resolveSyncConflict(keepMine) {
+    const remoteData = pendingConflictData;
+    if (!remoteData) return;
+    
+    pendingConflictData = null;
+    syncState.conflictDetected = false;
+    document.getElementById('syncConflictModal').style.display = 'none';
+    
+    if (keepMine) {
+        rebaseLogsOnto(remoteData);
+        setSyncedVersion(remoteData.version);
+        if (await pushSyncedState()) {
+            showNotification('Keeping your changes ✅', 'success');
+        }
+    } else {
+        applyRemoteData(remoteData);
+        showNotification('Using changes from other device 🔄', 'info');
+    }
+}
+
+/**
+ * Handle online/offline status changes
+ */
+async function handleOnlineStatusChange() {
+    syncState.isOnline = navigator.onLine;
+    updateSyncStatusDisplay();
+    
+    if (syncState.isOnline && syncProvider) {
+        console.log('Device is online, attempting to sync...');
+        try {
+            if (getOutbox().length > 0) {
+                // The first replayed push is checked against the server version
+                await replayOutbox();
+            } else {
+                const remoteData = await syncProvider.load();
+                if (remoteData && remoteData.assignments) {
+                    handleRemoteUpdate(remoteData);
+                }
+            }
+        } catch (error) {
+            console.error('Error syncing after reconnect:', error);
+        }
+        updateSyncStatusDisplay();
+    } else {
+        console.log('Device is offline, using local storage only');
+    }
+}
+
+/**
+ * Update sync status display
+ */
+function updateSyncStatusDisplay() {
+    const syncStatus = document.getElementById('syncStatus');
+    const syncIndicator = document.getElementById('syncIndicator');
+    const syncText = document.getElementById('syncText');
+    
+    if (!syncStatus) return;
+    
+    // Remove existing status classes
+    syncStatus.classList.remove('connected', 'error', 'offline');
+    syncStatus.title = syncState.invalidData ? syncState.invalidData.errors.join('\n') : '';
+    
+    const status = syncProvider ? syncProvider.status() : 'connecting';
+    const name = syncProvider ? syncProvider.name : 'sync';
+    const queued = getOutbox().length;
+    const queuedText = `${queued} change${queued === 1 ? '' : 's'} queued`;
+    
+    if (!syncState.isOnline) {
+        syncIndicator.textContent = '📡';
+        syncText.textContent = queued > 0 ? `Offline - ${queuedText}` : 'Offline';
+        syncStatus.classList.add('offline');
+    } else if (syncState.conflictDetected) {
+        syncIndicator.textContent = '⚠️';
+        syncText.textContent = 'Conflict';
+        syncStatus.classList.add('error');
+    } else if (syncState.invalidData) {
+        syncIndicator.textContent = '🚫';
+        syncText.textContent = syncState.invalidData.source === 'remote' ? 'Sync error - invalid data ignored' : 'Sync error - changes not sent';
+        syncStatus.classList.add('error');
+    } else if (queued > 0) {
+        syncIndicator.textContent = '⏳';
+        syncText.textContent = queuedText;
+        syncStatus.classList.add(status === 'error' ? 'error' : 'offline');
+    } else if (status === 'local') {
+        syncIndicator.textContent = '💾';
+        syncText.textContent = 'Saved on this device';
+        syncStatus.classList.add('connected');
+    } else if (status === 'connected') {
+        syncIndicator.textContent = '✅';
+        syncText.textContent = `${name} Synced`;
+        syncStatus.classList.add('connected');
+    } else if (status === 'error') {
+        syncIndicator.textContent = '⚠️';
+        syncText.textContent = `${name} unreachable`;
+        syncStatus.classList.add('error');
+    } else {
+        syncIndicator.textContent = '🔄';
+        syncText.textContent = `Connecting to ${name}...`;
+    }
+}
+
+// ============================================================================
+// OFFLINE OUTBOX
+// ============================================================================
+// Changes saved while offline are queued in localStorage, in order, and pushed
+// one by one when the connection returns. Each entry keeps the synced state right
+// after the change, minus the history - the history only grows, so an entry's
+// history is the current one up to the entry's time.
+
+// Whether replayOutbox() is running
+let outboxReplaying = false;
+
+/**
+ * Gets the queued offline changes, oldest first
+ * @returns {Array<Object>} Entries { id, action, queuedAt, state }
+ */
+function getOutbox() {
+    try {
+        return JSON.parse(localStorage.getItem(roomStorageKey(OUTBOX_KEY))) || [];
+    } catch (error) {
+        console.error('Error reading the outbox:', error);
+        return [];
+    }
+}
+
+/**
+ * Stores the queued offline changes
+ * @param {Array<Object>} outbox - Entries, oldest first
+ */
+function setOutbox(outbox) {
+    if (outbox.length === 0) {
+        localStorage.removeItem(roomStorageKey(OUTBOX_KEY));
+        return;
+    }
+    try {
+        localStorage.setItem(roomStorageKey(OUTBOX_KEY), JSON.stringify(outbox));
+    } catch (error) {
+        // Storage full - the latest state is still saved and goes out with the next push
+        console.error('Error saving the outbox:', error);
+    }
+}
+
+/**
+ * Queues the state after a change made while offline
+ * @param {string|null} action - What caused the change, as passed to saveAssignments()
+ */
+function queueOutboxEntry(action) {
+    const { history, ...state } = getSyncedState();
+    const outbox = getOutbox();
+    outbox.push({
+        id: 'outbox-' + Date.now() + '-' + Math.random().toString(36).substr(2, 5),
+        action: action || 'settings',
+        queuedAt: new Date().toISOString(),
+        state: JSON.parse(JSON.stringify(state))
+    });
+    setOutbox(outbox);
+    
+    syncState.pendingChanges = true;
+    updateSyncStatusDisplay();
+    console.log(`📥 Change queued offline (${outbox.length} waiting)`);
+}
+
+/**
+ * Empties the outbox - its changes were pushed or replaced by the server's data
+ */
+function clearOutbox() {
+    setOutbox([]);
+}
+
+/**
+ * Pushes the queued changes in order, each checked against the server version
+ * Stops at the first change that is not accepted: a conflict opens the conflict
+ * dialog (which settles the whole outbox), any other failure waits for the next try.
+ */
+async function replayOutbox() {
+    if (outboxReplaying || !syncProvider || getOutbox().length === 0) return;
+    
+    outboxReplaying = true;
+    const total = getOutbox().length;
+    console.log(`📤 Replaying ${total} queued change(s)...`);
+    
+    try {
+        for (const entry of getOutbox()) {
+            const history = rotationHistory.filter(item => item.timestamp <= entry.queuedAt);
+            if (!(await pushSyncedState({ state: { ...entry.state, history: history } }))) {
+                break;
+            }
+            setOutbox(getOutbox().filter(item => item.id !== entry.id));
+        }
+    } finally {
+        outboxReplaying = false;
+        syncState.pendingChanges = getOutbox().length > 0;
+        updateSyncStatusDisplay();
+    }
+    
+    if (getOutbox().length === 0 && !syncState.conflictDetected) {
+        showNotification(`${total} offline change${total === 1 ? '' : 's'} synced! 📤`, 'success');
+    }
+}
+
+// ============================================================================
+// SYNC PROVIDERS
+// ============================================================================
+// Every backend exposes the same interface:
+//   name                 - label for the sync indicator
+//   load()               - resolves to the stored data, or null if there is none yet; rejects when the
+//                          backend cannot be reached
+//   save(data, base)     - stores the data, rejects if the backend refused it - or with a
+//                          SYNC_CONFLICT error if the server version is past base (the relay
+//                          also uses SYNC_UNAUTHORIZED without a session, SYNC_FORBIDDEN for a change
+//                          the session's role may not make, SYNC_INVALID for bad data).
+//                          Resolves to the version stored if the backend numbers versions itself
+//   subscribe(onData)    - calls onData with remote data as it changes, returns an unsubscribe function
+//   status()             - 'connecting', 'connected', 'error' or 'local'
+// Backends that check logins themselves (the relay) also have:
+//   login(user, pass)    - resolves to a session { token, username, expiresAt, record }, or null for a wrong login
+//   logout(token)        - ends that session on the server
+//   clearLoginFailures(token) - empties the failed login log it keeps outside the synced data
+// Backends that can see other devices (the relay, Firebase) also have:
+//   joinPresence(entry, onViewers) - heartbeats { viewerId, name, device } and calls onViewers with the
+//                          list of viewers as it changes; returns { update(entry), leave() }
+
+/**
+ * Creates the error a provider rejects with when the server is ahead of a save
+ * @param {Object} remoteData - The record on the server
+ * @returns {Error} Error with code 'SYNC_CONFLICT' and the record as remoteData
+ */
+function createSyncConflictError(remoteData) {
+    const error = new Error(`Server is at version ${remoteData.version}`);
+    error.code = 'SYNC_CONFLICT';
+    error.remoteData = remoteData;
+    return error;
+}
+
+/**
+ * Relay provider - talks to relay.js, which holds the JSONBin key and checks the session of every save
+ * Reads need no login; saves carry the session token from the relay's /login.
+ * Changes arrive over the relay's event stream. While the stream is down the provider polls
+ * instead, and failed polls and reconnects wait twice as long each time (up to maxPollInterval).
+ * @param {Object} config - SYNC_CONFIG
+ * @returns {Object} Sync provider
+ */
+function createRelayProvider(config) {
+    let state = 'connecting';
+    let onPresence = null; // Set while joinPresence() is active - the event stream feeds it too
+    
+    const track = (promise) => promise.then(
+        (result) => { state = 'connected'; return result; },
+        (error) => {
+            state = ['SYNC_CONFLICT', 'SYNC_UNAUTHORIZED', 'SYNC_FORBIDDEN', 'SYNC_INVALID'].includes(error.code) ? 'connected' : 'error';
+            throw error;
+        }
+    );
+    
+    // Every house has its own routes on the relay
+    const roomUrl = (path) => `${config.relayUrl}/rooms/${getOrCreateRoomId()}${path}`;
+    
+    async function request(path, options = {}) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (options.token) {
+            headers.Authorization = `Bearer ${options.token}`;
+        }
+        if (options.setupToken) {
+            headers['X-Setup-Token'] = options.setupToken;
+        }
+        return fetch(roomUrl(path), {
+            method: options.method || 'GET',
+            headers: headers,
+            body: options.body ? JSON.stringify(options.body) : undefined,
+            keepalive: Boolean(options.keepalive)
+        });
+    }
+    
+    async function load() {
+        // The relay only sends the accounts and logs a session may see
+        const response = await request('/doc', { token: currentSession ? currentSession.token : null });
+        if (!response.ok) {
+            // A 404 means there is no relay at relayUrl (e.g. a static copy of the app) - an empty house is { record: null }
+            throw new Error(`Relay responded ${response.status}`);
+        }
+        const result = await response.json();
+        return result.record;
+    }
+    
+    async function save(data, baseVersion) {
+        const response = await request('/doc', {
+            method: 'PUT',
+            token: currentSession ? currentSession.token : null,
+            setupToken: currentSession ? null : setupToken,
+            body: { data: data, baseVersion: baseVersion }
+        });
+        if (response.status === 409) {
+            const result = await response.json();
+            throw createSyncConflictError(result.record);
+        }
+        if (response.status === 401) {
+            const error = new Error('The relay needs a login to save');
+            error.code = 'SYNC_UNAUTHORIZED';
+            throw error;
+        }
+        if (response.status === 403) {
+            const result = await response.json();
+            const error = new Error(result.message || 'The relay refused the change');
+            error.code = 'SYNC_FORBIDDEN';
+            throw error;
+        }
+        if (response.status === 422) {
+            const result = await response.json();
+            const error = new Error('The relay refused invalid data');
+            error.code = 'SYNC_INVALID';
+            error.errors = result.errors || [];
+            throw error;
+        }
+        if (!response.ok) {
+            throw new Error(`Relay responded ${response.status}`);
+        }
+        const result = await response.json();
+        return result.version;
+    }
+    
+    return {
+        name: 'Relay',
+        load: () => track(load()),
+        save: (data, baseVersion) => track(save(data, baseVersion)),
+        subscribe(onData) {
+            let source = null;
+            let pollTimer = null;
+            let pollDelay = config.syncInterval;
+            let reconnectTimer = null;
+            let reconnectDelay = config.syncInterval;
+            let stopped = false; // A poll still on its way when unsubscribing may be about another house
+            
+            const poll = async () => {
+                try {
+                    const data = await track(load());
+                    if (data && !stopped) onData(data);
+                    pollDelay = config.syncInterval;
+                } catch (error) {
+                    console.error('Error checking relay updates:', error);
+                    pollDelay = Math.min(pollDelay * 2, config.maxPollInterval);
+                    updateSyncStatusDisplay();
+                }
+                if (pollTimer) {
+                    pollTimer = setTimeout(poll, pollDelay);
+                }
+            };
+            const startPolling = () => {
+                if (pollTimer) return;
+                console.log('📡 Live updates unavailable - polling the relay');
+                pollTimer = setTimeout(poll, pollDelay);
+            };
+            const stopPolling = () => {
+                clearTimeout(pollTimer);
+                pollTimer = null;
+                pollDelay = config.syncInterval;
+            };
+            
+            const connect = () => {
+                reconnectTimer = null;
+                // EventSource cannot send headers - the session token goes in the URL
+                source = new EventSource(roomUrl('/events') +
+                    (currentSession ? `?token=${encodeURIComponent(currentSession.token)}` : ''));
+                source.onopen = () => {
+                    console.log('⚡ Live updates connected');
+                    state = 'connected';
+                    reconnectDelay = config.syncInterval;
+                    stopPolling();
+                    updateSyncStatusDisplay();
+                };
+                source.addEventListener('doc', (event) => {
+                    state = 'connected';
+                    onData(JSON.parse(event.data));
+                });
+                source.addEventListener('presence', (event) => {
+                    if (onPresence) onPresence(JSON.parse(event.data));
+                });
+                source.onerror = () => {
+                    startPolling();
+                    // The browser retries a dropped stream by itself, but not a refused one
+                    if (source.readyState === EventSource.CLOSED) {
+                        source = null;
+                        reconnectTimer = setTimeout(connect, reconnectDelay);
+                        reconnectDelay = Math.min(reconnectDelay * 2, config.maxPollInterval);
+                    }
+                };
+            };
+            
+            if (typeof EventSource === 'undefined') {
+                startPolling();
+            } else {
+                connect();
+            }
+            
+            return () => {
+                stopped = true;
+                if (source) source.close();
+                clearTimeout(reconnectTimer);
+                stopPolling();
+            };
+        },
+        /**
+         * Checks the password on the relay
+         * @returns {Promise<Object|null>} { token, username, expiresAt, record } - record as the session
+         *                                 may see it - or null for a wrong login
+         * @throws {Error} With retryAfter (seconds) when the relay is backing off
+         */
+        async login(username, password) {
+            const response = await request('/login', {
+                method: 'POST',
+                body: { username: username, password: password, device: viewerId || 'unknown' }
+            });
+            if (response.status === 401) return null;
+            const result = await response.json();
+            if (!response.ok) {
+                const error = new Error(result.message || `Relay responded ${response.status}`);
+                error.retryAfter = result.retryAfter;
+                throw error;
+            }
+            return result;
+        },
+        logout(token) {
+            return request('/logout', { method: 'POST', token: token });
+        },
+        async clearLoginFailures(token) {
+            const response = await request('/login-failures', { method: 'DELETE', token: token });
+            if (!response.ok) {
+                throw new Error(`Relay responded ${response.status}`);
+            }
+        },
+        /**
+         * Heartbeats this page to the relay - it names the viewer after the session's account
+         */
+        joinPresence(entry, onViewers) {
+            let current = entry;
+            onPresence = onViewers;
+            
+            const beat = async (leaving = false) => {
+                const roomId = getOrCreateRoomId();
+                try {
+                    const response = await request('/presence', {
+                        method: 'POST',
+                        token: currentSession ? currentSession.token : null,
+                        body: { viewerId: current.viewerId, device: current.device, leaving: leaving },
+                        keepalive: leaving
+                    });
+                    if (!leaving && response.ok && onPresence && roomId === getOrCreateRoomId()) {
+                        onPresence((await response.json()).viewers);
+                    }
+                } catch (error) {
+                    console.error('Error sending presence to the relay:', error);
+                }
+            };
+            
+            beat();
+            const interval = setInterval(beat, PRESENCE_HEARTBEAT_INTERVAL);
+            return {
+                update(next) {
+                    current = next;
+                    beat();
+                },
+                leave() {
+                    clearInterval(interval);
+                    onPresence = null;
+                    beat(true);
+                }
+            };
+        },
+        status: () => state
+    };
+}
+
+/**
+ * Firebase provider - real-time listener on the room's node
+ * save() is a transaction, so the version check and the write are atomic.
+ * @param {Object} config - SYNC_CONFIG
+ * @returns {Object} Sync provider
+ */
+function createFirebaseProvider(config) {
+    let state = 'connecting';
+    
+    const roomRef = () => {
+        if (!window.firebaseDatabase) {
+            throw new Error('Firebase is not loaded');
+        }
+        return window.firebaseRef(window.firebaseDatabase, `seva-rooms/${getOrCreateRoomId()}`);
+    };
+    
+    return {
+        name: 'Firebase',
+        async load() {
+            try {
+                const snapshot = await window.firebaseGet(roomRef());
+                state = 'connected';
+                return snapshot.val();
+            } catch (error) {
+                state = 'error';
+                throw error;
+            }
+        },
+        async save(data, baseVersion) {
+            let result;
+            try {
+                result = await window.firebaseRunTransaction(roomRef(),
+                    (current) => SevaSchema.isServerAhead(current, baseVersion) ? undefined : data);
+                state = 'connected';
+            } catch (error) {
+                state = 'error';
+                throw error;
+            }
+            if (!result.committed) {
+                throw createSyncConflictError(result.snapshot.val());
+            }
+        },
+        subscribe(onData) {
+            try {
+                return window.firebaseOnValue(roomRef(), (snapshot) => {
+                    state = 'connected';
+                    onData(snapshot.val());
+                }, (error) => {
+                    console.error('❌ Firebase sync error:', error);
+                    state = 'error';
+                    updateSyncStatusDisplay();
+                });
+            } catch (error) {
+                console.error('Error subscribing to Firebase:', error);
+                state = 'error';
+                return () => {};
+            }
+        },
+        /**
+         * Keeps this page's entry under the room's viewers node fresh
+         * Entries older than PRESENCE_TIMEOUT are left out - a closed tab may not get to mark itself offline.
+         */
+        joinPresence(entry, onViewers) {
+            let current = entry;
+            const viewersRef = () => window.firebaseRef(window.firebaseDatabase, `viewers/${getOrCreateRoomId()}`);
+            const ownRef = () => window.firebaseRef(window.firebaseDatabase, `viewers/${getOrCreateRoomId()}/${current.viewerId}`);
+            const beat = (online = true) => {
+                try {
+                    window.firebaseSet(ownRef(), {
+                        online: online,
+                        timestamp: new Date().toISOString(),
+                        name: current.name || null,
+                        device: current.device
+                    });
+                } catch (error) {
+                    console.error('Error sending presence to Firebase:', error);
+                }
+            };
+            
+            let unsubscribe = () => {};
+            try {
+                unsubscribe = window.firebaseOnValue(viewersRef(), (snapshot) => {
+                    const all = snapshot.val() || {};
+                    const now = Date.now();
+                    onViewers(Object.keys(all)
+                        .filter(id => all[id].online && now - new Date(all[id].timestamp).getTime() < PRESENCE_TIMEOUT)
+                        .map(id => ({ viewerId: id, name: all[id].name || null, device: all[id].device || 'Unknown device' })));
+                });
+            } catch (error) {
+                console.error('Error watching Firebase viewers:', error);
+                onViewers([entry]);
+            }
+            
+            beat();
+            const interval = setInterval(beat, PRESENCE_HEARTBEAT_INTERVAL);
+            return {
+                update(next) {
+                    current = next;
+                    beat();
+                },
+                leave() {
+                    clearInterval(interval);
+                    unsubscribe();
+                    beat(false);
+                }
+            };
+        },
+        status: () => state
+    };
+}
+
+/**
+ * Local provider - keeps data on this device only (saveAssignments already writes localStorage)
+ * @returns {Object} Sync provider
+ */
+function createLocalProvider() {
+    return {
+        name: 'This device',
+        load: async () => null,
+        save: async () => {},
+        subscribe: () => () => {},
+        status: () => 'local'
+    };
+}
+
+// Provider factories by SYNC_CONFIG.provider
+const SYNC_PROVIDERS = {
+    relay: createRelayProvider,
+    firebase: createFirebaseProvider,
+    local: createLocalProvider
+};
+
+// ============================================================================
+// REAL-TIME SYNCHRONIZATION SYSTEM (LEGACY - KEPT FOR COMPATIBILITY)
+// ============================================================================
+
+/**
+ * Generate a unique viewer ID
+ */
+function generateViewerId() {
+    return 'viewer_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+}
+
+/**
+ * Update viewer count display
+ */
+function updateViewerCountDisplay() {
+    const viewerCountElement = document.getElementById('viewerCount');
+    if (viewerCountElement) {
+        viewerCountElement.textContent = viewerCount;
+        document.getElementById('viewerCountLabel').textContent = viewerCount === 1 ? 'person' : 'people';
+    }
+}
+
+/**
+ * Initialize viewer tracking - the count comes from the sync backend's presence (see startPresence())
+ */
+function initializeViewerTracking() {
+    // Generate or get existing viewer ID
+    viewerId = localStorage.getItem(VIEWER_ID_KEY);
+    if (!viewerId) {
+        viewerId = generateViewerId();
+        localStorage.setItem(VIEWER_ID_KEY, viewerId);
+    }
+    
+    // Until the backend answers, this device is the only viewer it knows of
+    setCurrentViewers([getPresenceEntry()]);
+    
+    console.log('Viewer tracking initialized:', viewerId);
+    console.log('Current room ID:', getOrCreateRoomId());
+}
+
+/**
+ * Start real-time sync (now handled by Firebase)
+ */
+function startRealTimeSync() {
+    // Check for updates every 5 seconds (only for backup sync)
+    syncInterval = setInterval(() => {
+        checkForUpdates();
+    }, 5000);
+    
+    console.log('Real-time sync started (viewers tracked by Firebase)');
+}
+
+/**
+ * Stop real-time sync (and leave the viewer list) when the page closes
+ */
+function stopRealTimeSync() {
+    if (syncInterval) {
+        clearInterval(syncInterval);
+        syncInterval = null;
+    }
+    stopPresence();
+    
+    console.log('Real-time sync stopped');
+}
+
+/**
+ * Check for updates from other users
+ */
+function checkForUpdates() {
+    const lastUpdated = localStorage.getItem(roomStorageKey(LAST_UPDATED_KEY));
+    const storedData = localStorage.getItem(roomStorageKey(STORAGE_KEY));
+    
+    if (storedData) {
+        try {
+            const data = getStorableState(JSON.parse(storedData));
+            
+            // Only update if another tab saved something different - re-applying
+            // our own save every few seconds would clear the undo steps and toasts
+            if (isDifferentFromCurrentState(data)) {
+                applySyncedState(data);
+                renderTable();
+                updateLastUpdatedTime();
+                ensureAccountStillValid();
+                
+                // Show notification only if user is logged in
+                if (isLoggedIn) {
+                    showNotification('Assignments updated by another user! 🔄', 'info');
+                }
+            }
+        } catch (error) {
+            console.error('Error checking for updates:', error);
+        }
+    }
+}
+
+/**
+ * Checks whether saved data holds a different synced state than the one in memory
+ * @param {Object} data - Saved data object
+ * @returns {boolean} True if any synced field differs
+ */
+function isDifferentFromCurrentState(data) {
+    const migrated = migrateSyncedData(data);
+    const current = getSyncedState();
+    return Object.keys(current).some(key => JSON.stringify(migrated[key]) !== JSON.stringify(current[key]));
+}
+
+/**
+ * Notify other users of changes (when admin makes updates)
+ * The change itself was already added to the audit log by recordAuditEntry() before saving.
+ */
+function notifyOtherUsers(action) {
+    if (isLoggedIn) {
+        // In a real app, this would send to server
+        console.log(`Admin action: ${action} - notifying other users`);
+        
+        // Note: We don't need to push to Firebase here because saveAssignments() already does it
+        // This prevents double-pushing which can cause sync conflicts
+        
+        showNotification(`Changes saved and synced to all users! 📡`, 'success');
+    }
+}
+
+/**
+ * Handle page visibility change - a hidden page leaves the viewer list until it is shown again
+ */
+function handleVisibilityChange() {
+    console.log('Page visibility changed:', document.hidden ? 'hidden' : 'visible');
+    if (document.hidden) {
+        stopPresence();
+    } else {
+        startPresence();
+    }
+}
+
+// ============================================================================
+// LIVE VIEWER PRESENCE
+// ============================================================================
+// Every open page heartbeats through the sync backend (joinPresence() of the
+// provider) and drops off the list when the heartbeats stop. Without a backend
+// that can see other devices, this device is the only viewer.
+
+// How often an open page says it is still there, and when a silent one drops off
+const PRESENCE_HEARTBEAT_INTERVAL = 15000; // 15 seconds
+const PRESENCE_TIMEOUT = SevaSchema.PRESENCE_TIMEOUT; // 45 seconds, shared with relay.js
+
+// Viewers as last reported: [{ viewerId, name, device }] - name is null for anonymous viewers
+let currentViewers = [];
+
+// The active presence of this page ({ update, leave } from the provider), or null
+let presenceHandle = null;
+
+/**
+ * Describes this device for anonymous viewers, e.g. "Chrome on Android"
+ * @returns {string} Browser and system
+ */
+function getDeviceLabel() {
+    const agent = navigator.userAgent;
+    const browser = /Edg\//.test(agent) ? 'Edge'
+        : /Firefox\//.test(agent) ? 'Firefox'
+        : /Chrome\//.test(agent) ? 'Chrome'
+        : /Safari\//.test(agent) ? 'Safari'
+        : 'Browser';
+    const system = /Android/.test(agent) ? 'Android'
+        : /iPhone|iPad/.test(agent) ? 'iOS'
+        : /Windows/.test(agent) ? 'Windows'
+        : /Mac OS X/.test(agent) ? 'Mac'
+        : /Linux/.test(agent) ? 'Linux'
+        : 'unknown system';
+    return `${browser} on ${system}`;
+}
+
+/**
+ * Gets what this page reports about itself
+ * @returns {Object} { viewerId, name, device } - name is the logged-in account, if any
+ */
+function getPresenceEntry() {
+    return { viewerId: viewerId, name: isLoggedIn ? currentUsername : null, device: getDeviceLabel() };
+}
+
+/**
+ * Joins the viewer list of the active sync backend
+ */
+function startPresence() {
+    stopPresence();
+    if (!syncProvider || !syncProvider.joinPresence) {
+        setCurrentViewers([getPresenceEntry()]);
+        return;
+    }
+    presenceHandle = syncProvider.joinPresence(getPresenceEntry(), setCurrentViewers);
+}
+
+/**
+ * Leaves the viewer list
+ */
+function stopPresence() {
+    if (presenceHandle) {
+        presenceHandle.leave();
+        presenceHandle = null;
+    }
+}
+
+/**
+ * Reports a new name for this page right away (after logging in or out)
+ */
+function updatePresence() {
+    if (presenceHandle) {
+        presenceHandle.update(getPresenceEntry());
+    } else {
+        setCurrentViewers([getPresenceEntry()]);
+    }
+}
+
+/**
+ * Stores the viewers reported by the backend and updates the footer and the open list
+ * @param {Array<Object>} viewers - [{ viewerId, name, device }]
+ */
+function setCurrentViewers(viewers) {
+    // Our own heartbeat may not have reached the backend yet
+    const own = viewers.some(viewer => viewer.viewerId === viewerId);
+    currentViewers = own ? viewers : [getPresenceEntry()].concat(viewers);
+    viewerCount = currentViewers.length;
+    updateViewerCountDisplay();
+    
+    if (document.getElementById('viewersModal').style.display === 'flex') {
+        renderViewerList();
     }
 }
 
-// ============================================================================
-// APPLICATION STARTUP
-// ============================================================================
+/**
+ * Describes a viewer for the list
+ * @param {Object} viewer - { viewerId, name, device }
+ * @returns {string} Account name and role, or "Anonymous" and the device
+ */
+function getViewerLabel(viewer) {
+    const account = viewer.name ? findAccount(viewer.name) : null;
+    if (account) {
+        return `${account.username} (${ROLE_LABELS[account.role]})`;
+    }
+    return viewer.name ? `👤 ${viewer.name}` : `👁️ Anonymous - ${viewer.device}`;
+}
 
 /**
- * Wait for the page to fully load before initializing
- * This ensures all HTML elements are available
+ * Show the list of viewers
  */
-document.addEventListener('DOMContentLoaded', initializeApp);
+function showViewersModal() {
+    const modal = document.getElementById('viewersModal');
+    renderViewerList();
+    modal.style.display = 'flex';
+}
 
-// Also initialize if the page is already loaded (for some browsers)
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initializeApp);
-} else {
-    initializeApp();
+/**
+ * Hide the list of viewers
+ */
+function hideViewersModal() {
+    const modal = document.getElementById('viewersModal');
+    modal.style.display = 'none';
+}
+
+/**
+ * Renders the viewers - logged-in names first, then anonymous devices
+ */
+function renderViewerList() {
+    const list = document.getElementById('viewerList');
+    list.innerHTML = '';
+    
+    const sorted = currentViewers.slice().sort((a, b) =>
+        Number(!a.name) - Number(!b.name) || getViewerLabel(a).localeCompare(getViewerLabel(b)));
+    sorted.forEach(viewer => {
+        const item = document.createElement('li');
+        item.className = 'viewer-item';
+        item.textContent = getViewerLabel(viewer) + (viewer.viewerId === viewerId ? ' - this device' : '');
+        list.appendChild(item);
+    });
+    
+    document.getElementById('viewersNote').textContent = syncProvider && syncProvider.joinPresence
+        ? `Pages open right now, via ${syncProvider.name}. Anyone not logged in shows as anonymous.`
+        : 'Other devices cannot be seen without a sync server - only this device is listed.';
 }
 
 // ============================================================================
-// DEBUGGING AND DEVELOPMENT UTILITIES
+// HOUSES
 // ============================================================================
 
+// Longest house name
+const MAX_HOUSE_NAME_LENGTH = 60;
+
 /**
- * Debug function to log current state
- * Useful for development and troubleshooting
+ * Whether a room id is one this app makes (the relay accepts the same ones)
+ * @param {string} roomId - Room id to check
+ * @returns {boolean} True if it is valid
  */
-function debugLogState() {
-    console.log('=== SEVA APP DEBUG STATE ===');
-    console.log('Current assignments:', currentAssignments);
-    console.log('Tasks:', SEVA_TASKS);
-    console.log('Capacities:', TASK_CAPACITIES);
-    console.log('Storage data:', localStorage.getItem(STORAGE_KEY));
-    console.log('============================');
+function isValidRoomId(roomId) {
+    return typeof roomId === 'string' && ROOM_ID_PATTERN.test(roomId);
 }
 
-// Make debug function available in browser console
-window.debugSevaApp = debugLogState;
+/**
+ * Gets the storage key of a house's copy of some stored data
+ * The main house keeps the keys from before houses existed, so its data stays where it was.
+ * @param {string} key - Storage key, e.g. STORAGE_KEY
+ * @param {string} roomId - House (defaults to the one open in this tab)
+ * @returns {string} Storage key for that house
+ */
+function roomStorageKey(key, roomId = getOrCreateRoomId()) {
+    return roomId === DEFAULT_ROOM_ID ? key : `${key}:${roomId}`;
+}
 
-// Force reset function for troubleshooting
-window.forceReset = function() {
-    localStorage.clear();
-    location.reload();
-};
+/**
+ * Makes a room id for a new house from its name
+ * The random ending keeps the id from being guessed - until its first admin exists,
+ * anyone with the id could set up the house.
+ * @param {string} name - House name
+ * @returns {string} Room id, e.g. "north-house-k3f9qa"
+ */
+function createRoomId(name) {
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 30) || 'house';
+    const suffix = Array.from(crypto.getRandomValues(new Uint8Array(6)), byte => (byte % 36).toString(36)).join('');
+    return `${slug}-${suffix}`;
+}
 
-// Force sync function for testing
-window.forceSync = forceSync;
+/**
+ * Gets the houses opened on this device
+ * @returns {Array<Object>} [{ id, name }] - the main house is always listed
+ */
+function getKnownRooms() {
+    let rooms = [];
+    try {
+        rooms = JSON.parse(localStorage.getItem(KNOWN_ROOMS_KEY)) || [];
+    } catch (error) {
+        console.error('Error reading the known houses:', error);
+    }
+    rooms = rooms.filter(room => room && isValidRoomId(room.id));
+    if (!rooms.some(room => room.id === DEFAULT_ROOM_ID)) {
+        rooms.unshift({ id: DEFAULT_ROOM_ID, name: '' });
+    }
+    return rooms;
+}
 
-// ============================================================================
-// GLOBAL SYNCHRONIZATION SYSTEM
-// ============================================================================
+/**
+ * Gets the name this device last saw for a house
+ * @param {string} roomId - Room id
+ * @returns {string} House name ('' if it has none yet)
+ */
+function getKnownRoomName(roomId) {
+    const room = getKnownRooms().find(known => known.id === roomId);
+    return room ? room.name : '';
+}
 
-// Global sync configuration - JSONBin as primary server
-const SYNC_CONFIG = {
-    jsonbinEnabled: true,         // JSONBin as primary sync
-    firebaseEnabled: false,       // Disable Firebase completely
-    gistBackupEnabled: false,     // Disable backup (JSONBin is primary)
-    syncInterval: 3000,           // 3 seconds - faster sync
-    conflictResolution: 'server_wins', // 'server_wins', 'client_wins', 'merge'
-    maxRetries: 3,
-    jsonbinBinId: '68e158bd43b1c97be95a581f' // Updated with your new bin ID
-};
+/**
+ * Adds a house to this device's list, or updates its name there
+ * @param {string} roomId - Room id
+ * @param {string|null} name - House name (null keeps the one already listed)
+ */
+function rememberRoom(roomId, name = null) {
+    const rooms = getKnownRooms();
+    const known = rooms.find(room => room.id === roomId);
+    if (known && (name === null || known.name === name)) return;
+    
+    if (known) {
+        known.name = name;
+    } else {
+        rooms.push({ id: roomId, name: name || '' });
+    }
+    localStorage.setItem(KNOWN_ROOMS_KEY, JSON.stringify(rooms));
+}
 
-// Sync state variables
-let syncState = {
-    isOnline: navigator.onLine,
-    jsonbinConnected: false,
-    firebaseConnected: false,
-    lastSyncTime: null,
-    pendingChanges: false,
-    conflictDetected: false,
-    retryCount: 0,
-    jsonbinInterval: null
-};
+/**
+ * Removes a house from this device's list, with its copy of the data
+ * The house itself stays on the server - opening its link lists it again.
+ * @param {string} roomId - Room id (not the main or the open house)
+ */
+function forgetRoom(roomId) {
+    if (roomId === DEFAULT_ROOM_ID || roomId === getOrCreateRoomId()) return;
+    
+    const label = getHouseLabel({ id: roomId, name: getKnownRoomName(roomId) });
+    if (!confirm(`Remove ${label} from this device? The house stays on the server - its link brings it back.`)) return;
+    
+    localStorage.setItem(KNOWN_ROOMS_KEY, JSON.stringify(getKnownRooms().filter(room => room.id !== roomId)));
+    [STORAGE_KEY, LAST_UPDATED_KEY, SYNC_VERSION_KEY, OUTBOX_KEY].forEach(key => {
+        localStorage.removeItem(roomStorageKey(key, roomId));
+    });
+    renderHouseList();
+}
 
-// GitHub Gist backup configuration (for offline scenarios)
-const GIST_CONFIG = {
-    username: 'seva-backup', // You can change this
-    token: '', // Leave empty for public gists
-    gistId: null // Will be created automatically
-};
+/**
+ * Gets the name to show for a house
+ * @param {Object} room - { id, name }
+ * @returns {string} Its name, or "Main house" / the room id when it has none
+ */
+function getHouseLabel(room) {
+    if (room.name) return room.name;
+    return room.id === DEFAULT_ROOM_ID ? 'Main house' : room.id;
+}
 
 /**
- * Initialize global sync system
+ * Shows the open house in the header and keeps this device's list of houses up to date
+ * A single unnamed house is not shown to viewers - the app then looks as it did before houses.
  */
-function initializeGlobalSync() {
-    console.log('Initializing global sync system...');
+function updateHouseDisplay() {
+    const roomId = getOrCreateRoomId();
+    rememberRoom(roomId, houseName);
     
-    // Set up online/offline detection
-    window.addEventListener('online', handleOnlineStatusChange);
-    window.addEventListener('offline', handleOnlineStatusChange);
+    document.getElementById('houseName').textContent = getHouseLabel({ id: roomId, name: houseName });
+    const showButton = roomId !== DEFAULT_ROOM_ID || houseName || getKnownRooms().length > 1 || hasPermission('manageHouses');
+    document.getElementById('houseBtn').style.display = showButton ? '' : 'none';
     
-    // Initialize JSONBin as primary sync
-    if (SYNC_CONFIG.jsonbinEnabled) {
-        initializeJsonBinSync();
+    if (document.getElementById('housesModal').style.display === 'flex') {
+        renderHouseList();
+    }
+}
+
+/**
+ * Opens another house in this tab
+ * Any scheduled push goes to the house being left first. The login stays with that
+ * house - coming back to it in this tab picks the session up again.
+ * A house the server does not have yet is published by loadFromSyncProvider().
+ * @param {string} roomId - Room id of the house to open
+ * @param {string|null} newHouseName - Name for a house being created here (null opens an existing one)
+ */
+async function switchRoom(roomId, newHouseName = null) {
+    console.log('🏠 Switching to house:', roomId);
+    flushScheduledPush();
+    stopPresence();
+    if (unsubscribeSync) {
+        unsubscribeSync();
+        unsubscribeSync = null;
+    }
+    if (isLoggedIn) {
+        logOut({ keepSession: true });
     }
     
-    // Firebase sync disabled - using JSONBin only
-    // if (SYNC_CONFIG.firebaseEnabled && window.firebaseDatabase) {
-    //     initializeFirebaseSync();
-    // }
-    
-    // Gist backup disabled - using JSONBin only
-    // if (SYNC_CONFIG.gistBackupEnabled) {
-    //     initializeGistBackup();
-    // }
+    if (!newHouseName) {
+        // A setup token is only for the house just created
+        setupToken = null;
+    }
+    currentRoomId = roomId;
+    localStorage.setItem(ROOM_ID_KEY, roomId);
+    rememberRoom(roomId, newHouseName);
     
-    // Start sync monitoring
-    startSyncMonitoring();
+    // Nothing of the house being left may stay behind in the new one
+    resetStateForNewHouse('');
+    lastSavedState = null;
+    clearUndoHistory();
+    loadAssignments();
+    syncState.conflictDetected = false;
+    syncState.invalidData = null;
+    syncState.pendingChanges = getOutbox().length > 0;
+    pendingConflictData = null;
     
-    // Update sync status display
+    checkLoginState();
+    applyRolePermissions();
+    renderTable();
     updateSyncStatusDisplay();
     
-    console.log('Global sync system initialized');
+    if (syncProvider) {
+        await loadFromSyncProvider();
+        subscribeToSyncProvider();
+        startPresence();
+        updateSyncStatusDisplay();
+    }
 }
 
 /**
- * Initialize Firebase real-time sync
+ * Creates a new house and opens it, then asks for its first admin account
  */
-function initializeFirebaseSync() {
-    try {
-        if (!window.firebaseDatabase) {
-            console.warn('Firebase not available, using local storage only');
-            return;
-        }
-        
-        const db = window.firebaseDatabase;
-        const ref = window.firebaseRef;
-        const onValue = window.firebaseOnValue;
-        const set = window.firebaseSet;
-        
-        // Create a unique room ID for this seva group
-        const roomId = getOrCreateRoomId();
-        const sevaRef = ref(db, `seva-rooms/${roomId}`);
-        
-        // Listen for real-time updates
-        onValue(sevaRef, (snapshot) => {
-            const data = snapshot.val();
-            console.log('🔥 Firebase data received:', data);
-            if (data && data.assignments) {
-                console.log('📥 Processing remote update...');
-                handleRemoteUpdate(data);
-            } else {
-                console.log('⚠️ No valid data in snapshot');
-            }
-        }, (error) => {
-            console.error('❌ Firebase sync error:', error);
-            syncState.firebaseConnected = false;
-            updateSyncStatusDisplay();
-        });
-        
-        // Mark as connected
-        syncState.firebaseConnected = true;
-        updateSyncStatusDisplay();
-        
-        console.log('Firebase sync initialized for room:', roomId);
-        
-    } catch (error) {
-        console.error('Error initializing Firebase sync:', error);
-        syncState.firebaseConnected = false;
-        updateSyncStatusDisplay();
+async function createHouse() {
+    if (!requirePermission('manageHouses')) return;
+    
+    const input = document.getElementById('newHouseName');
+    const name = input.value.trim();
+    if (!name) {
+        showNotification('Please enter a name for the new house!', 'error');
+        return;
+    }
+    if (name.length > MAX_HOUSE_NAME_LENGTH) {
+        showNotification(`House names can be at most ${MAX_HOUSE_NAME_LENGTH} characters!`, 'error');
+        return;
     }
+    if (!confirm(`Create the house "${name}"? You will leave ${getHouseLabel({ id: getOrCreateRoomId(), name: houseName })} and set up the new house's first admin.`)) return;
+    
+    input.value = '';
+    hideHousesModal();
+    // The relay starts the house on this admin's session, which stays valid after leaving
+    setupToken = currentSession ? currentSession.token : null;
+    await switchRoom(createRoomId(name), name);
+    
+    showNotification(`House ${name} created! Now create its first admin account 🏠`, 'success');
+    showLoginModal();
 }
 
 /**
- * Get or create a unique room ID for this seva group
+ * Renames the open house for everyone
  */
-function getOrCreateRoomId() {
-    let roomId = localStorage.getItem('sevaRoomId');
-    if (!roomId) {
-        // Create a consistent room ID based on the main URL (without parameters)
-        // This ensures all users of the same seva group get the same room ID
-        const baseUrl = window.location.origin + window.location.pathname;
-        const urlHash = btoa(baseUrl).substring(0, 8);
-        roomId = `seva-${urlHash}`;
-        localStorage.setItem('sevaRoomId', roomId);
-        console.log('Created new room ID:', roomId, 'for base URL:', baseUrl);
+function renameHouse() {
+    if (!requirePermission('manageHouses')) return;
+    
+    const name = document.getElementById('houseNameInput').value.trim();
+    if (name.length > MAX_HOUSE_NAME_LENGTH) {
+        showNotification(`House names can be at most ${MAX_HOUSE_NAME_LENGTH} characters!`, 'error');
+        return;
     }
-    return roomId;
+    if (name === houseName) return;
+    
+    houseName = name;
+    recordAuditEntry('house_update');
+    saveAssignments();
+    updateHouseDisplay();
+    showNotification(name ? `House renamed to ${name} 🏠` : 'House name removed', 'success', getUndoNotificationAction());
 }
 
 /**
- * Handle updates from remote devices
+ * Show the house switcher
  */
-function handleRemoteUpdate(remoteData) {
-    try {
-        const remoteTimestamp = new Date(remoteData.timestamp).getTime();
-        const localTimestamp = new Date(localStorage.getItem(LAST_UPDATED_KEY) || 0).getTime();
-        const timeDiff = remoteTimestamp - localTimestamp;
-        
-        console.log('Remote update received:', {
-            remoteTime: remoteData.timestamp,
-            localTime: localStorage.getItem(LAST_UPDATED_KEY),
-            timeDiff: timeDiff,
-            remoteModifiedBy: remoteData.lastModifiedBy,
-            localViewerId: viewerId,
-            pendingChanges: syncState.pendingChanges
-        });
-        
-        // If this is our own update echoed back (within 500ms and same viewer), skip it
-        if (remoteData.lastModifiedBy === viewerId && Math.abs(timeDiff) < 500) {
-            console.log('⏭️ Skipping own update echo');
-            syncState.pendingChanges = false;
-            return;
-        }
+function showHousesModal() {
+    const modal = document.getElementById('housesModal');
+    document.getElementById('houseNameInput').value = houseName;
+    document.getElementById('houseAdminSection').style.display = hasPermission('manageHouses') ? '' : 'none';
+    renderHouseList();
+    modal.style.display = 'flex';
+}
+
+/**
+ * Hide the house switcher
+ */
+function hideHousesModal() {
+    const modal = document.getElementById('housesModal');
+    modal.style.display = 'none';
+}
+
+/**
+ * Renders the houses this device knows, the open one marked
+ */
+function renderHouseList() {
+    const list = document.getElementById('houseList');
+    const roomId = getOrCreateRoomId();
+    list.innerHTML = '';
+    
+    getKnownRooms().forEach(room => {
+        const isOpen = room.id === roomId;
+        const item = document.createElement('li');
+        item.className = 'roster-item';
         
-        // Only check for conflicts if we have very recent pending changes (within 2 seconds)
-        const timeSinceLastChange = Date.now() - (localTimestamp || 0);
-        if (syncState.pendingChanges && timeSinceLastChange < 2000 && remoteTimestamp > localTimestamp) {
-            console.log('⚠️ Potential conflict detected, but allowing remote update');
-            // For seva app, we'll be more permissive - use remote data if it's newer
-        }
+        const name = document.createElement('span');
+        name.className = 'roster-name';
+        name.textContent = '🏠 ' + getHouseLabel(room);
         
-        // Update local data if remote is newer OR if we don't have local data
-        if (remoteTimestamp > localTimestamp || !localTimestamp) {
-            console.log('✅ Updating local data with remote data');
-            console.log('Remote assignments:', remoteData.assignments);
-            
-            currentAssignments = remoteData.assignments || [];
-            localStorage.setItem(STORAGE_KEY, JSON.stringify(remoteData));
-            localStorage.setItem(LAST_UPDATED_KEY, remoteData.timestamp);
-            
-            renderTable();
-            updateLastUpdatedTime();
-            
-            // Only show notification if this is from a different device
-            if (remoteData.lastModifiedBy !== viewerId) {
-                showNotification('Data updated from another device! 🔄', 'info');
-            }
-            
-            syncState.lastSyncTime = new Date();
-            syncState.pendingChanges = false; // Clear pending changes
-            updateSyncStatusDisplay();
-            
-            console.log('✅ Local data updated successfully');
-        } else {
-            console.log('⏭️ Remote data is older or same, keeping local data');
-        }
+        const status = document.createElement('span');
+        status.className = 'roster-task';
+        status.textContent = isOpen ? 'Open now' : room.id;
         
-    } catch (error) {
-        console.error('Error handling remote update:', error);
-    }
+        item.appendChild(name);
+        item.appendChild(status);
+        item.appendChild(createIconButton('➡️', 'Open this house', () => {
+            hideHousesModal();
+            switchRoom(room.id);
+        }, isOpen));
+        item.appendChild(createIconButton('🗑️', 'Remove from this device', () => forgetRoom(room.id),
+            isOpen || room.id === DEFAULT_ROOM_ID));
+        list.appendChild(item);
+    });
 }
 
+// ============================================================================
+// LOGIN SYSTEM FUNCTIONALITY
+// ============================================================================
+
+// Session storage key for the login session of this tab (see createSession())
+const LOGIN_STORAGE_KEY = 'sevaAppLoginState';
+
+// Local storage key for this device's failed login count (see getLoginAttempts())
+const LOGIN_ATTEMPTS_KEY = 'sevaAppLoginAttempts';
+
+// A login ends after this long, or after this long without any activity
+// (the login limits are shared with relay.js through schema.js)
+const SESSION_DURATION = SevaSchema.SESSION_DURATION; // 12 hours
+const SESSION_IDLE_TIMEOUT = 30 * 60 * 1000; // 30 minutes
+const SESSION_CHECK_INTERVAL = 30000; // 30 seconds
+
+// Most failed logins kept in the synced log
+const MAX_LOGIN_FAILURES = SevaSchema.MAX_LOGIN_FAILURES;
+
+// Global variable to track login state
+let isLoggedIn = false;
+
+// Username of the logged-in account
+let currentUsername = null;
+
+// Login session of this tab: { username, token, expiresAt, lastActiveAt } (times in ms)
+let currentSession = null;
+let sessionCheckInterval = null;
+
+// What lets this tab set up a relay house that has no accounts yet: the relay's setup code,
+// or the session token of the admin who just created the house (see isSetupAllowed() in relay.js)
+let setupToken = null;
+
 /**
- * Handle sync conflicts when multiple devices edit simultaneously
+ * Check if user is logged in (from session storage)
+ * The session must not have expired and its username must still have an account.
  */
-function handleSyncConflict(remoteData) {
-    console.log('Sync conflict detected');
-    syncState.conflictDetected = true;
+function checkLoginState() {
+    let session = null;
+    try {
+        session = JSON.parse(sessionStorage.getItem(roomStorageKey(LOGIN_STORAGE_KEY)));
+    } catch (error) {
+        // Sessions from before tokens were a plain 'true' - those log in again
+    }
     
-    if (SYNC_CONFIG.conflictResolution === 'server_wins') {
-        // Use remote data
-        currentAssignments = remoteData.assignments || [];
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(remoteData));
-        localStorage.setItem(LAST_UPDATED_KEY, remoteData.timestamp);
-        renderTable();
-        showNotification('Conflict resolved: Using data from other device', 'info');
-    } else if (SYNC_CONFIG.conflictResolution === 'client_wins') {
-        // Keep local data and push to server
-        pushToFirebase();
-        showNotification('Conflict resolved: Your changes were kept', 'info');
+    const account = session && session.token && findAccount(session.username);
+    if (account && !getSessionEndReason(session)) {
+        logInAs(account.username, session);
     } else {
-        // Show conflict resolution dialog
-        showConflictResolutionDialog(remoteData);
+        sessionStorage.removeItem(roomStorageKey(LOGIN_STORAGE_KEY));
     }
-    
-    syncState.pendingChanges = false;
-    syncState.conflictDetected = false;
 }
 
 /**
- * Show conflict resolution dialog
+ * Starts a new login session with a random token
+ * @param {string} username - Account username
+ * @returns {Object} Session to keep in currentSession
  */
-function showConflictResolutionDialog(remoteData) {
-    const message = `Conflict detected! Another device made changes at ${remoteData.timestamp}.\n\nChoose how to resolve:`;
-    const choice = confirm(message + '\n\nOK = Use their changes\nCancel = Keep your changes');
-    
-    if (choice) {
-        // Use remote data
-        currentAssignments = remoteData.assignments || [];
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(remoteData));
-        localStorage.setItem(LAST_UPDATED_KEY, remoteData.timestamp);
-        renderTable();
-        showNotification('Using changes from other device', 'info');
-    } else {
-        // Keep local data and push to server
-        pushToFirebase();
-        showNotification('Keeping your changes', 'info');
-    }
+function createSession(username) {
+    const now = Date.now();
+    return {
+        username: username,
+        token: bytesToBase64(crypto.getRandomValues(new Uint8Array(24))),
+        expiresAt: now + SESSION_DURATION,
+        lastActiveAt: now
+    };
 }
 
 /**
- * Push current data to Firebase
+ * Tells why a session has ended, if it has
+ * @param {Object} session - Login session
+ * @param {number} now - Current time in ms
+ * @returns {string|null} 'expired', 'idle', or null while it is still valid
  */
-function pushToFirebase() {
-    if (!window.firebaseDatabase || !syncState.firebaseConnected) {
-        console.warn('Firebase not available for push');
-        return;
-    }
-    
-    try {
-        const db = window.firebaseDatabase;
-        const ref = window.firebaseRef;
-        const set = window.firebaseSet;
-        const serverTimestamp = window.firebaseServerTimestamp;
-        
-        const roomId = getOrCreateRoomId();
-        const sevaRef = ref(db, `seva-rooms/${roomId}`);
-        
-        const dataToPush = {
-            assignments: currentAssignments,
-            timestamp: new Date().toISOString(),
-            lastModifiedBy: viewerId,
-            version: Date.now()
-        };
-        
-        console.log('📤 Pushing data to Firebase:', dataToPush);
-        
-        set(sevaRef, dataToPush).then(() => {
-            console.log('✅ Data pushed to Firebase successfully');
-            syncState.lastSyncTime = new Date();
-            syncState.pendingChanges = false;
-            updateSyncStatusDisplay();
-        }).catch((error) => {
-            console.error('❌ Error pushing to Firebase:', error);
-            syncState.firebaseConnected = false;
-            updateSyncStatusDisplay();
-        });
-        
-    } catch (error) {
-        console.error('Error in pushToFirebase:', error);
-    }
+function getSessionEndReason(session, now = Date.now()) {
+    if (now >= session.expiresAt) return 'expired';
+    if (now - session.lastActiveAt >= SESSION_IDLE_TIMEOUT) return 'idle';
+    return null;
 }
 
 /**
- * Initialize JSONBin as primary sync server
+ * Logs out when the session has expired or sat idle too long
+ * @returns {boolean} True if the session has ended
  */
-async function initializeJsonBinSync() {
-    console.log('🔄 JSONBin primary sync system initialized');
+function checkSessionExpiry() {
+    if (!isLoggedIn || !currentSession) return false;
     
-    // Try to create or load JSONBin bin
-    await createOrLoadJsonBin();
+    const reason = getSessionEndReason(currentSession);
+    if (!reason) return false;
     
-    // Start periodic sync
-    startJsonBinSync();
+    endSession('session_timeout');
+    showNotification(reason === 'idle'
+        ? `Logged out after ${SESSION_IDLE_TIMEOUT / 60000} minutes without activity 💤`
+        : 'Your session has expired - please log in again 🔐', 'info');
+    console.log('Session ended:', reason);
+    return true;
+}
+
+/**
+ * Adds the end of the session to the audit log and logs out
+ * The entry is pushed straight away - once logged out the relay would refuse it.
+ * @param {string} action - 'logout' or 'session_timeout'
+ */
+function endSession(action) {
+    recordAuditEntry(action);
+    saveAssignments();
+    flushScheduledPush();
+    logOut();
+}
+
+/**
+ * Keeps the session alive on user activity
+ * Activity after the session already ended does not bring it back.
+ */
+function touchSession() {
+    if (!isLoggedIn || !currentSession || checkSessionExpiry()) return;
     
-    syncState.jsonbinConnected = true;
-    updateSyncStatusDisplay();
+    // Storing it on every event is not needed - once every few seconds keeps a reload in step
+    const now = Date.now();
+    if (now - currentSession.lastActiveAt > 5000) {
+        currentSession = { ...currentSession, lastActiveAt: now };
+        sessionStorage.setItem(roomStorageKey(LOGIN_STORAGE_KEY), JSON.stringify(currentSession));
+    }
 }
 
 /**
- * Create a new JSONBin bin or load existing one
+ * Gets this device's run of failed logins
+ * It is kept in local storage so reloading the page does not reset the wait.
+ * @returns {Object} { failures, lastFailedAt }
  */
-async function createOrLoadJsonBin() {
+function getLoginAttempts() {
     try {
-        // First, try to load from the configured bin ID
-        const response = await fetch(`https://api.jsonbin.io/v3/b/${SYNC_CONFIG.jsonbinBinId}/latest`, {
-            headers: {
-                'X-Master-Key': '$2a$10$tW3uHqmmzJcDG2p6Ra6EwOxIEX7FSt2eVgzysmkbfUgXI1crQMMD6'
-            }
-        });
-        
-        if (response.ok) {
-            console.log('✅ JSONBin bin exists, loading data...');
-            const result = await response.json();
-            const remoteData = result.record;
-            
-            if (remoteData && remoteData.assignments) {
-                console.log('📥 Loading data from existing JSONBin:', remoteData);
-                handleRemoteUpdate(remoteData);
-            }
-        } else if (response.status === 404) {
-            console.log('📦 JSONBin bin not found, creating new one...');
-            await createNewJsonBin();
-        }
+        return JSON.parse(localStorage.getItem(LOGIN_ATTEMPTS_KEY)) || { failures: 0, lastFailedAt: 0 };
     } catch (error) {
-        console.error('Error checking JSONBin:', error);
-        console.log('📦 Creating new JSONBin bin...');
-        await createNewJsonBin();
+        return { failures: 0, lastFailedAt: 0 };
     }
 }
 
 /**
- * Create a new JSONBin bin with default data
+ * Works out how long this device must wait before trying to log in again
+ * @param {number} now - Current time in ms
+ * @returns {number} Milliseconds left to wait (0 if it can try now)
+ */
+function getLoginWait(now = Date.now()) {
+    const attempts = getLoginAttempts();
+    const backoff = SevaSchema.getLoginBackoff(attempts.failures);
+    if (!backoff) return 0;
+    
+    return Math.max(0, attempts.lastFailedAt + backoff - now);
+}
+
+/**
+ * Counts a failed login on this device and adds it to the synced log for admins
+ * A backend that checks logins itself (the relay) keeps that log on its own.
+ * @param {string} username - Username that was tried
+ */
+function recordFailedLogin(username) {
+    const attempts = getLoginAttempts();
+    localStorage.setItem(LOGIN_ATTEMPTS_KEY, JSON.stringify({ failures: attempts.failures + 1, lastFailedAt: Date.now() }));
+    if (syncProvider && syncProvider.login) return;
+    
+    loginFailures = loginFailures
+        .concat({ username: username.slice(0, 40), at: new Date().toISOString(), device: viewerId })
+        .slice(-MAX_LOGIN_FAILURES);
+    saveAssignments();
+}
+
+/**
+ * Whether no admin account exists yet - the login modal then creates the first one
+ * @returns {boolean} True while the admin list is empty
  */
-async function createNewJsonBin() {
-    try {
-        const defaultData = {
-            assignments: currentAssignments,
-            timestamp: new Date().toISOString(),
-            lastModifiedBy: viewerId || 'system',
-            version: Date.now()
-        };
-        
-        console.log('📤 Creating new JSONBin bin with data:', defaultData);
-        
-        const response = await fetch('https://api.jsonbin.io/v3/b', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-Master-Key': '$2a$10$tW3uHqmmzJcDG2p6Ra6EwOxIEX7FSt2eVgzysmkbfUgXI1crQMMD6',
-                'X-Bin-Name': 'Seva App Data'
-            },
-            body: JSON.stringify(defaultData)
-        });
-        
-        if (response.ok) {
-            const result = await response.json();
-            const newBinId = result.metadata.id;
-            
-            // Update the configuration with the new bin ID
-            SYNC_CONFIG.jsonbinBinId = newBinId;
-            console.log('✅ New JSONBin bin created:', newBinId);
-            console.log('🔄 Update your code with this bin ID:', newBinId);
-            
-            // Store the bin ID locally for this session
-            localStorage.setItem('jsonbinBinId', newBinId);
-            
-        } else {
-            console.error('❌ Failed to create JSONBin bin:', response.status);
-            syncState.jsonbinConnected = false;
-        }
-    } catch (error) {
-        console.error('Error creating JSONBin bin:', error);
-        syncState.jsonbinConnected = false;
-    }
+function isAccountSetupNeeded() {
+    return currentAccounts.length === 0 && !accountsHidden;
+}
+
+/**
+ * Whether setting up the first admin needs the relay's setup code typed in
+ * Not when an admin has just created the house - their session stands in for it.
+ * @returns {boolean} True if the login modal asks for the setup code
+ */
+function isSetupCodeNeeded() {
+    return isAccountSetupNeeded() && Boolean(syncProvider && syncProvider.login) && !setupToken;
 }
 
 /**
- * Start periodic JSONBin sync
+ * Show login modal
+ * With no admin accounts yet it asks for the first admin's username and password instead.
  */
-function startJsonBinSync() {
-    // Check for updates every 3 seconds
-    syncState.jsonbinInterval = setInterval(async () => {
-        await checkForJsonBinUpdates();
-    }, SYNC_CONFIG.syncInterval);
+function showLoginModal() {
+    const modal = document.getElementById('loginModal');
+    const setup = isAccountSetupNeeded();
     
-    console.log('JSONBin periodic sync started');
+    document.getElementById('loginTitle').textContent = setup ? '🆕 Create First Admin' : '🔐 Login';
+    document.getElementById('confirmPasswordGroup').style.display = setup ? 'block' : 'none';
+    document.getElementById('setupCodeGroup').style.display = isSetupCodeNeeded() ? 'block' : 'none';
+    document.getElementById('submitLogin').textContent = setup ? 'Create Admin' : 'Login';
+    document.getElementById('loginInfoText').textContent = setup
+        ? 'No admin account exists yet. The account you create here can add more admins.' +
+            (isSetupCodeNeeded() ? ' The setup code comes from whoever runs the sync relay - it prints the code when it starts.' : '')
+        : 'Members, coordinators and admins log in here. For an account, please contact an admin.';
+    modal.style.display = 'flex';
+    
+    // Focus on username input
+    setTimeout(() => {
+        document.getElementById('username').focus();
+    }, 100);
 }
 
 /**
- * Check for updates from JSONBin
+ * Hide login modal
  */
-async function checkForJsonBinUpdates() {
-    try {
-        // Use the current bin ID (might be updated dynamically)
-        const binId = SYNC_CONFIG.jsonbinBinId || localStorage.getItem('jsonbinBinId');
-        if (!binId) {
-            console.warn('No JSONBin bin ID available');
-            return;
-        }
-        
-        const response = await fetch(`https://api.jsonbin.io/v3/b/${binId}/latest`, {
-            headers: {
-                'X-Master-Key': '$2a$10$tW3uHqmmzJcDG2p6Ra6EwOxIEX7FSt2eVgzysmkbfUgXI1crQMMD6'
-            }
-        });
-        
-        if (response.ok) {
-            const result = await response.json();
-            const remoteData = result.record;
-            
-            if (remoteData && remoteData.assignments) {
-                handleRemoteUpdate(remoteData);
-            }
-        } else if (response.status === 404) {
-            console.log('JSONBin bin not found, attempting to create new one...');
-            await createNewJsonBin();
-        }
-    } catch (error) {
-        console.error('Error checking JSONBin updates:', error);
-        syncState.jsonbinConnected = false;
-        updateSyncStatusDisplay();
-    }
+function hideLoginModal() {
+    const modal = document.getElementById('loginModal');
+    modal.style.display = 'none';
+    
+    // Clear form
+    document.getElementById('username').value = '';
+    document.getElementById('password').value = '';
+    document.getElementById('confirmPassword').value = '';
+    document.getElementById('setupCode').value = '';
+    document.getElementById('loginError').style.display = 'none';
 }
 
 /**
- * Initialize backup sync using JSONBin.io (free public API) - now disabled
+ * Shows an error in the login modal and clears the password fields
+ * @param {string} message - What went wrong
  */
-function initializeGistBackup() {
-    console.log('Backup sync system disabled (JSONBin is primary)');
+function showLoginError(message) {
+    const errorDiv = document.getElementById('loginError');
+    errorDiv.textContent = '❌ ' + message;
+    errorDiv.style.display = 'block';
+    errorDiv.style.animation = 'shake 0.5s ease';
+    
+    // Clear password fields
+    document.getElementById('password').value = '';
+    document.getElementById('confirmPassword').value = '';
+    
+    // Focus on username
+    setTimeout(() => {
+        document.getElementById('username').focus();
+    }, 500);
 }
 
 /**
- * Push data to JSONBin (primary sync)
+ * Checks a login and starts its session
+ * A backend that checks logins itself (the relay) hands out the session token;
+ * otherwise the password is checked against the account's salted hash here.
+ * @param {string} username - Username as typed
+ * @param {string} password - Plain password
+ * @returns {Promise<Object|null>} Session, or null if the login is wrong
  */
-async function pushToJsonBin() {
-    try {
-        // Use the current bin ID (might be updated dynamically)
-        const binId = SYNC_CONFIG.jsonbinBinId || localStorage.getItem('jsonbinBinId');
-        if (!binId) {
-            console.warn('No JSONBin bin ID available, creating new bin...');
-            await createNewJsonBin();
-            return;
-        }
-        
-        const dataToPush = {
-            assignments: currentAssignments,
-            timestamp: new Date().toISOString(),
-            lastModifiedBy: viewerId,
-            version: Date.now()
-        };
+async function startSession(username, password) {
+    if (syncProvider && syncProvider.login) {
+        const result = await syncProvider.login(username, password);
+        if (!result) return null;
         
-        console.log('📤 Pushing data to JSONBin:', dataToPush);
-        
-        const response = await fetch(`https://api.jsonbin.io/v3/b/${binId}`, {
-            method: 'PUT',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-Master-Key': '$2a$10$tW3uHqmmzJcDG2p6Ra6EwOxIEX7FSt2eVgzysmkbfUgXI1crQMMD6'
-            },
-            body: JSON.stringify(dataToPush)
-        });
-        
-        if (response.ok) {
-            console.log('✅ Data pushed to JSONBin successfully');
-            syncState.lastSyncTime = new Date();
-            syncState.pendingChanges = false;
-            updateSyncStatusDisplay();
-        } else if (response.status === 404) {
-            console.log('JSONBin bin not found, creating new one...');
-            await createNewJsonBin();
-        } else {
-            console.error('❌ Error pushing to JSONBin:', response.status);
-            syncState.jsonbinConnected = false;
-        }
-    } catch (error) {
-        console.error('Error in pushToJsonBin:', error);
-        syncState.jsonbinConnected = false;
+        // Logged out we were not shown the accounts - the relay sends them along with the session
+        const { record, ...session } = result;
+        applySessionView(record);
+        return findAccount(session.username) ? { ...session, lastActiveAt: Date.now() } : null;
     }
+    
+    const account = findAccount(username);
+    return account && await verifyAccountPassword(account, password) ? createSession(account.username) : null;
 }
 
 /**
- * Load data from JSONBin
+ * Handle login form submission
+ * Checks the login, or creates the first admin.
  */
-async function loadFromJsonBin() {
+async function handleLogin() {
+    const username = document.getElementById('username').value.trim();
+    const password = document.getElementById('password').value;
+    const submitBtn = document.getElementById('submitLogin');
+    
+    submitBtn.disabled = true;
     try {
-        // Use the current bin ID (might be updated dynamically)
-        const binId = SYNC_CONFIG.jsonbinBinId || localStorage.getItem('jsonbinBinId');
-        if (!binId) {
-            console.warn('No JSONBin bin ID available');
+        if (isAccountSetupNeeded()) {
+            // Accounts may just not have arrived yet - never set up the first admin on stale data
+            if (!syncProvider || !['connected', 'local'].includes(syncProvider.status())) {
+                showLoginError('Waiting for the shared data - try again once the app shows it is synced.');
+                return;
+            }
+            
+            const error = validateAccountCredentials(username, password, document.getElementById('confirmPassword').value);
+            if (error) {
+                showLoginError(error);
+                return;
+            }
+            const typedCode = isSetupCodeNeeded();
+            if (typedCode) {
+                setupToken = document.getElementById('setupCode').value.trim();
+                if (!setupToken) {
+                    setupToken = null;
+                    showLoginError('Please enter the setup code.');
+                    return;
+                }
+            }
+            
+            currentAccounts = [await createAccount(username, password, username)];
+            let session;
+            if (syncProvider.login) {
+                // The relay has to know the account before it can log it in
+                if (!(await pushSyncedState({ resolveConflicts: false }))) {
+                    currentAccounts = [];
+                    if (typedCode) setupToken = null;
+                    showLoginError(typedCode
+                        ? 'Could not save the account to the server - check the setup code and try again.'
+                        : 'Could not save the account to the server. Please try again.');
+                    return;
+                }
+                setupToken = null;
+                session = await startSession(username, password);
+            }
+            logInAs(username, session);
+            if (syncProvider.login) subscribeToSyncProvider();
+            recordAuditEntry('account_update');
+            saveAssignments();
+            hideLoginModal();
+            showNotification(`Admin account ${username} created! 🔐`, 'success');
+            console.log('First admin account created:', username);
             return;
         }
         
-        const response = await fetch(`https://api.jsonbin.io/v3/b/${binId}/latest`, {
-            headers: {
-                'X-Master-Key': '$2a$10$tW3uHqmmzJcDG2p6Ra6EwOxIEX7FSt2eVgzysmkbfUgXI1crQMMD6'
-            }
-        });
+        // Repeated failures make this device wait longer and longer
+        const wait = getLoginWait();
+        if (wait > 0) {
+            showLoginError(`Too many failed logins. Please wait ${Math.ceil(wait / 1000)} seconds and try again.`);
+            return;
+        }
         
-        if (response.ok) {
-            const result = await response.json();
-            const remoteData = result.record;
+        const session = await startSession(username, password);
+        if (session) {
+            // Login successful
+            const account = findAccount(session.username);
+            localStorage.removeItem(LOGIN_ATTEMPTS_KEY);
+            logInAs(account.username, session);
+            if (syncProvider && syncProvider.login) subscribeToSyncProvider(); // Live updates as the session sees them
+            recordAuditEntry('login');
+            saveAssignments();
+            hideLoginModal();
+            showNotification(`Login successful! Logged in as ${ROLE_LABELS[account.role]} 🔐`, 'success');
+            console.log('Logged in successfully:', account.username, account.role);
             
-            if (remoteData && remoteData.assignments) {
-                console.log('📥 Loading data from JSONBin:', remoteData);
-                handleRemoteUpdate(remoteData);
+            if (hasPermission('manageAccounts') && loginFailures.length > 0) {
+                showNotification(`${loginFailures.length} failed login(s) recorded 🚨`, 'info', {
+                    label: 'Review',
+                    onClick: showAccountsModal
+                });
             }
+        } else {
+            // Login failed
+            recordFailedLogin(username);
+            showLoginError('Invalid credentials. Please try again.');
+            console.log('Login failed - invalid credentials');
         }
     } catch (error) {
-        console.error('Error loading from JSONBin:', error);
+        console.error('Error during login:', error);
+        if (error.retryAfter) {
+            showLoginError(`Too many failed logins. Please wait ${error.retryAfter} seconds and try again.`);
+        } else {
+            showLoginError(syncProvider && syncProvider.login
+                ? 'Could not reach the server. Please try again.'
+                : 'Login is not available in this browser.');
+        }
+    } finally {
+        submitBtn.disabled = false;
     }
 }
 
 /**
- * Save data to backup service (JSONBin.io) - now fallback only
+ * Marks an account as logged in for this tab and shows the controls its role allows
+ * @param {string} username - Account username
+ * @param {Object} [session] - Session restored from storage (a new one is started otherwise)
  */
-async function saveToBackup() {
-    try {
-        const roomId = getOrCreateRoomId();
-        const backupData = {
-            assignments: currentAssignments,
-            timestamp: getCurrentTimestamp(),
-            roomId: roomId,
-            version: Date.now()
-        };
-        
-        // Use JSONBin.io for backup (free public API)
-        const response = await fetch('https://api.jsonbin.io/v3/b', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-Master-Key': '$2a$10$tW3uHqmmzJcDG2p6Ra6EwOxIEX7FSt2eVgzysmkbfUgXI1crQMMD6'
-            },
-            body: JSON.stringify(backupData)
-        });
-        
-        if (response.ok) {
-            const result = await response.json();
-            localStorage.setItem('backupBinId', result.metadata.id);
-            console.log('Data backed up successfully:', result.metadata.id);
-            return result.metadata.id;
-        } else {
-            console.warn('Backup save failed:', response.status);
-        }
-    } catch (error) {
-        console.error('Backup save error:', error);
+function logInAs(username, session = createSession(username)) {
+    isLoggedIn = true;
+    currentUsername = username;
+    currentSession = session;
+    sessionStorage.setItem(roomStorageKey(LOGIN_STORAGE_KEY), JSON.stringify(session));
+    
+    clearInterval(sessionCheckInterval);
+    sessionCheckInterval = setInterval(checkSessionExpiry, SESSION_CHECK_INTERVAL);
+    
+    showAdminControls();
+    updateLoginButtons();
+    updatePresence();
+}
+
+/**
+ * Ends the session on this tab (and on the relay, once any push still using it is done)
+ * The undo steps go too - the next person to log in may not be allowed to undo them.
+ * @param {Object} options - { keepSession: true } only leaves it on this tab, to be picked
+ *                           up again on coming back to the house (see switchRoom())
+ */
+function logOut({ keepSession = false } = {}) {
+    if (!keepSession && currentSession && syncProvider && syncProvider.logout) {
+        const token = currentSession.token;
+        // What the session was shown (accounts, logs) must not stay on this device
+        Promise.resolve(scheduledPush)
+            .then(() => syncProvider.logout(token))
+            .catch(error => console.error('Error ending the relay session:', error))
+            .then(reloadSyncView);
     }
-    return null;
+    
+    isLoggedIn = false;
+    currentUsername = null;
+    currentSession = null;
+    if (!keepSession) {
+        sessionStorage.removeItem(roomStorageKey(LOGIN_STORAGE_KEY));
+    }
+    clearInterval(sessionCheckInterval);
+    sessionCheckInterval = null;
+    
+    clearUndoHistory();
+    hideAccountsModal();
+    hideAdminControls();
+    updateLoginButtons();
+    updatePresence();
 }
 
 /**
- * Load data from backup service
+ * Handle logout
  */
-async function loadFromBackup() {
-    try {
-        const backupBinId = localStorage.getItem('backupBinId');
-        if (!backupBinId) return;
-        
-        const response = await fetch(`https://api.jsonbin.io/v3/b/${backupBinId}/latest`, {
-            headers: {
-                'X-Master-Key': '$2a$10$tW3uHqmmzJcDG2p6Ra6EwOxIEX7FSt2eVgzysmkbfUgXI1crQMMD6'
-            }
-        });
+function handleLogout() {
+    if (confirm('Are you sure you want to logout? Your controls will be hidden.')) {
+        endSession('logout');
+        showNotification('Logged out successfully. 👋', 'info');
         
-        if (response.ok) {
-            const result = await response.json();
-            const backupData = result.record;
-            
-            // Check if backup is newer than local data
-            const backupTimestamp = new Date(backupData.timestamp).getTime();
-            const localTimestamp = new Date(localStorage.getItem(LAST_UPDATED_KEY) || 0).getTime();
-            
-            if (backupTimestamp > localTimestamp) {
-                currentAssignments = backupData.assignments || [];
-                localStorage.setItem(STORAGE_KEY, JSON.stringify(backupData));
-                localStorage.setItem(LAST_UPDATED_KEY, backupData.timestamp);
-                renderTable();
-                updateLastUpdatedTime();
-                showNotification('Data restored from backup! 💾', 'info');
-                console.log('Data restored from backup');
-            }
-        }
-    } catch (error) {
-        console.error('Backup load error:', error);
+        console.log('Logged out');
     }
 }
 
 /**
- * Start sync monitoring
+ * Logs out if another device revoked the logged-in account, and
+ * shows the right controls if its role was changed there
  */
-function startSyncMonitoring() {
-    setInterval(() => {
-        if (syncState.isOnline && syncState.firebaseConnected) {
-            // Check for updates
-            checkForRemoteUpdates();
-        } else {
-            // Try to reconnect
-            attemptReconnection();
-        }
-    }, SYNC_CONFIG.syncInterval);
+function ensureAccountStillValid() {
+    if (isLoggedIn && !findAccount(currentUsername)) {
+        logOut();
+        showNotification('Your account was revoked on another device.', 'error');
+    } else {
+        applyRolePermissions();
+    }
 }
 
 /**
- * Check for remote updates
+ * Show the controls the logged-in role can use
  */
-function checkForRemoteUpdates() {
-    // This is handled by Firebase real-time listeners
-    // But we can also check last sync time
-    if (syncState.lastSyncTime) {
-        const timeSinceLastSync = Date.now() - syncState.lastSyncTime.getTime();
-        if (timeSinceLastSync > SYNC_CONFIG.syncInterval * 2) {
-            console.log('Long time since last sync, checking connection...');
-            updateSyncStatusDisplay();
-        }
-    }
+function showAdminControls() {
+    const adminControls = document.getElementById('adminControls');
+    adminControls.style.display = 'flex';
+    applyRolePermissions();
+    renderTable(); // Names become draggable for coordinators
 }
 
 /**
- * Attempt to reconnect to sync services
+ * Hide admin controls
  */
-function attemptReconnection() {
-    if (syncState.retryCount < SYNC_CONFIG.maxRetries) {
-        syncState.retryCount++;
-        console.log(`Attempting reconnection (${syncState.retryCount}/${SYNC_CONFIG.maxRetries})`);
-        
-        if (window.firebaseDatabase && !syncState.firebaseConnected) {
-            initializeFirebaseSync();
-        }
-        
-        setTimeout(() => {
-            syncState.retryCount = 0;
-        }, 30000); // Reset retry count after 30 seconds
-    }
+function hideAdminControls() {
+    const adminControls = document.getElementById('adminControls');
+    adminControls.style.display = 'none';
+    applyRolePermissions();
+    renderTable();
 }
 
 /**
- * Handle online/offline status changes
+ * Update login/logout button visibility
  */
-function handleOnlineStatusChange() {
-    syncState.isOnline = navigator.onLine;
+function updateLoginButtons() {
+    const loginBtn = document.getElementById('loginBtn');
+    const logoutBtn = document.getElementById('logoutBtn');
     
-    if (syncState.isOnline) {
-        console.log('Device is online, attempting to sync...');
-        if (window.firebaseDatabase) {
-            initializeFirebaseSync();
-        }
+    if (isLoggedIn) {
+        loginBtn.style.display = 'none';
+        logoutBtn.style.display = 'block';
     } else {
-        console.log('Device is offline, using local storage only');
-        syncState.firebaseConnected = false;
+        loginBtn.style.display = 'block';
+        logoutBtn.style.display = 'none';
     }
-    
-    updateSyncStatusDisplay();
 }
 
 /**
- * Update sync status display
+ * Setup login event listeners
  */
-function updateSyncStatusDisplay() {
-    const syncStatus = document.getElementById('syncStatus');
-    const syncIndicator = document.getElementById('syncIndicator');
-    const syncText = document.getElementById('syncText');
+function setupLoginEventListeners() {
+    // Login button
+    const loginBtn = document.getElementById('loginBtn');
+    loginBtn.addEventListener('click', showLoginModal);
     
-    if (!syncStatus) return;
+    // Logout button
+    const logoutBtn = document.getElementById('logoutBtn');
+    logoutBtn.addEventListener('click', handleLogout);
     
-    // Remove existing status classes
-    syncStatus.classList.remove('connected', 'error', 'offline');
+    // Close modal button
+    const closeLoginModalBtn = document.getElementById('closeLoginModal');
+    closeLoginModalBtn.addEventListener('click', hideLoginModal);
     
-    if (!syncState.isOnline) {
-        syncIndicator.textContent = '📡';
-        syncText.textContent = 'Offline';
-        syncStatus.classList.add('offline');
-    } else if (syncState.jsonbinConnected) {
-        syncIndicator.textContent = '✅';
-        syncText.textContent = 'JSONBin Synced';
-        syncStatus.classList.add('connected');
-    } else if (syncState.firebaseConnected) {
-        syncIndicator.textContent = '✅';
-        syncText.textContent = 'Firebase Synced';
-        syncStatus.classList.add('connected');
-    } else if (syncState.conflictDetected) {
-        syncIndicator.textContent = '⚠️';
-        syncText.textContent = 'Conflict';
-        syncStatus.classList.add('error');
-    } else {
-        syncIndicator.textContent = '🔄';
-        syncText.textContent = 'Connecting to JSONBin...';
-    }
+    // Submit login button
+    const submitLoginBtn = document.getElementById('submitLogin');
+    submitLoginBtn.addEventListener('click', handleLogin);
+    
+    // Close modal when clicking outside
+    const loginModal = document.getElementById('loginModal');
+    loginModal.addEventListener('click', (e) => {
+        if (e.target === loginModal) {
+            hideLoginModal();
+        }
+    });
+    
+    // Handle Enter key in login form
+    document.getElementById('username').addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+            document.getElementById('password').focus();
+        }
+    });
+    
+    document.getElementById('password').addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+            // Creating the first admin also needs the password repeated
+            if (isAccountSetupNeeded()) {
+                document.getElementById('confirmPassword').focus();
+            } else {
+                handleLogin();
+            }
+        }
+    });
+    
+    document.getElementById('confirmPassword').addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+            if (isSetupCodeNeeded()) {
+                document.getElementById('setupCode').focus();
+            } else {
+                handleLogin();
+            }
+        }
+    });
+    
+    document.getElementById('setupCode').addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+            handleLogin();
+        }
+    });
+    
+    // Any activity keeps the session from timing out
+    ['click', 'keydown', 'touchstart', 'scroll'].forEach(type => {
+        document.addEventListener(type, touchSession, { passive: true, capture: true });
+    });
+    
+    console.log('Login event listeners set up successfully');
 }
 
 // ============================================================================
-// REAL-TIME SYNCHRONIZATION SYSTEM (LEGACY - KEPT FOR COMPATIBILITY)
+// ACCOUNTS AND ROLES
 // ============================================================================
+// Accounts are stored in the synced state with a salted PBKDF2-SHA256 hash of
+// their password - never the password itself. Each account keeps its own
+// iteration count so the default can be raised without breaking old accounts.
+// Every account has a role; anyone not logged in is a viewer. A member's
+// account can be linked to their roster name so they can tick their own sevas.
+
+// PBKDF2 work factor for new passwords (OWASP recommendation for SHA-256)
+const PBKDF2_ITERATIONS = 600000;
+
+// Minimum account password length
+const MIN_PASSWORD_LENGTH = 8;
+
+// Roles from least to most access - shared with relay.js through schema.js
+const ROLES = SevaSchema.ROLES;
+
+const ROLE_LABELS = {
+    viewer: '👀 Viewer',
+    member: '🙋 Member',
+    coordinator: '🧭 Coordinator',
+    admin: '🔑 Admin'
+};
+
+// Lowest role allowed to do each thing - the relay refuses saves that go past it
+const PERMISSIONS = SevaSchema.PERMISSIONS;
+
+// Permission needed to see each button in #adminControls and the footer
+const PERMISSION_BUTTONS = {
+    rotateBtn: 'rotate',
+    undoBtn: 'undo',
+    redoBtn: 'undo',
+    screenshotBtn: 'share',
+    shareBtn: 'share',
+    linkBtn: 'share',
+    rosterBtn: 'manageRoster',
+    tasksBtn: 'editTasks',
+    rulesBtn: 'manageRules',
+    accountsBtn: 'manageAccounts',
+    auditBtn: 'viewAudit',
+    resetBtn: 'reset',
+    clearStorageBtn: 'clearStorage',
+    availabilityBtn: 'markOwnAvailability'
+};
+
+/**
+ * Gets the role of whoever is using this tab
+ * @returns {string} One of ROLES - 'viewer' when not logged in
+ */
+function getCurrentRole() {
+    const account = isLoggedIn && findAccount(currentUsername);
+    return account ? account.role : 'viewer';
+}
+
+/**
+ * Gets the roster name linked to the logged-in account
+ * @returns {string|null} Bhakto name, or null if none is linked
+ */
+function getCurrentPerson() {
+    const account = isLoggedIn && findAccount(currentUsername);
+    return account && account.person ? account.person : null;
+}
 
 /**
- * Generate a unique viewer ID
+ * Checks whether the current role allows something
+ * @param {string} permission - Key of PERMISSIONS
+ * @returns {boolean} True if allowed
  */
-function generateViewerId() {
-    return 'viewer_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+function hasPermission(permission) {
+    return SevaSchema.roleAllows(getCurrentRole(), permission);
 }
 
 /**
- * Update viewer count display
+ * Checks a permission before a change and tells the user if it is not allowed
+ * Every function that changes the shared state calls this (or one of the
+ * helpers below) first, so hidden buttons are not the only protection.
+ * @param {boolean|string} permission - Key of PERMISSIONS, or an already checked result
+ * @returns {boolean} True if allowed
  */
-function updateViewerCountDisplay() {
-    const viewerCountElement = document.getElementById('viewerCount');
-    if (viewerCountElement) {
-        viewerCountElement.textContent = viewerCount;
+function requirePermission(permission) {
+    const allowed = typeof permission === 'boolean' ? permission : hasPermission(permission);
+    if (!allowed) {
+        showNotification(`Your role (${ROLE_LABELS[getCurrentRole()]}) cannot do that`, 'error');
+        console.warn('Blocked by role:', getCurrentRole(), permission);
     }
+    return allowed;
 }
 
 /**
- * Initialize viewer tracking using Firebase
+ * Whether the current user can tick a task off or untick it
+ * Members can only tick sevas they are doing this week, and only as themselves.
+ * @param {number} taskIndex - Task index
+ * @param {string} [person] - Who is being marked as done ('' to untick)
+ * @returns {boolean} True if allowed
  */
-function initializeViewerTracking() {
-    // Generate or get existing viewer ID
-    viewerId = localStorage.getItem(VIEWER_ID_KEY);
-    if (!viewerId) {
-        viewerId = generateViewerId();
-        localStorage.setItem(VIEWER_ID_KEY, viewerId);
-    }
-    
-    // Initialize viewer count to 1 (will be updated by Firebase)
-        viewerCount = 1;
-    updateViewerCountDisplay();
+function canTickTask(taskIndex, person = '') {
+    if (hasPermission('tickAnyTask')) return true;
     
-    // Simple viewer count (since we're using JSONBin as primary)
-    updateViewerCountDisplay();
+    const me = getCurrentPerson();
+    if (!hasPermission('tickOwnTask') || !me) return false;
     
-    console.log('Viewer tracking initialized:', viewerId);
-    console.log('Current room ID:', getOrCreateRoomId());
+    const candidates = getCompletionCandidates(computeCoverage(currentAssignments)[taskIndex] || []);
+    return candidates.includes(me) && (!person || person === me);
 }
 
 /**
- * Start real-time sync (now handled by Firebase)
+ * Whether the current user can mark a bhakto away or back
+ * @param {string} person - Bhakto name
+ * @returns {boolean} True if allowed
  */
-function startRealTimeSync() {
-    // Check for updates every 5 seconds (only for backup sync)
-    syncInterval = setInterval(() => {
-        checkForUpdates();
-    }, 5000);
-    
-    console.log('Real-time sync started (viewers tracked by Firebase)');
+function canMarkAway(person) {
+    return hasPermission('markAnyAvailability')
+        || (hasPermission('markOwnAvailability') && person === getCurrentPerson());
 }
 
 /**
- * Stop real-time sync
+ * Shows only the buttons the current role can use
  */
-function stopRealTimeSync() {
-    if (syncInterval) {
-        clearInterval(syncInterval);
-        syncInterval = null;
-    }
-    
-    // Decrease viewer count when leaving
-    const currentCount = parseInt(localStorage.getItem(VIEWER_COUNT_KEY) || '1');
-    if (currentCount > 1) {
-        localStorage.setItem(VIEWER_COUNT_KEY, (currentCount - 1).toString());
-    }
-    
-    console.log('Real-time sync stopped');
+function applyRolePermissions() {
+    Object.keys(PERMISSION_BUTTONS).forEach(id => {
+        document.getElementById(id).style.display = hasPermission(PERMISSION_BUTTONS[id]) ? '' : 'none';
+    });
+    updateHouseDisplay();
 }
 
 /**
- * Check for updates from other users
+ * Encodes bytes as base64 for storage
+ * @param {Uint8Array} bytes - Raw bytes
+ * @returns {string} Base64 text
  */
-function checkForUpdates() {
-    const lastUpdated = localStorage.getItem(LAST_UPDATED_KEY);
-    const storedData = localStorage.getItem(STORAGE_KEY);
-    
-    if (storedData) {
-        try {
-            const data = JSON.parse(storedData);
-            const dataTimestamp = data.timestamp;
-            
-            // If data is newer, update the display
-            if (dataTimestamp !== getCurrentTimestamp()) {
-                currentAssignments = data.assignments || [];
-                renderTable();
-                updateLastUpdatedTime();
-                
-                // Show notification only if user is logged in
-                if (isLoggedIn) {
-                    showNotification('Assignments updated by another user! 🔄', 'info');
-                }
-            }
-        } catch (error) {
-            console.error('Error checking for updates:', error);
-        }
-    }
+function bytesToBase64(bytes) {
+    return btoa(String.fromCharCode(...bytes));
 }
 
 /**
- * Track viewers using Firebase (real-time viewer count)
+ * Decodes base64 text from storage
+ * @param {string} text - Base64 text
+ * @returns {Uint8Array} Raw bytes
  */
-function trackViewersWithFirebase() {
-    if (!window.firebaseDatabase) {
-        console.warn('Firebase not available for viewer tracking');
-        return;
-    }
-    
-    try {
-        const db = window.firebaseDatabase;
-        const ref = window.firebaseRef;
-        const set = window.firebaseSet;
-        const onValue = window.firebaseOnValue;
-        const serverTimestamp = window.firebaseServerTimestamp;
-        
-        const roomId = getOrCreateRoomId();
-        const viewersRef = ref(db, `viewers/${roomId}/${viewerId}`);
-        
-        // Set this viewer as online with timestamp
-        set(viewersRef, {
-            online: true,
-            timestamp: new Date().toISOString(),
-            userAgent: navigator.userAgent.substring(0, 100) // Truncated for privacy
-        });
-        
-        // Listen for viewer count changes
-        const viewerCountRef = ref(db, `viewers/${roomId}`);
-        onValue(viewerCountRef, (snapshot) => {
-            const viewers = snapshot.val();
-            if (viewers) {
-                // Count active viewers (online in last 30 seconds)
-                const now = Date.now();
-                const activeViewers = Object.values(viewers).filter(viewer => {
-                    if (!viewer.online) return false;
-                    const viewerTime = new Date(viewer.timestamp).getTime();
-                    return (now - viewerTime) < 30000; // 30 seconds
-                });
-                
-                viewerCount = activeViewers.length;
-        updateViewerCountDisplay();
-                
-                console.log(`Viewer count updated: ${viewerCount} active viewers`);
-            }
-        });
-        
-        // Keep this viewer online (heartbeat every 15 seconds)
-        const heartbeatInterval = setInterval(() => {
-            set(viewersRef, {
-                online: true,
-                timestamp: new Date().toISOString(),
-                userAgent: navigator.userAgent.substring(0, 100)
-            });
-        }, 15000);
-        
-        // Mark as offline when page unloads
-        window.addEventListener('beforeunload', () => {
-            set(viewersRef, {
-                online: false,
-                timestamp: new Date().toISOString()
-            });
-            clearInterval(heartbeatInterval);
-        });
-        
-        // Also mark as offline when page becomes hidden
-        document.addEventListener('visibilitychange', () => {
-            if (document.hidden) {
-                set(viewersRef, {
-                    online: false,
-                    timestamp: new Date().toISOString()
-                });
-            } else {
-                set(viewersRef, {
-                    online: true,
-                    timestamp: new Date().toISOString(),
-                    userAgent: navigator.userAgent.substring(0, 100)
-                });
-            }
-        });
-        
-        console.log('Firebase viewer tracking initialized');
-        
-    } catch (error) {
-        console.error('Error initializing Firebase viewer tracking:', error);
-    }
+function base64ToBytes(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
 }
 
 /**
- * Notify other users of changes (when admin makes updates)
+ * Derives the password hash with PBKDF2 (WebCrypto)
+ * @param {string} password - Plain password
+ * @param {Uint8Array} salt - Random per-account salt
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<string>} 256-bit hash, base64
  */
-function notifyOtherUsers(action) {
-    if (isLoggedIn) {
-        // In a real app, this would send to server
-        console.log(`Admin action: ${action} - notifying other users`);
-        
-        // Note: We don't need to push to Firebase here because saveAssignments() already does it
-        // This prevents double-pushing which can cause sync conflicts
-        
-        showNotification(`Changes saved and synced to all users! 📡`, 'success');
-    }
+async function hashPassword(password, salt, iterations) {
+    const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt: salt, iterations: iterations }, key, 256);
+    return bytesToBase64(new Uint8Array(bits));
 }
 
 /**
- * Handle page visibility change (now handled by Firebase viewer tracking)
+ * Creates an account with a fresh salt
+ * @param {string} username - Account username
+ * @param {string} password - Plain password
+ * @param {string} createdBy - Username of the admin adding it
+ * @param {string} [role] - 'member', 'coordinator' or 'admin'
+ * @param {string|null} [person] - Linked roster name
+ * @returns {Promise<Object>} Account to store in currentAccounts
  */
-function handleVisibilityChange() {
-    // Visibility changes are now handled by trackViewersWithFirebase()
-    // This function is kept for compatibility but does nothing
-    console.log('Page visibility changed:', document.hidden ? 'hidden' : 'visible');
+async function createAccount(username, password, createdBy, role = 'admin', person = null) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    return {
+        username: username,
+        role: role,
+        person: person,
+        salt: bytesToBase64(salt),
+        hash: await hashPassword(password, salt, PBKDF2_ITERATIONS),
+        iterations: PBKDF2_ITERATIONS,
+        createdAt: new Date().toISOString(),
+        createdBy: createdBy
+    };
 }
 
-// ============================================================================
-// LOGIN SYSTEM FUNCTIONALITY
-// ============================================================================
-
-// Login credentials (you can change these)
-const LOGIN_CREDENTIALS = {
-    username: 'admin',
-    password: 'seva2024'
-};
+/**
+ * Checks a password against an account's stored hash
+ * @param {Object} account - Account
+ * @param {string} password - Plain password
+ * @returns {Promise<boolean>} True if the password matches
+ */
+async function verifyAccountPassword(account, password) {
+    const hash = await hashPassword(password, base64ToBytes(account.salt), account.iterations);
+    
+    // Compare every character so the time taken does not depend on where they differ
+    let difference = hash.length ^ account.hash.length;
+    for (let i = 0; i < hash.length; i++) {
+        difference |= hash.charCodeAt(i) ^ account.hash.charCodeAt(i);
+    }
+    return difference === 0;
+}
 
-// Session storage key for login state
-const LOGIN_STORAGE_KEY = 'sevaAppLoginState';
+/**
+ * Finds an account - usernames are not case-sensitive
+ * @param {string} username - Username to look for
+ * @returns {Object|undefined} The account, if any
+ */
+function findAccount(username) {
+    const wanted = String(username || '').toLowerCase();
+    return currentAccounts.find(account => account.username.toLowerCase() === wanted);
+}
 
-// Global variable to track login state
-let isLoggedIn = false;
+/**
+ * Validates a new account's username and password
+ * @param {string} username - Username (already trimmed)
+ * @param {string} password - Password
+ * @param {string} confirmation - Password typed again
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateAccountCredentials(username, password, confirmation) {
+    if (!username) {
+        return 'Please enter a username';
+    }
+    if (findAccount(username)) {
+        return `${username} already has an account`;
+    }
+    return validateNewPassword(password, confirmation);
+}
 
 /**
- * Check if user is logged in (from session storage)
+ * Validates a new password
+ * @param {string} password - Password
+ * @param {string} confirmation - Password typed again
+ * @returns {string|null} Error message, or null if valid
  */
-function checkLoginState() {
-    const loginState = sessionStorage.getItem(LOGIN_STORAGE_KEY);
-    if (loginState === 'true') {
-        isLoggedIn = true;
-        showAdminControls();
-        updateLoginButtons();
+function validateNewPassword(password, confirmation) {
+    if (password.length < MIN_PASSWORD_LENGTH) {
+        return `Passwords need at least ${MIN_PASSWORD_LENGTH} characters`;
     }
+    if (password !== confirmation) {
+        return 'The two passwords do not match';
+    }
+    return null;
 }
 
 /**
- * Show login modal
+ * Counts the accounts with the admin role
+ * @param {Array<Object>} accounts - Accounts to count
+ * @returns {number} Number of admins
  */
-function showLoginModal() {
-    const modal = document.getElementById('loginModal');
-    modal.style.display = 'flex';
+function countAdmins(accounts) {
+    return accounts.filter(account => account.role === 'admin').length;
+}
+
+/**
+ * Show accounts modal
+ */
+function showAccountsModal() {
+    if (!requirePermission('manageAccounts')) return;
     
-    // Focus on username input
-    setTimeout(() => {
-        document.getElementById('username').focus();
-    }, 100);
+    const modal = document.getElementById('accountsModal');
+    renderAccountForm();
+    renderAccountList();
+    modal.style.display = 'flex';
 }
 
 /**
- * Hide login modal
+ * Hide accounts modal
  */
-function hideLoginModal() {
-    const modal = document.getElementById('loginModal');
+function hideAccountsModal() {
+    const modal = document.getElementById('accountsModal');
     modal.style.display = 'none';
+    ['newAccountName', 'newAccountPassword', 'newAccountConfirm', 'changePasswordNew', 'changePasswordConfirm']
+        .forEach(id => { document.getElementById(id).value = ''; });
+}
+
+/**
+ * Fills the role and roster name pickers of the new account form
+ */
+function renderAccountForm() {
+    const roleSelect = document.getElementById('newAccountRole');
+    const personSelect = document.getElementById('newAccountPerson');
     
-    // Clear form
-    document.getElementById('username').value = '';
-    document.getElementById('password').value = '';
-    document.getElementById('loginError').style.display = 'none';
+    roleSelect.innerHTML = '';
+    ROLES.filter(role => role !== 'viewer').forEach(role => roleSelect.appendChild(new Option(ROLE_LABELS[role], role)));
+    roleSelect.value = 'member';
+    
+    personSelect.innerHTML = '';
+    personSelect.appendChild(new Option('No roster name', ''));
+    currentRoster.forEach(person => personSelect.appendChild(new Option(person, person)));
 }
 
 /**
- * Handle login form submission
+ * Renders the accounts and refills the change-password picker
  */
-function handleLogin() {
-    const username = document.getElementById('username').value.trim();
-    const password = document.getElementById('password').value.trim();
-    const errorDiv = document.getElementById('loginError');
+function renderAccountList() {
+    const accountList = document.getElementById('accountList');
+    const passwordAccount = document.getElementById('passwordAccount');
+    const adminCount = countAdmins(currentAccounts);
     
-    // Check credentials
-    if (username === LOGIN_CREDENTIALS.username && password === LOGIN_CREDENTIALS.password) {
-        // Login successful
-        isLoggedIn = true;
-        sessionStorage.setItem(LOGIN_STORAGE_KEY, 'true');
-        
-        hideLoginModal();
-        showAdminControls();
-        updateLoginButtons();
-        showNotification('Login successful! Admin controls enabled. 🔐', 'success');
+    accountList.innerHTML = '';
+    document.getElementById('accountCount').textContent = currentAccounts.length;
+    
+    for (const account of currentAccounts) {
+        const item = document.createElement('li');
+        item.className = 'roster-item';
         
-        console.log('Admin logged in successfully');
-    } else {
-        // Login failed
-        errorDiv.style.display = 'block';
-        errorDiv.style.animation = 'shake 0.5s ease';
+        const name = document.createElement('span');
+        name.className = 'roster-name';
+        name.textContent = account.username + (account.username === currentUsername ? ' (you)' : '');
         
-        // Clear password field
-        document.getElementById('password').value = '';
+        const added = document.createElement('span');
+        added.className = 'roster-task';
+        added.textContent = (account.person ? `${account.person} · ` : '')
+            + `Added ${new Date(account.createdAt).toLocaleDateString()} by ${account.createdBy}`;
         
-        // Focus on username
-        setTimeout(() => {
-            document.getElementById('username').focus();
-        }, 500);
+        // The last admin keeps the role so someone can always manage accounts
+        const isLastAdmin = account.role === 'admin' && adminCount <= 1;
+        const roleSelect = document.createElement('select');
+        roleSelect.className = 'account-role';
+        ROLES.filter(role => role !== 'viewer').forEach(role => roleSelect.appendChild(new Option(ROLE_LABELS[role], role)));
+        roleSelect.value = account.role;
+        roleSelect.disabled = isLastAdmin;
+        roleSelect.title = isLastAdmin ? 'The last admin cannot change role' : 'Role';
+        roleSelect.addEventListener('change', () => setAccountRole(account.username, roleSelect.value));
         
-        console.log('Login failed - invalid credentials');
+        item.appendChild(name);
+        item.appendChild(added);
+        item.appendChild(roleSelect);
+        item.appendChild(createIconButton('🗑️', isLastAdmin ? 'The last admin cannot be revoked' : 'Revoke account',
+            () => revokeAccount(account.username), isLastAdmin));
+        accountList.appendChild(item);
+    }
+    
+    const selected = passwordAccount.value || currentUsername;
+    passwordAccount.innerHTML = '';
+    currentAccounts.forEach(account => passwordAccount.appendChild(new Option(account.username, account.username)));
+    if (findAccount(selected)) {
+        passwordAccount.value = findAccount(selected).username;
     }
+    
+    renderLoginFailures();
 }
 
 /**
- * Handle logout
+ * Renders the failed login log, newest first
  */
-function handleLogout() {
-    if (confirm('Are you sure you want to logout? Admin controls will be hidden.')) {
-        isLoggedIn = false;
-        sessionStorage.removeItem(LOGIN_STORAGE_KEY);
+function renderLoginFailures() {
+    const list = document.getElementById('loginFailureList');
+    list.innerHTML = '';
+    
+    for (const failure of loginFailures.slice().reverse()) {
+        const item = document.createElement('li');
+        item.className = 'roster-item';
         
-        hideAdminControls();
-        updateLoginButtons();
-        showNotification('Logged out successfully. 👋', 'info');
+        const name = document.createElement('span');
+        name.className = 'roster-name';
+        name.textContent = failure.username || '(no username)';
+        
+        const when = document.createElement('span');
+        when.className = 'roster-task';
+        when.textContent = `${new Date(failure.at).toLocaleString()} · ${findAccount(failure.username) ? 'wrong password' : 'unknown user'}`;
+        when.title = `Device ${failure.device}`;
         
-        console.log('Admin logged out');
+        item.appendChild(name);
+        item.appendChild(when);
+        list.appendChild(item);
     }
+    
+    document.getElementById('loginFailuresEmpty').style.display = loginFailures.length === 0 ? 'block' : 'none';
+    document.getElementById('clearLoginFailuresBtn').disabled = loginFailures.length === 0;
 }
 
 /**
- * Show admin controls
+ * Empties the failed login log once it has been reviewed
+ * The relay keeps that log itself, so it is cleared there first.
  */
-function showAdminControls() {
-    const adminControls = document.getElementById('adminControls');
-    adminControls.style.display = 'flex';
+async function clearLoginFailures() {
+    if (!requirePermission('manageAccounts')) return;
+    if (!confirm(`Clear the ${loginFailures.length} failed login(s) from the log?`)) return;
+    
+    if (syncProvider && syncProvider.clearLoginFailures) {
+        try {
+            await syncProvider.clearLoginFailures(currentSession.token);
+        } catch (error) {
+            console.error('Error clearing the failed login log:', error);
+            showNotification('Could not clear the failed login log. Please try again.', 'error');
+            return;
+        }
+    }
+    
+    loginFailures = [];
+    commitAccountChange();
+    
+    showNotification('Failed login log cleared 🧹', 'success');
+    console.log('Failed login log cleared');
 }
 
 /**
- * Hide admin controls
+ * Adds an account from the form
  */
-function hideAdminControls() {
-    const adminControls = document.getElementById('adminControls');
-    adminControls.style.display = 'none';
+async function addAccount() {
+    if (!requirePermission('manageAccounts')) return;
+    
+    const nameInput = document.getElementById('newAccountName');
+    const passwordInput = document.getElementById('newAccountPassword');
+    const confirmInput = document.getElementById('newAccountConfirm');
+    const role = document.getElementById('newAccountRole').value;
+    const person = document.getElementById('newAccountPerson').value || null;
+    const username = nameInput.value.trim();
+    
+    const error = validateAccountCredentials(username, passwordInput.value, confirmInput.value);
+    if (error) {
+        showNotification(error, 'error');
+        return;
+    }
+    
+    const account = await createAccount(username, passwordInput.value, currentUsername, role, person);
+    currentAccounts = currentAccounts.concat(account);
+    nameInput.value = '';
+    passwordInput.value = '';
+    confirmInput.value = '';
+    commitAccountChange();
+    
+    showNotification(`${username} can now log in as ${ROLE_LABELS[role]} 🔐`, 'success');
+    console.log('Account added:', username, role);
 }
 
 /**
- * Update login/logout button visibility
+ * Changes an account's role - the last admin cannot be demoted
+ * @param {string} username - Account to change
+ * @param {string} role - New role
  */
-function updateLoginButtons() {
-    const loginBtn = document.getElementById('loginBtn');
-    const logoutBtn = document.getElementById('logoutBtn');
+function setAccountRole(username, role) {
+    if (!requirePermission('manageAccounts')) return;
     
-    if (isLoggedIn) {
-        loginBtn.style.display = 'none';
-        logoutBtn.style.display = 'block';
-    } else {
-        loginBtn.style.display = 'block';
-        logoutBtn.style.display = 'none';
+    const updated = currentAccounts.map(account => account.username === username ? { ...account, role: role } : account);
+    if (countAdmins(updated) === 0) {
+        showNotification('The last admin cannot change role', 'error');
+        renderAccountList();
+        return;
     }
+    
+    currentAccounts = updated;
+    commitAccountChange();
+    applyRolePermissions();
+    renderTable();
+    
+    showNotification(`${username} is now ${ROLE_LABELS[role]}`, 'success');
+    console.log('Account role changed:', username, role);
 }
 
 /**
- * Setup login event listeners
+ * Revokes an account - revoking your own logs you out
+ * @param {string} username - Account to revoke
  */
-function setupLoginEventListeners() {
-    // Login button
-    const loginBtn = document.getElementById('loginBtn');
-    loginBtn.addEventListener('click', showLoginModal);
+function revokeAccount(username) {
+    if (!requirePermission('manageAccounts')) return;
     
-    // Logout button
-    const logoutBtn = document.getElementById('logoutBtn');
-    logoutBtn.addEventListener('click', handleLogout);
+    const remaining = currentAccounts.filter(account => account.username !== username);
+    if (countAdmins(remaining) === 0) {
+        showNotification('The last admin cannot be revoked', 'error');
+        return;
+    }
     
-    // Close modal button
-    const closeLoginModalBtn = document.getElementById('closeLoginModal');
-    closeLoginModalBtn.addEventListener('click', hideLoginModal);
+    const isSelf = username === currentUsername;
+    const message = isSelf
+        ? 'Revoke your own account? You will be logged out.'
+        : `Revoke the account of ${username}? They will be logged out on every device.`;
+    if (!confirm(message)) return;
     
-    // Submit login button
-    const submitLoginBtn = document.getElementById('submitLogin');
-    submitLoginBtn.addEventListener('click', handleLogin);
+    currentAccounts = remaining;
+    commitAccountChange();
     
-    // Close modal when clicking outside
-    const loginModal = document.getElementById('loginModal');
-    loginModal.addEventListener('click', (e) => {
-        if (e.target === loginModal) {
-            hideLoginModal();
-        }
-    });
+    showNotification(`${username} can no longer log in`, 'success');
+    console.log('Account revoked:', username);
     
-    // Handle Enter key in login form
-    document.getElementById('username').addEventListener('keypress', (e) => {
-        if (e.key === 'Enter') {
-            document.getElementById('password').focus();
-        }
-    });
+    if (isSelf) {
+        logOut();
+    }
+}
+
+/**
+ * Sets a new password for the account picked in the form
+ */
+async function changeAccountPassword() {
+    if (!requirePermission('manageAccounts')) return;
     
-    document.getElementById('password').addEventListener('keypress', (e) => {
-        if (e.key === 'Enter') {
-            handleLogin();
-        }
-    });
+    const username = document.getElementById('passwordAccount').value;
+    const passwordInput = document.getElementById('changePasswordNew');
+    const confirmInput = document.getElementById('changePasswordConfirm');
     
-    console.log('Login event listeners set up successfully');
+    const error = validateNewPassword(passwordInput.value, confirmInput.value);
+    if (error) {
+        showNotification(error, 'error');
+        return;
+    }
+    
+    const account = findAccount(username);
+    if (!account) return;
+    
+    // A new salt with the new password, keeping everything else about the account
+    const { salt, hash, iterations } = await createAccount(account.username, passwordInput.value, account.createdBy);
+    currentAccounts = currentAccounts.map(item => item === account ? { ...account, salt, hash, iterations } : item);
+    passwordInput.value = '';
+    confirmInput.value = '';
+    commitAccountChange();
+    
+    showNotification(`Password changed for ${account.username} 🔑`, 'success');
+    console.log('Account password changed:', account.username);
+}
+
+/**
+ * Saves and syncs an account change
+ */
+function commitAccountChange() {
+    recordAuditEntry('account_update');
+    saveAssignments();
+    renderAccountList();
 }
 
 // ============================================================================
@@ -2112,27 +6974,30 @@ async function copyQRUrl() {
 // ============================================================================
 
 /**
- * Check for room parameter in URL and join the room
+ * Check for room parameter in URL and open that house
+ * Runs before the saved data is loaded, so the house's own data is the one loaded.
+ * Links from before houses existed carry a room id made from the page URL - those
+ * were all the main house.
  */
 function checkForRoomParameter() {
     const urlParams = new URLSearchParams(window.location.search);
     const roomParam = urlParams.get('room');
     
     if (roomParam) {
-        console.log('Joining room:', roomParam);
-        localStorage.setItem('sevaRoomId', roomParam);
+        const roomId = isValidRoomId(roomParam) ? roomParam : DEFAULT_ROOM_ID;
+        console.log('Joining room:', roomId);
+        currentRoomId = roomId;
+        localStorage.setItem(ROOM_ID_KEY, roomId);
+        rememberRoom(roomId);
         
         // Show notification
-        showNotification(`Joined room: ${roomParam}`, 'info');
+        if (roomId !== DEFAULT_ROOM_ID) {
+            showNotification(`Joined house: ${getHouseLabel({ id: roomId, name: getKnownRoomName(roomId) })} 🏠`, 'info');
+        }
         
         // Clean up URL (remove room parameter)
         const newUrl = window.location.origin + window.location.pathname;
         window.history.replaceState({}, document.title, newUrl);
-        
-        // Initialize sync with the new room
-        if (window.firebaseDatabase) {
-            initializeFirebaseSync();
-        }
     }
 }
 
@@ -2153,10 +7018,11 @@ async function shareAssignmentsWithRoom() {
         shareText += "📅 " + getCurrentTimestamp() + "\n";
         shareText += "🔗 Join this room: " + shareUrl + "\n\n";
         
-        for (let i = 0; i < SEVA_TASKS.length; i++) {
-            const seva = SEVA_TASKS[i];
-            const bhakto = currentAssignments[i] || [];
-            shareText += `📍 ${seva}: ${bhakto.join(', ')}\n`;
+        const coverage = computeCoverage(currentAssignments);
+        for (let i = 0; i < currentTasks.length; i++) {
+            const seva = currentTasks[i].name;
+            const bhakto = coverage[i] || [];
+            shareText += `📍 ${seva}: ${formatCoveredPeople(bhakto)}\n`;
         }
         
         shareText += "\n🙏 Let's complete it before Sunday!";
@@ -2258,20 +7124,20 @@ function clearDebugLog() {
 function testSyncFunction() {
     debugLog('🧪 Testing sync function...');
     
-    if (syncState.firebaseConnected) {
-        debugLog('✅ Firebase connected');
+    if (syncProvider && syncProvider.status() !== 'error') {
+        debugLog(`✅ ${syncProvider.name} ${syncProvider.status()}`);
         debugLog(`📊 Current assignments: ${JSON.stringify(currentAssignments)}`);
-        pushToFirebase();
-        debugLog('📤 Data pushed to Firebase');
+        pushSyncedState().then(ok => debugLog(ok ? `📤 Data pushed to ${syncProvider.name}` : '❌ Push failed'));
     } else {
-        debugLog('❌ Firebase not connected');
+        debugLog('❌ Sync not connected');
         debugLog('🔄 Attempting to reconnect...');
-        initializeFirebaseSync();
+        subscribeToSyncProvider();
     }
     
     debugLog(`🔄 Sync state: ${JSON.stringify({
         isOnline: syncState.isOnline,
-        firebaseConnected: syncState.firebaseConnected,
+        provider: syncProvider ? syncProvider.name : null,
+        status: syncProvider ? syncProvider.status() : null,
         pendingChanges: syncState.pendingChanges,
         roomId: getOrCreateRoomId()
     })}`);
@@ -2282,10 +7148,10 @@ function testSyncFunction() {
  */
 function forceSync() {
     console.log('🔄 Force sync triggered');
-    if (syncState.firebaseConnected) {
-        pushToFirebase();
+    if (syncProvider) {
+        pushSyncedState();
     } else {
-        console.log('❌ Firebase not connected, cannot force sync');
+        console.log('❌ Sync not started, cannot force sync');
     }
 }
 
@@ -2293,18 +7159,12 @@ function forceSync() {
  * Reset room ID - useful for debugging room issues
  */
 function resetRoomId() {
-    const oldRoomId = localStorage.getItem('sevaRoomId');
-    localStorage.removeItem('sevaRoomId');
-    const newRoomId = getOrCreateRoomId();
-    console.log('🔄 Room ID reset:', oldRoomId, '→', newRoomId);
+    const oldRoomId = getOrCreateRoomId();
+    console.log('🔄 Room ID reset:', oldRoomId, '→', DEFAULT_ROOM_ID);
     
-    // Reinitialize Firebase sync with new room
-    if (window.firebaseDatabase) {
-        initializeFirebaseSync();
-        trackViewersWithFirebase();
-    }
+    switchRoom(DEFAULT_ROOM_ID);
     
-    showNotification('Room ID reset - you are now in a new room', 'info');
+    showNotification('Room ID reset - you are now in the main house', 'info');
 }
 
 /**
@@ -2314,7 +7174,7 @@ function clearAllCacheAndReset() {
     console.log('🗑️ Clearing all cached data...');
     
     // Clear room ID
-    localStorage.removeItem('sevaRoomId');
+    localStorage.removeItem(ROOM_ID_KEY);
     console.log('✅ Room ID cleared');
     
     // Clear viewer ID (optional - creates new viewer)
@@ -2325,15 +7185,9 @@ function clearAllCacheAndReset() {
     localStorage.removeItem('sevaAppViewerCount');
     console.log('✅ Viewer count cleared');
     
-    // Get new room ID
-    const newRoomId = getOrCreateRoomId();
-    console.log('🆕 New room ID:', newRoomId);
-    
-    // Reinitialize everything
-    if (window.firebaseDatabase) {
-        initializeFirebaseSync();
-        trackViewersWithFirebase();
-    }
+    // Back to the main house, and reinitialize everything
+    console.log('🆕 New room ID:', DEFAULT_ROOM_ID);
+    switchRoom(DEFAULT_ROOM_ID);
     
     showNotification('All cache cleared - fresh start! 🆕', 'success');
 }
@@ -2361,16 +7215,60 @@ if (typeof module !== 'undefined' && module.exports) {
         loadAssignments,
         renderTable,
         resetToDefault,
+        addRosterMember,
+        renameRosterMember,
+        removeRosterMember,
+        linkRosterMembers,
+        splitGroupForWeek,
+        unlinkGroup,
+        addTask,
+        renameTask,
+        setTaskCapacity,
+        setTaskWeight,
+        moveTask,
+        deleteTask,
+        computeRotation,
+        computeFairRotation,
+        moveAssignedPerson,
+        swapAssignedPeople,
+        replaceAssignedPerson,
+        showRotationPreviewModal,
+        addRule,
+        deleteRule,
+        recordHistoryEntry,
+        computeCoverage,
+        checkScheduledRotation,
+        setTaskCompletion,
+        getLatestScheduleBoundary,
+        addAwayWeeks,
+        removeAwayWeek,
+        undoLastChange,
+        redoLastChange,
         takeScreenshot,
         shareAssignments,
         shareAssignmentsWithRoom,
         handleLogin,
         handleLogout,
+        addAccount,
+        revokeAccount,
+        changeAccountPassword,
+        setAccountRole,
+        clearLoginFailures,
+        recordAuditEntry,
+        exportAuditCsv,
+        hasPermission,
+        hashPassword,
         showQRCodeModal,
         hideQRCodeModal,
         copyQRUrl,
         initializeGlobalSync,
-        pushToFirebase,
+        pushSyncedState,
+        replayOutbox,
+        handleRemoteUpdate,
+        resolveSyncConflict,
+        createRelayProvider,
+        createFirebaseProvider,
+        createLocalProvider,
         debugLog,
         testSyncFunction
     };
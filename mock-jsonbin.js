@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+/**
+ * Local stand-in for the JSONBin v3 API so relay.js can be run and tested offline
+ *
+ * Serves only these JSONBin endpoints - the app itself is served by relay.js:
+ *   POST /v3/b              - create a bin, responds { record, metadata: { id } }
+ *   GET  /v3/b/:id          - read a bin
+ *   GET  /v3/b/:id/latest   - read a bin
+ *   PUT  /v3/b/:id          - replace a bin's record
+ *
+ * Usage:
+ *   node mock-jsonbin.js [--port 8787] [--bin <id>]... [--data bins.json]
+ *   then run the relay against it:
+ *   JSONBIN_URL=http://localhost:8787/v3 JSONBIN_MASTER_KEY=test JSONBIN_BIN_ID=<id> node relay.js
+ *
+ * --bin pre-creates an empty bin (use the relay's JSONBIN_BIN_ID),
+ * --data keeps the bins in a JSON file between runs.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Parses --port, --bin and --data from the command line
+ * @param {string[]} args - process.argv without node and the script
+ * @returns {Object} Options
+ */
+function parseArgs(args) {
+    const options = { port: Number(process.env.PORT) || 8787, bins: [], dataFile: null };
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--port') options.port = Number(args[++i]);
+        else if (args[i] === '--bin') options.bins.push(args[++i]);
+        else if (args[i] === '--data') options.dataFile = path.resolve(args[++i]);
+    }
+    return options;
+}
+
+/**
+ * Creates the mock server
+ * @param {Object} options - { bins, dataFile }
+ * @returns {http.Server} Server, not yet listening
+ */
+function createMockJsonBinServer(options = {}) {
+    let bins = {};
+    if (options.dataFile && fs.existsSync(options.dataFile)) {
+        bins = JSON.parse(fs.readFileSync(options.dataFile, 'utf8'));
+    }
+    (options.bins || []).forEach(id => {
+        if (!bins[id]) bins[id] = { record: {}, createdAt: new Date().toISOString() };
+    });
+    
+    const persist = () => {
+        if (options.dataFile) {
+            fs.writeFileSync(options.dataFile, JSON.stringify(bins, null, 2));
+        }
+    };
+    
+    const send = (res, status, body) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    };
+    
+    const readBody = (req) => new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(body || '{}'));
+            } catch (error) {
+                reject(error);
+            }
+        });
+        req.on('error', reject);
+    });
+    
+    async function handleApi(req, res, parts) {
+        if (!req.headers['x-master-key']) {
+            return send(res, 401, { message: 'You need to pass X-Master-Key in the header' });
+        }
+        
+        const [, binId, suffix] = parts;
+        
+        if (req.method === 'POST' && !binId) {
+            const id = crypto.randomBytes(12).toString('hex');
+            const createdAt = new Date().toISOString();
+            bins[id] = { record: await readBody(req), createdAt: createdAt, name: req.headers['x-bin-name'] || null };
+            persist();
+            console.log(`📦 Created bin ${id}`);
+            return send(res, 200, { record: bins[id].record, metadata: { id: id, createdAt: createdAt, private: true } });
+        }
+        
+        const bin = binId && bins[binId];
+        if (!bin) {
+            return send(res, 404, { message: 'Bin not found or it doesn\'t belong to your account' });
+        }
+        
+        if (req.method === 'GET' && (!suffix || suffix === 'latest')) {
+            return send(res, 200, { record: bin.record, metadata: { id: binId, createdAt: bin.createdAt, private: true } });
+        }
+        if (req.method === 'PUT' && !suffix) {
+            bin.record = await readBody(req);
+            persist();
+            return send(res, 200, { record: bin.record, metadata: { parentId: binId, private: true } });
+        }
+        return send(res, 405, { message: 'Method not allowed' });
+    }
+    
+    return http.createServer(async (req, res) => {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Master-Key, X-Bin-Name');
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            return res.end();
+        }
+        
+        const parts = req.url.split('?')[0].split('/').filter(Boolean);
+        try {
+            if (parts[0] === 'v3' && parts[1] === 'b') {
+                await handleApi(req, res, parts.slice(1));
+            } else {
+                send(res, 404, { message: 'Route not found' });
+            }
+        } catch (error) {
+            send(res, 400, { message: error.message });
+        }
+    });
+}
+
+if (require.main === module) {
+    const options = parseArgs(process.argv.slice(2));
+    createMockJsonBinServer(options).listen(options.port, () => {
+        console.log(`🧪 Mock JSONBin running at http://localhost:${options.port}/v3`);
+        console.log(`   Point relay.js at it with JSONBIN_URL=http://localhost:${options.port}/v3`);
+    });
+}
+
+module.exports = { createMockJsonBinServer };
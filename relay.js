@@ -0,0 +1,891 @@
+#!/usr/bin/env node
+/**
+ * Sync relay - the only server the app talks to
+ *
+ * Keeps the JSONBin master key on the server and checks the login session of
+ * every save, and that the session's role may make the change. Reading the data
+ * needs no login, like opening the page - but only admins see the accounts and the
+ * logs: other accounts get their own account, and without a login there are none.
+ *
+ * Every house (room) has its own record with its own tasks, roster and accounts,
+ * under /api/rooms/<room>/. The routes without a room are the "main" house.
+ *
+ *   GET  .../doc      - the shared data as { record } ({ record: null } before the first save), as the bearer token's
+ *                       account may see it (see viewOf()). Saves keep the accounts and log entries they could not see
+ *   PUT  .../doc      - { data, baseVersion } replaces it; needs "Authorization: Bearer <token>".
+ *                       The relay numbers the versions and responds { version } with the one stored;
+ *                       403 { message } when the account's role may not make the change (see FIELD_PERMISSIONS),
+ *                       409 { record } when baseVersion is not the stored version,
+ *                       422 { errors } when data does not match the schema in schema.js
+ *   POST .../login    - { username, password, device } responds { token, username, expiresAt, record }
+ *   POST .../logout   - ends the session of the bearer token
+ *   DELETE .../login-failures - empties the house's failed login log; needs an admin's bearer token
+ *   POST .../presence - { viewerId, device, leaving } heartbeat of an open page; responds { viewers }.
+ *                       The name shown is the bearer token's account - without one the viewer is anonymous
+ *   GET  .../events   - Server-Sent Events: a "doc" event with the record on connect and after every save,
+ *                       as the session of ?token= may see it,
+ *                       a "presence" event with the viewers whenever someone comes or goes
+ *
+ * Until a house's first account exists - which is also how a new house starts - its saves need an
+ * "X-Setup-Token" header instead of a session: the relay's setup code (--setup-token or SEVA_SETUP_TOKEN,
+ * or a random one printed at start), or the session token of an admin of another house.
+ * A session only counts in the house it was made in.
+ * Sessions live in memory - restarting the relay logs everyone out. So do failed logins: they are not
+ * part of the saved data, the relay adds the house's log to the record it sends out.
+ * Failed logins back off per username and per client address, and past a relay-wide limit every
+ * login waits - see LOGIN LIMITS below.
+ * Request bodies must be a JSON object of at most 1 MB - anything else gets 400 or 413 { message }.
+ * Everything else is served from the app files (only those - see STATIC_FILES), so the app and /api share one origin. An app hosted
+ * elsewhere (e.g. GitHub Pages) names the relay in the seva-sync-url meta tag of index.html instead.
+ *
+ * Usage:
+ *   node relay.js [--port 8788] [--data seva-data] [--setup-token <code>]
+ *       keeps each house in a JSON file in the folder (for running and testing locally)
+ *   JSONBIN_MASTER_KEY=... JSONBIN_BIN_ID=... [JSONBIN_ROOMS_BIN_ID=...] node relay.js [--port 8788]
+ *       keeps the main house in a JSONBin bin and the other houses in bins listed in the rooms bin
+ *       (JSONBIN_URL=http://localhost:8787/v3 uses mock-jsonbin.js)
+ *   then open http://localhost:8788/
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const {
+    FORMAT_VERSION,
+    validateDocument,
+    roleAllows,
+    MAX_AUDIT_ENTRIES,
+    getLoginBackoff,
+    SESSION_DURATION,
+    FREE_LOGIN_ATTEMPTS,
+    MAX_LOGIN_FAILURES,
+    MAX_PASSWORD_ITERATIONS,
+    PRESENCE_TIMEOUT
+} = require('./schema.js');
+const { computeCoverage, getCompletionCandidates } = require('./rotation.js');
+
+// The app files the relay serves - nothing else next to it (the data folder, the relay's own code) is sent out
+const STATIC_ROOT = __dirname;
+const STATIC_FILES = ['index.html', 'app.js', 'schema.js', 'rotation.js', 'styles.css', 'sw.js', 'manifest.webmanifest'];
+const STATIC_FOLDERS = ['icons', 'vendor'];
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml'
+};
+
+// LOGIN LIMITS: a client address gets more free attempts than one username (it may be a shared network),
+// all failures together are capped per minute, and back-off entries are forgotten after an hour without failures
+const CLIENT_FREE_LOGIN_ATTEMPTS = 10;
+const GLOBAL_LOGIN_FAILURES_PER_MINUTE = 60;
+const LOGIN_ATTEMPT_TTL = 60 * 60 * 1000;
+const MAX_LOGIN_ATTEMPT_KEYS = 10000;
+
+// Largest request body accepted (the synced data is well below this)
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// Event stream limits: open streams at once, and how often a comment keeps idle streams from timing out
+const MAX_EVENT_CLIENTS = 500;
+const EVENT_HEARTBEAT_INTERVAL = 25000;
+// Delay browsers wait before reconnecting a dropped stream
+const EVENT_RETRY_MS = 3000;
+
+// Most viewers listed per house (they drop off PRESENCE_TIMEOUT after their last heartbeat)
+const MAX_VIEWERS = 500;
+
+// Houses: the one served by the routes without a room, the ids the app makes, and how many may exist
+const DEFAULT_ROOM = 'main';
+const ROOM_ID_PATTERN = /^[a-z0-9][a-z0-9-]{1,39}$/;
+const MAX_ROOMS = 100;
+
+// Permission (see PERMISSIONS in schema.js) needed to change each part of the record.
+// availability, completions and auditLog have their own rules in findForbiddenChange(); the relay
+// sets loginFailures, version and timestamp itself.
+const FIELD_PERMISSIONS = {
+    houseName: 'manageHouses',
+    tasks: 'editTasks',
+    accounts: 'manageAccounts',
+    assignments: 'editAssignments',
+    roster: 'manageRoster',
+    groups: 'manageRoster',
+    rules: 'manageRules',
+    settings: 'rotate',
+    history: 'rotate',
+    scheduleClaim: 'rotate'
+};
+
+// What a field holds in a record that does not have it yet
+const EMPTY_FIELDS = {
+    houseName: '',
+    rules: [],
+    groups: [],
+    availability: {},
+    completions: {},
+    scheduleClaim: null,
+    accounts: [],
+    auditLog: [],
+    history: []
+};
+
+/**
+ * Parses --port, --data and --setup-token from the command line, and the JSONBin settings from the environment
+ * @param {string[]} args - process.argv without node and the script
+ * @returns {Object} Options
+ */
+function parseArgs(args) {
+    const options = {
+        port: Number(process.env.PORT) || 8788,
+        dataDir: null,
+        setupToken: process.env.SEVA_SETUP_TOKEN || null,
+        jsonbin: {
+            baseUrl: process.env.JSONBIN_URL || 'https://api.jsonbin.io/v3',
+            masterKey: process.env.JSONBIN_MASTER_KEY || null,
+            binId: process.env.JSONBIN_BIN_ID || null,
+            roomsBinId: process.env.JSONBIN_ROOMS_BIN_ID || null
+        }
+    };
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--port') options.port = Number(args[++i]);
+        else if (args[i] === '--data') options.dataDir = path.resolve(args[++i]);
+        else if (args[i] === '--setup-token') options.setupToken = args[++i];
+    }
+    return options;
+}
+
+/**
+ * Store that keeps each house's record in a JSON file named after the room
+ * Writes go to a temporary file first so a crash never leaves half a file behind.
+ * @param {string} dir - Folder of the JSON files (created on the first save)
+ * @returns {Object} Store with load(room), save(room, record) and listRooms()
+ */
+function createFileStore(dir) {
+    const fileOf = (room) => path.join(dir, `${room}.json`);
+
+    return {
+        name: `folder ${dir}`,
+        dir: path.resolve(dir),
+        async load(room) {
+            if (!fs.existsSync(fileOf(room))) return null;
+            return JSON.parse(await fs.promises.readFile(fileOf(room), 'utf8'));
+        },
+        async save(room, record) {
+            const temp = `${fileOf(room)}.tmp`;
+            await fs.promises.mkdir(dir, { recursive: true });
+            await fs.promises.writeFile(temp, JSON.stringify(record, null, 2));
+            await fs.promises.rename(temp, fileOf(room));
+        },
+        async listRooms() {
+            if (!fs.existsSync(dir)) return [];
+            return (await fs.promises.readdir(dir)).filter(file => file.endsWith('.json')).map(file => file.slice(0, -5));
+        }
+    };
+}
+
+/**
+ * Store that keeps each house in a JSONBin bin - the master key never leaves the relay
+ * The main house uses binId. Other houses get a bin on their first save, and the
+ * room -> bin list is kept in the rooms bin (created and logged if roomsBinId is not set).
+ * @param {Object} config - { baseUrl, masterKey, binId, roomsBinId }
+ * @returns {Object} Store with load(room), save(room, record) and listRooms()
+ */
+function createJsonBinStore(config) {
+    const apiUrl = config.baseUrl.replace(/\/$/, '');
+    let roomsBinId = config.roomsBinId || null;
+    let roomBins; // room -> bin id of the houses other than main, loaded on first use
+
+    const request = async (method, url, body) => {
+        const response = await fetch(url, {
+            method: method,
+            headers: { 'Content-Type': 'application/json', 'X-Master-Key': config.masterKey },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        if (response.status === 404 && method === 'GET') return null;
+        if (!response.ok) {
+            throw new Error(`JSONBin responded ${response.status}`);
+        }
+        return response.json();
+    };
+
+    const getRoomBins = async () => {
+        if (!roomBins) {
+            const result = roomsBinId ? await request('GET', `${apiUrl}/b/${roomsBinId}/latest`) : null;
+            roomBins = (result && result.record && result.record.rooms) || {};
+        }
+        return roomBins;
+    };
+
+    const getBinId = async (room) => room === DEFAULT_ROOM ? config.binId : (await getRoomBins())[room];
+
+    return {
+        name: `JSONBin bin ${config.binId}`,
+        async load(room) {
+            const binId = await getBinId(room);
+            if (!binId) return null;
+            const result = await request('GET', `${apiUrl}/b/${binId}/latest`);
+            // A new bin holds an empty object until the first save
+            return result && result.record && result.record.assignments ? result.record : null;
+        },
+        async save(room, record) {
+            const binId = await getBinId(room);
+            if (binId) {
+                await request('PUT', `${apiUrl}/b/${binId}`, record);
+                return;
+            }
+
+            const created = await request('POST', `${apiUrl}/b`, record);
+            const rooms = { ...(await getRoomBins()), [room]: created.metadata.id };
+            if (roomsBinId) {
+                await request('PUT', `${apiUrl}/b/${roomsBinId}`, { rooms: rooms });
+            } else {
+                roomsBinId = (await request('POST', `${apiUrl}/b`, { rooms: rooms })).metadata.id;
+                console.log(`🏠 Created the rooms bin - set JSONBIN_ROOMS_BIN_ID=${roomsBinId} to keep the houses after a restart`);
+            }
+            roomBins = rooms;
+        },
+        async listRooms() {
+            return [DEFAULT_ROOM].concat(Object.keys(await getRoomBins()));
+        }
+    };
+}
+
+/**
+ * Checks a password against an account's PBKDF2 hash (as made by hashPassword() in app.js)
+ * An iteration count the schema does not allow (e.g. in a record stored before it had a maximum)
+ * never matches, so it cannot hold up the relay.
+ * @param {Object} account - Account from the record
+ * @param {string} password - Plain password
+ * @returns {Promise<boolean>} True if the password matches
+ */
+function verifyPassword(account, password) {
+    return new Promise((resolve) => {
+        if (!Number.isInteger(account.iterations) || account.iterations < 1 || account.iterations > MAX_PASSWORD_ITERATIONS) {
+            return resolve(false);
+        }
+        crypto.pbkdf2(password, Buffer.from(account.salt, 'base64'), account.iterations, 32, 'sha256', (error, key) => {
+            const expected = Buffer.from(account.hash, 'base64');
+            resolve(!error && expected.length === key.length && crypto.timingSafeEqual(expected, key));
+        });
+    });
+}
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+const sameSecret = (a, b) => crypto.timingSafeEqual(
+    crypto.createHash('sha256').update(String(a)).digest(),
+    crypto.createHash('sha256').update(String(b)).digest()
+);
+const fieldOf = (record, field) => record[field] === undefined ? EMPTY_FIELDS[field] : record[field];
+
+/**
+ * Lists the keys of two maps whose values differ
+ * @param {Object} before - Stored map (e.g. availability by person)
+ * @param {Object} after - Map in the save
+ * @returns {string[]} Changed keys
+ */
+function changedKeys(before, after) {
+    return Array.from(new Set(Object.keys(before).concat(Object.keys(after)))).filter(key => !same(before[key], after[key]));
+}
+
+/**
+ * Whether a bhakto may tick a seva as done this week: they are doing it by the relay's own clock -
+ * on it and not away, or covering for someone who is (the same rules the app shows, see
+ * computeCoverage() in rotation.js)
+ * @param {Object} data - Record in the save
+ * @param {string} taskId - Id of the seva
+ * @param {string} person - Bhakto name of the saving account
+ * @param {Date} now - Day the tick is judged for (defaults to today)
+ * @returns {boolean} True if the bhakto may tick it
+ */
+function canTickTask(data, taskId, person, now = new Date()) {
+    const tasks = data.tasks || [];
+    const index = tasks.findIndex(task => task.id === taskId);
+    if (index === -1) return false;
+
+    const coverage = computeCoverage(tasks, data.assignments || [], data.roster || [],
+        fieldOf(data, 'rules'), fieldOf(data, 'groups'), fieldOf(data, 'availability'), now);
+    return getCompletionCandidates(coverage[index] || []).includes(person);
+}
+
+/**
+ * Fills in the parts of the record a save could not see (see viewOf()): the save's new audit
+ * entries are added to the stored log - also for admins, whose device may have missed entries
+ * another device added - and without the right to manage accounts the stored accounts stay if
+ * the save left its own account as it was shown
+ * @param {Object} current - Stored record
+ * @param {Object} data - Record in the save
+ * @param {Object} account - Account of the session
+ * @returns {Object} Record to check and store
+ */
+function mergeHiddenFields(current, data, account) {
+    const stored = fieldOf(current, 'auditLog');
+    const storedIds = new Set(stored.map(entry => entry.id));
+    const added = fieldOf(data, 'auditLog').filter(entry => !storedIds.has(entry.id));
+    const merged = { ...data, auditLog: stored.concat(added).slice(-MAX_AUDIT_ENTRIES) };
+    if (roleAllows(account.role, 'manageAccounts')) return merged;
+
+    return {
+        ...merged,
+        accounts: same(fieldOf(data, 'accounts'), [account]) ? fieldOf(current, 'accounts') : data.accounts
+    };
+}
+
+/**
+ * Checks a save against what the saving account's role may change
+ * Members may only change their own availability and their own ticks, and the audit log
+ * only grows - entries are added in the saving user's name, and the oldest drop off only
+ * once it holds MAX_AUDIT_ENTRIES.
+ * @param {Object} current - Stored record
+ * @param {Object} data - Record in the save
+ * @param {Object} account - Account of the session
+ * @returns {string|null} Why the save is refused, or null if it is allowed
+ */
+function findForbiddenChange(current, data, account) {
+    const allows = (permission) => roleAllows(account.role, permission);
+
+    const field = Object.keys(FIELD_PERMISSIONS).find(key =>
+        !allows(FIELD_PERMISSIONS[key]) && !same(fieldOf(current, key), fieldOf(data, key)));
+    if (field) {
+        return `A ${account.role} cannot change ${field}`;
+    }
+    if (!fieldOf(data, 'accounts').some(item => item.role === 'admin')) {
+        return 'A house needs at least one admin';
+    }
+
+    const ownOnly = (key, anyPermission, ownPermission, isOwn) => {
+        if (allows(anyPermission)) return true;
+        const before = fieldOf(current, key);
+        const after = fieldOf(data, key);
+        return allows(ownPermission) && changedKeys(before, after).every(item => isOwn(item, before, after));
+    };
+    const person = account.person || null;
+    if (!ownOnly('availability', 'markAnyAvailability', 'markOwnAvailability', (name) => person !== null && name === person)) {
+        return `A ${account.role} can only mark their own availability`;
+    }
+    const tickedByMe = (completion) => !completion || completion.by === person;
+    if (!ownOnly('completions', 'tickAnyTask', 'tickOwnTask', (taskId, before, after) =>
+        person !== null && tickedByMe(before[taskId]) && tickedByMe(after[taskId])
+        && (!after[taskId] || canTickTask(data, taskId, person)))) {
+        return `A ${account.role} can only tick their own sevas`;
+    }
+
+    const stored = fieldOf(current, 'auditLog');
+    const storedIds = new Set(stored.map(entry => entry.id));
+    const log = fieldOf(data, 'auditLog');
+    const kept = log.filter(entry => storedIds.has(entry.id));
+    const added = log.slice(kept.length);
+    const byMe = (entry) => entry.user === account.username || (entry.user === 'system' && allows('rotate'));
+    const dropped = kept.length < stored.length;
+    if ((dropped && log.length < MAX_AUDIT_ENTRIES) || !same(kept, stored.slice(stored.length - kept.length))
+        || !added.every(entry => !storedIds.has(entry.id) && byMe(entry))) {
+        return 'The audit log can only be added to, in your own name';
+    }
+    return null;
+}
+
+/**
+ * Creates the relay server
+ * @param {Object} options - { store } from createFileStore() or createJsonBinStore(), the
+ *                           setupToken for houses without accounts (a random one is printed without it)
+ *                           and the staticRoot the app files are served from (defaults to STATIC_ROOT)
+ * @returns {http.Server} Server, not yet listening
+ */
+function createRelayServer(options) {
+    const store = options.store;
+    const staticRoot = options.staticRoot || STATIC_ROOT;
+    const setupToken = options.setupToken || crypto.randomBytes(12).toString('base64url');
+    if (!options.setupToken) {
+        console.log(`🔑 Setup code for the first admin of a house: ${setupToken}`);
+    }
+    const sessions = new Map(); // token -> { room, username, expiresAt }
+    // 'user:' + room + lower-case username, or 'client:' + address -> { failures, lastFailedAt },
+    // in order of the last failure so the oldest are evicted first
+    const loginAttempts = new Map();
+    let globalFailures = { windowStart: 0, count: 0 };
+
+    // Per house: the record as last loaded or saved (the relay is the only writer), its failed logins,
+    // its open event streams (response -> session token or null) and its open pages
+    // (viewerId -> { viewerId, name, device, lastSeen })
+    const rooms = new Map();
+    const getRoom = (roomId) => {
+        if (!rooms.has(roomId)) {
+            rooms.set(roomId, { id: roomId, record: undefined, loginFailures: [], eventClients: new Map(), viewers: new Map() });
+        }
+        return rooms.get(roomId);
+    };
+    const countAll = (key) => Array.from(rooms.values()).reduce((total, room) => total + room[key].size, 0);
+
+    /**
+     * The record as a session may see it: admins get all of it, with the house's failed logins;
+     * other accounts get their own account and no logs; without a session there are no accounts
+     * at all, only whether any exist (accountsHidden)
+     */
+    const viewOf = (room, record, session) => {
+        if (!record) return record;
+        const account = session && findAccount(record, session.username);
+        if (account && roleAllows(account.role, 'manageAccounts')) {
+            return { ...record, loginFailures: room.loginFailures };
+        }
+        const { accounts, loginFailures, auditLog, ...shared } = record;
+        return account
+            ? { ...shared, accounts: [account] }
+            : { ...shared, accountsHidden: listAccounts(record).length > 0 };
+    };
+
+    // Every save and presence change is broadcast to the house's event streams, the record as each stream's session sees it
+    const sendEvent = (res, type, payload) => res.write(`event: ${type}\ndata: ${JSON.stringify(payload)}\n\n`);
+    const broadcast = (room, type, payload) => room.eventClients.forEach((token, res) => sendEvent(res, type, payload));
+    const broadcastRecord = (room) => room.eventClients.forEach((token, res) =>
+        sendEvent(res, 'doc', viewOf(room, room.record, findSession(token, room, room.record))));
+
+    const listViewers = (room) => Array.from(room.viewers.values()).map(({ viewerId, name, device }) => ({ viewerId, name, device }));
+    const expireViewers = (room, now = Date.now()) => {
+        let changed = false;
+        room.viewers.forEach((viewer, id) => {
+            if (now - viewer.lastSeen >= PRESENCE_TIMEOUT) {
+                room.viewers.delete(id);
+                changed = true;
+            }
+        });
+        return changed;
+    };
+
+    const heartbeat = setInterval(() => {
+        expireLoginAttempts();
+        expireSessions();
+        rooms.forEach((room, roomId) => {
+            if (expireViewers(room)) broadcast(room, 'presence', listViewers(room));
+            room.eventClients.forEach((token, res) => res.write(': ping\n\n'));
+            // Forget houses nobody has open that were never saved
+            if (!room.record && room.eventClients.size === 0 && room.viewers.size === 0) {
+                rooms.delete(roomId);
+            }
+        });
+    }, EVENT_HEARTBEAT_INTERVAL);
+    heartbeat.unref();
+
+    // Saves run one at a time so the version check and the write cannot interleave
+    let writeQueue = Promise.resolve();
+    const serialize = (task) => {
+        const result = writeQueue.then(task);
+        writeQueue = result.catch(() => {});
+        return result;
+    };
+
+    const getRecord = async (room) => {
+        if (room.record === undefined) {
+            const record = await store.load(room.id);
+            // Records saved before the relay kept the log itself still carry it
+            if (record && Array.isArray(record.loginFailures) && room.loginFailures.length === 0) {
+                room.loginFailures = record.loginFailures.slice(-MAX_LOGIN_FAILURES);
+            }
+            room.record = record;
+        }
+        return room.record;
+    };
+
+    const saveRecord = async (room, record) => {
+        await store.save(room.id, record);
+        room.record = record;
+        broadcastRecord(room);
+    };
+
+    const send = (res, status, body) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    };
+
+    /**
+     * Reads a request's JSON body, which must be an object - anything else is refused with a 400.
+     * A body over MAX_BODY_BYTES is refused with a 413; the rest of it is read and dropped rather
+     * than the connection cut, so the client gets the answer.
+     */
+    const readBody = (req) => new Promise((resolve, reject) => {
+        const refuse = (status, message) => {
+            const error = new Error(message);
+            error.status = status;
+            reject(error);
+        };
+        let body = '';
+        const collect = (chunk) => {
+            body += chunk;
+            if (body.length > MAX_BODY_BYTES) {
+                body = '';
+                req.removeListener('data', collect);
+                req.resume();
+                refuse(413, 'Request body too large');
+            }
+        };
+        req.on('data', collect);
+        req.on('end', () => {
+            let parsed;
+            try {
+                parsed = JSON.parse(body || '{}');
+            } catch (error) {
+                return reject(error);
+            }
+            if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+                return refuse(400, 'Expected a JSON object');
+            }
+            resolve(parsed);
+        });
+        req.on('error', reject);
+    });
+
+    // A record from an older app, or one written outside the relay, may not have a usable account list
+    const listAccounts = (record) => record && Array.isArray(record.accounts)
+        ? record.accounts.filter(account => account && typeof account.username === 'string')
+        : [];
+
+    const findAccount = (record, username) => {
+        const wanted = String(username || '').toLowerCase();
+        return listAccounts(record).find(account => account.username.toLowerCase() === wanted);
+    };
+
+    // The request's session token - event streams pass it as ?token= because EventSource cannot send headers
+    const tokenOf = (req) => {
+        const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+        return match ? match[1] : new URL(req.url, 'http://relay').searchParams.get('token');
+    };
+
+    /**
+     * Finds the session of a token in a house
+     * The account must still exist - revoking it ends its sessions.
+     */
+    const findSession = (token, room, record) => {
+        const session = token && sessions.get(token);
+        if (!session || session.room !== room.id) return null;
+        if (Date.now() >= session.expiresAt || !findAccount(record, session.username)) {
+            sessions.delete(token);
+            return null;
+        }
+        return session;
+    };
+    const getSession = (req, room, record) => findSession(tokenOf(req), room, record);
+
+    // Ended sessions are also dropped on the heartbeat, so tokens that never come back do not pile up
+    const expireSessions = (now = Date.now()) => {
+        sessions.forEach((session, token) => {
+            if (now >= session.expiresAt) sessions.delete(token);
+        });
+    };
+
+    /**
+     * Whether the request may set up a house without accounts: it carries the setup code,
+     * or the session token of an admin of another house (which is how admins start new houses)
+     */
+    const isSetupAllowed = (req) => {
+        const token = req.headers['x-setup-token'];
+        if (!token) return false;
+        if (sameSecret(token, setupToken)) return true;
+
+        const session = sessions.get(token);
+        const home = session && rooms.get(session.room);
+        const account = home && findAccount(home.record, session.username);
+        return Boolean(account && account.role === 'admin' && Date.now() < session.expiresAt);
+    };
+
+    // LOGIN LIMITS (see the constants at the top)
+    const getLoginWait = (key, freeAttempts, now) => {
+        const attempts = loginAttempts.get(key);
+        const backoff = attempts ? getLoginBackoff(attempts.failures - freeAttempts + FREE_LOGIN_ATTEMPTS) : 0;
+        if (!backoff) return 0;
+        return Math.max(0, attempts.lastFailedAt + backoff - now);
+    };
+
+    /**
+     * How long a login must wait: the longest of the username's, the client's and the relay-wide wait
+     */
+    const getLoginWaits = (userKey, clientKey, now = Date.now()) => {
+        const globalWait = globalFailures.count >= GLOBAL_LOGIN_FAILURES_PER_MINUTE
+            ? globalFailures.windowStart + 60000 - now
+            : 0;
+        return Math.max(0, globalWait, getLoginWait(userKey, FREE_LOGIN_ATTEMPTS, now), getLoginWait(clientKey, CLIENT_FREE_LOGIN_ATTEMPTS, now));
+    };
+
+    const countFailure = (key, now) => {
+        const attempts = loginAttempts.get(key) || { failures: 0 };
+        loginAttempts.delete(key);
+        loginAttempts.set(key, { failures: attempts.failures + 1, lastFailedAt: now });
+        // Past the cap the entries with the oldest failures go first
+        while (loginAttempts.size > MAX_LOGIN_ATTEMPT_KEYS) {
+            loginAttempts.delete(loginAttempts.keys().next().value);
+        }
+    };
+
+    function expireLoginAttempts(now = Date.now()) {
+        loginAttempts.forEach((attempts, key) => {
+            if (now - attempts.lastFailedAt >= LOGIN_ATTEMPT_TTL) {
+                loginAttempts.delete(key);
+            }
+        });
+    }
+
+    /**
+     * Counts a failed login against the username, the client and the relay, and adds it to the house's log
+     * The log lives in memory only - a failed login never writes the record.
+     */
+    const recordFailedLogin = (room, keys, username, device) => {
+        const now = Date.now();
+        keys.forEach(key => countFailure(key, now));
+        if (now - globalFailures.windowStart >= 60000) {
+            globalFailures = { windowStart: now, count: 0 };
+        }
+        globalFailures.count += 1;
+
+        if (!room.record) return;
+        const failure = { username: String(username || '').slice(0, 40), at: new Date(now).toISOString(), device: String(device || 'unknown').slice(0, 60) };
+        room.loginFailures = room.loginFailures.concat(failure).slice(-MAX_LOGIN_FAILURES);
+    };
+
+    async function handleLogin(req, res, room) {
+        const body = await readBody(req);
+        const userKey = `user:${room.id}:${String(body.username || '').toLowerCase()}`;
+        const clientKey = `client:${req.socket.remoteAddress}`;
+
+        const wait = getLoginWaits(userKey, clientKey);
+        if (wait > 0) {
+            return send(res, 429, { message: 'Too many failed logins', retryAfter: Math.ceil(wait / 1000) });
+        }
+
+        const account = findAccount(await getRecord(room), body.username);
+        if (account && await verifyPassword(account, String(body.password || ''))) {
+            loginAttempts.delete(userKey);
+            const token = crypto.randomBytes(24).toString('base64url');
+            const session = { username: account.username, expiresAt: Date.now() + SESSION_DURATION };
+            sessions.set(token, { room: room.id, ...session });
+            console.log(`🔐 ${account.username} logged in to ${room.id}`);
+            return send(res, 200, { token: token, ...session, record: viewOf(room, room.record, session) });
+        }
+
+        recordFailedLogin(room, [userKey, clientKey], body.username, body.device);
+        console.log(`🚨 Failed login for ${body.username} in ${room.id}`);
+        return send(res, 401, { message: 'Invalid credentials' });
+    }
+
+    function handleLogout(req, res) {
+        const token = tokenOf(req);
+        if (token) {
+            sessions.delete(token);
+        }
+        return send(res, 200, { ok: true });
+    }
+
+    async function handleClearLoginFailures(req, res, room) {
+        const record = await getRecord(room);
+        const session = getSession(req, room, record);
+        if (!session) {
+            return send(res, 401, { message: 'Log in to clear the log' });
+        }
+        if (findAccount(record, session.username).role !== 'admin') {
+            return send(res, 403, { message: 'Only admins can clear the log' });
+        }
+        room.loginFailures = [];
+        return send(res, 200, { ok: true });
+    }
+
+    async function handleSave(req, res, room) {
+        const body = await readBody(req);
+        if (!body.data || typeof body.data !== 'object' || Array.isArray(body.data)) {
+            return send(res, 400, { message: 'Expected { data, baseVersion }' });
+        }
+        // Older formats are only read (and migrated) by the app - everything saved is in the current one
+        if (body.data.formatVersion !== FORMAT_VERSION) {
+            console.log(`🚫 Refused format ${body.data.formatVersion} for ${room.id}`);
+            return send(res, 422, { message: `Data must be in format ${FORMAT_VERSION}`, errors: [`document should have formatVersion ${FORMAT_VERSION}`] });
+        }
+        const errors = validateDocument(body.data);
+        if (errors.length > 0) {
+            console.log(`🚫 Refused invalid data for ${room.id}: ${errors[0]}`);
+            return send(res, 422, { message: 'Data does not match the schema', errors: errors });
+        }
+
+        return serialize(async () => {
+            const current = await getRecord(room);
+            if (!current && (await store.listRooms()).length >= MAX_ROOMS) {
+                return send(res, 403, { message: `This relay already keeps ${MAX_ROOMS} houses` });
+            }
+            const setupOpen = listAccounts(current).length === 0;
+            if (setupOpen && !isSetupAllowed(req)) {
+                return send(res, 403, { message: 'Setting up a house needs the setup code' });
+            }
+            const session = setupOpen ? null : getSession(req, room, current);
+            if (!setupOpen && !session) {
+                return send(res, 401, { message: 'Log in to save changes' });
+            }
+            // Only a save based on exactly the stored version may replace it, and the relay numbers the versions
+            const currentVersion = current ? Number(current.version) || 0 : 0;
+            if (current && body.baseVersion !== currentVersion) {
+                return send(res, 409, { message: `Server is at version ${currentVersion}`, record: viewOf(room, current, session) });
+            }
+
+            const account = session && findAccount(current, session.username);
+            const data = account ? mergeHiddenFields(current, body.data, account) : body.data;
+            const forbidden = account && findForbiddenChange(current, data, account);
+            if (forbidden) {
+                console.log(`🚫 Refused a save by ${session.username} in ${room.id}: ${forbidden}`);
+                return send(res, 403, { message: forbidden });
+            }
+
+            if (!current) {
+                console.log(`🏠 New house ${room.id}`);
+            }
+            const record = { ...data, loginFailures: [], version: currentVersion + 1, timestamp: new Date().toISOString() };
+            await saveRecord(room, record);
+            return send(res, 200, { version: record.version });
+        });
+    }
+
+    async function handleEvents(req, res, room) {
+        if (countAll('eventClients') >= MAX_EVENT_CLIENTS) {
+            return send(res, 503, { message: 'Too many open event streams' });
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+        res.write(`retry: ${EVENT_RETRY_MS}\n\n`);
+        const token = tokenOf(req);
+        room.eventClients.set(res, token);
+        req.on('close', () => room.eventClients.delete(res));
+
+        // A reconnecting client catches up on anything it missed
+        sendEvent(res, 'presence', listViewers(room));
+        const record = await getRecord(room);
+        if (record && room.eventClients.has(res)) {
+            sendEvent(res, 'doc', viewOf(room, record, findSession(token, room, record)));
+        }
+    }
+
+    async function handlePresence(req, res, room) {
+        const body = await readBody(req);
+        const viewerId = String(body.viewerId || '').slice(0, 60);
+        if (!viewerId) {
+            return send(res, 400, { message: 'Expected { viewerId }' });
+        }
+
+        const before = JSON.stringify(listViewers(room));
+        expireViewers(room);
+        if (body.leaving) {
+            room.viewers.delete(viewerId);
+        } else if (room.viewers.has(viewerId) || countAll('viewers') < MAX_VIEWERS) {
+            const session = getSession(req, room, await getRecord(room));
+            room.viewers.set(viewerId, {
+                viewerId: viewerId,
+                name: session ? session.username : null,
+                device: String(body.device || 'Unknown device').slice(0, 60),
+                lastSeen: Date.now()
+            });
+        }
+
+        const list = listViewers(room);
+        if (JSON.stringify(list) !== before) {
+            broadcast(room, 'presence', list);
+        }
+        return send(res, 200, { viewers: list });
+    }
+
+    async function handleApi(req, res, parts) {
+        // /api/rooms/<room>/<route>, or /api/<route> for the main house
+        const roomId = parts[0] === 'rooms' ? parts[1] : DEFAULT_ROOM;
+        const route = (parts[0] === 'rooms' ? parts.slice(2) : parts).join('/');
+        if (!ROOM_ID_PATTERN.test(roomId || '')) {
+            return send(res, 400, { message: 'Not a valid house id' });
+        }
+        const room = getRoom(roomId);
+
+        if (route === 'doc' && req.method === 'GET') {
+            // An empty house is still a found route - a 404 means the app is not talking to a relay
+            const record = await getRecord(room);
+            return send(res, 200, { record: record ? viewOf(room, record, getSession(req, room, record)) : null });
+        }
+        if (route === 'doc' && req.method === 'PUT') return handleSave(req, res, room);
+        if (route === 'events' && req.method === 'GET') return handleEvents(req, res, room);
+        if (route === 'presence' && req.method === 'POST') return handlePresence(req, res, room);
+        if (route === 'login' && req.method === 'POST') return handleLogin(req, res, room);
+        if (route === 'logout' && req.method === 'POST') return handleLogout(req, res);
+        if (route === 'login-failures' && req.method === 'DELETE') return handleClearLoginFailures(req, res, room);
+        return send(res, 404, { message: 'Route not found' });
+    }
+
+    // Compared after following links, so a data folder linked in among the app files is not served either
+    const isInDataFolder = (filePath) => Boolean(store.dir) && fs.existsSync(store.dir)
+        && (fs.realpathSync(filePath) + path.sep).startsWith(fs.realpathSync(store.dir) + path.sep);
+
+    /**
+     * Serves an app file: one of STATIC_FILES, or a file in one of STATIC_FOLDERS - and never
+     * anything in the data folder, even if it was put inside the app's folder
+     */
+    function serveStatic(req, res) {
+        let urlPath;
+        try {
+            urlPath = decodeURIComponent(req.url.split('?')[0]);
+        } catch (error) {
+            // A malformed escape (e.g. /%E0%A4%A) names no file
+            res.writeHead(404);
+            return res.end('Not found');
+        }
+        const filePath = path.join(staticRoot, urlPath === '/' ? 'index.html' : urlPath);
+        const relative = path.relative(staticRoot, filePath).split(path.sep);
+        const listed = relative.length === 1
+            ? STATIC_FILES.includes(relative[0])
+            : STATIC_FOLDERS.includes(relative[0]) && !relative.some(part => part.startsWith('.'));
+        if (!listed || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile() || isInDataFolder(filePath)) {
+            res.writeHead(404);
+            return res.end('Not found');
+        }
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+        fs.createReadStream(filePath).pipe(res);
+    }
+
+    return http.createServer(async (req, res) => {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Setup-Token');
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            return res.end();
+        }
+
+        const parts = req.url.split('?')[0].split('/').filter(Boolean);
+        try {
+            if (parts[0] === 'api') {
+                await handleApi(req, res, parts.slice(1));
+            } else if (req.method === 'GET') {
+                serveStatic(req, res);
+            } else {
+                send(res, 404, { message: 'Route not found' });
+            }
+        } catch (error) {
+            console.error('❌ Relay error:', error.message);
+            if (!res.headersSent) {
+                send(res, error.status || (error instanceof SyntaxError ? 400 : 502), { message: error.message });
+            }
+        }
+    });
+}
+
+if (require.main === module) {
+    const options = parseArgs(process.argv.slice(2));
+    let store;
+    if (options.dataDir) {
+        store = createFileStore(options.dataDir);
+    } else if (options.jsonbin.masterKey && options.jsonbin.binId) {
+        store = createJsonBinStore(options.jsonbin);
+    } else {
+        console.error('Pass --data <folder>, or set JSONBIN_MASTER_KEY and JSONBIN_BIN_ID');
+        process.exit(1);
+    }
+
+    createRelayServer({ store: store, setupToken: options.setupToken }).listen(options.port, () => {
+        console.log(`🛰️ Sync relay running at http://localhost:${options.port}/api (${store.name})`);
+        console.log(`   Open http://localhost:${options.port}/`);
+    });
+}
+
+module.exports = { createRelayServer, createFileStore, createJsonBinStore, mergeHiddenFields, findForbiddenChange };
@@ -0,0 +1,521 @@
+/**
+ * Rotation engine - shared by the app (browser global SevaRotation), the relay and the tests (require)
+ *
+ * Works out the next week's assignments from the tasks, the current assignments, the roster,
+ * the rules and the linked groups, in classic mode (everyone shifts one place) or fair mode
+ * (effort is balanced over the recent weeks). The functions only read their arguments, so
+ * the app can compute previews and several weeks ahead without changing its state. Who
+ * covers for the bhaktos who are away is worked out here too, so the relay can check ticks.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SevaRotation = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Fair rotation tuning: weeks of history to look at, how fast old weeks fade
+    // and how strongly a bhakto is kept off a task they had recently
+    const FAIR_HISTORY_WEEKS = 12;
+    const FAIR_REPEAT_DECAY = 0.5;
+    const FAIR_REPEAT_PENALTY = 5;
+
+    /**
+     * Checks whether a rotation rule applies on a given day
+     * @param {Object} rule - Rotation rule
+     * @param {Date} date - Day to check (defaults to today)
+     * @returns {boolean} True if the rule has no end date or has not ended yet
+     */
+    function isRuleActive(rule, date = new Date()) {
+        if (!rule.until) return true;
+        // "until" is inclusive - the rule still applies on that day
+        return formatDateKey(date) <= rule.until;
+    }
+
+    /**
+     * Formats a date as YYYY-MM-DD in local time (used for rule end dates)
+     * @param {Date} date - Date to format
+     * @returns {string} Date key
+     */
+    function formatDateKey(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Gets the key of the week a day falls in - the Monday, as YYYY-MM-DD (used for availability)
+     * @param {Date} date - Day in the week
+     * @returns {string} Week key
+     */
+    function getWeekKey(date) {
+        const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        monday.setDate(monday.getDate() - (monday.getDay() + 6) % 7);
+        return formatDateKey(monday);
+    }
+
+    /**
+     * Checks whether a linked group rotates as one unit on a given day
+     * @param {Object} group - Linked group
+     * @param {Date} date - Day to check (defaults to today)
+     * @returns {boolean} False while the group is split ("splitUntil" is inclusive)
+     */
+    function isGroupLinked(group, date = new Date()) {
+        return !group.splitUntil || formatDateKey(date) > group.splitUntil;
+    }
+
+    /**
+     * Gets the effort weight of a task
+     * @param {Object} task - Task
+     * @returns {number} Weight from 1 (light) to 5 (heavy)
+     */
+    function getTaskWeight(task) {
+        return task.weight || 1;
+    }
+
+    /**
+     * Works out what the active rules and linked groups mean for one rotation
+     * Shared by the classic and fair rotation modes
+     * @param {Array<Object>} tasks - Task list
+     * @param {Array<string>} roster - Bhaktos in the rotation
+     * @param {Array<Object>} rules - Rotation rules
+     * @param {Array<Object>} groups - Linked groups
+     * @param {Date} date - Day the rotation is for (decides which rules and links apply)
+     * @returns {Object} Rotation plan: { fixedLabels, pinnedByTask, isFixed, isExcluded, inPool, unitFor }
+     */
+    function buildRotationPlan(tasks, roster, rules, groups, date) {
+        const activeRules = rules.filter(rule => isRuleActive(rule, date));
+        const linkedGroups = groups.filter(group => isGroupLinked(group, date));
+        const fixedLabels = {};
+        const pinnedByTask = {};
+        const pinnedPeople = new Set();
+
+        for (const rule of activeRules) {
+            if (rule.type === 'fixed_task') {
+                fixedLabels[rule.taskId] = rule.label;
+            } else if (rule.type === 'pin' && roster.includes(rule.person)) {
+                pinnedByTask[rule.taskId] = (pinnedByTask[rule.taskId] || []).concat(rule.person);
+                pinnedPeople.add(rule.person);
+            }
+        }
+
+        const isFixed = (task) => fixedLabels[task.id] !== undefined;
+        const isExcluded = (unit, task) => activeRules.some(rule =>
+            rule.type === 'exclude' && unit.includes(rule.person) && rule.taskId === task.id
+        );
+        const inPool = (person) => roster.includes(person) && !pinnedPeople.has(person);
+
+        // A unit is a single person, or every pooled member of their linked group
+        const unitFor = (person) => {
+            const group = linkedGroups.find(g => g.members.includes(person));
+            return group ? group.members.filter(inPool) : [person];
+        };
+
+        return { fixedLabels, pinnedByTask, isFixed, isExcluded, inPool, unitFor };
+    }
+
+    /**
+     * Collects the units that take part in the rotation
+     * People on rotating tasks come first (in task order), then roster members
+     * who are not assigned yet join at the end of the pool.
+     * @param {Object} plan - Rotation plan from buildRotationPlan()
+     * @param {Array<Object>} tasks - Task list
+     * @param {Array<Array<string>>} assignments - Current assignments (one row per task)
+     * @param {Array<string>} roster - Bhaktos in the rotation
+     * @param {boolean} shiftLast - Move the last assigned unit to the front (classic shift)
+     * @returns {Array<Array<string>>} Units in pool order
+     */
+    function collectRotationUnits(plan, tasks, assignments, roster, shiftLast) {
+        const units = [];
+        const collected = new Set();
+        const collect = (person) => {
+            if (!plan.inPool(person) || collected.has(person)) return;
+            const unit = plan.unitFor(person);
+            unit.forEach(member => collected.add(member));
+            units.push(unit);
+        };
+
+        tasks.forEach((task, i) => {
+            if (plan.isFixed(task)) return;
+            (assignments[i] || []).forEach(collect);
+        });
+
+        if (shiftLast && units.length > 0) {
+            units.unshift(units.pop());
+        }
+
+        roster.forEach(collect);
+        return units;
+    }
+
+    /**
+     * Fills every task from the pool of units
+     * Fixed tasks get their label and pinned people keep their task. The free
+     * slots are filled by chooseUnit(), which picks from the units that fit the
+     * remaining room and are not excluded from the task. A unit that fitted no
+     * task's room is then placed by makeRoomForUnit(), on the first task from
+     * roomOrder() it can make room on.
+     * @param {Object} plan - Rotation plan from buildRotationPlan()
+     * @param {Array<Object>} tasks - Task list
+     * @param {Array<Array<string>>} units - Pool of units (placed units are removed)
+     * @param {Array<number>} taskOrder - Task indexes in the order they are filled
+     * @param {Function} chooseUnit - (candidateIndexes, task) => index of the unit to place
+     * @param {Function} roomOrder - (unit, missedAt) => task indexes to make room on, best first;
+     *                               missedAt is the first task the unit was passed over on for not fitting
+     * @returns {Array<Array<string>>} New assignments (one row per task)
+     */
+    function fillRotatingTasks(plan, tasks, units, taskOrder, chooseUnit, roomOrder) {
+        const newAssignments = tasks.map(task =>
+            plan.isFixed(task) ? [plan.fixedLabels[task.id]] : [...(plan.pinnedByTask[task.id] || [])]
+        );
+        const placed = tasks.map(() => []); // Units this rotation put on each task
+        const missedAt = new Map(); // Unit => first task it did not fit when it was ahead in the pool
+
+        for (const i of taskOrder) {
+            const task = tasks[i];
+            if (plan.isFixed(task)) continue;
+
+            const newGroup = newAssignments[i];
+            while (newGroup.length < task.capacity) {
+                const freeSlots = task.capacity - newGroup.length;
+                const candidates = units
+                    .map((unit, index) => index)
+                    .filter(index => units[index].length <= freeSlots && !plan.isExcluded(units[index], task));
+                const chosen = candidates.length > 0 ? chooseUnit(candidates, task) : units.length;
+                units.forEach((unit, index) => {
+                    if (index < chosen && !candidates.includes(index) && !missedAt.has(unit)) missedAt.set(unit, i);
+                });
+                if (candidates.length === 0) break;
+                const unit = units.splice(chosen, 1)[0];
+                newGroup.push(...unit);
+                placed[i].push(unit);
+            }
+        }
+
+        for (const unit of units.slice()) {
+            const tryOrder = roomOrder(unit, missedAt.has(unit) ? missedAt.get(unit) : taskOrder[0]);
+            if (makeRoomForUnit(plan, tasks, newAssignments, placed, unit, tryOrder, taskOrder)) {
+                units.splice(units.indexOf(unit), 1);
+            }
+        }
+
+        return newAssignments;
+    }
+
+    /**
+     * Places a unit that no task had room for by moving units placed before it into free slots elsewhere
+     * A linked group misses its turn when each task it reaches has fewer free slots than it has
+     * members - single people then fill those gaps and the group is left over while slots stay empty.
+     * @param {Object} plan - Rotation plan from buildRotationPlan()
+     * @param {Array<Object>} tasks - Task list
+     * @param {Array<Array<string>>} newAssignments - Assignments so far (changed in place)
+     * @param {Array<Array<Array<string>>>} placed - Units placed on each task (changed in place)
+     * @param {Array<string>} unit - Unit to place
+     * @param {Array<number>} tryOrder - Task indexes to make room on, in the order they are tried
+     * @param {Array<number>} taskOrder - Task indexes in the order they were filled
+     * @returns {boolean} True if the unit was placed
+     */
+    function makeRoomForUnit(plan, tasks, newAssignments, placed, unit, tryOrder, taskOrder) {
+        const freeSlots = tasks.map((task, i) => plan.isFixed(task) ? 0 : task.capacity - newAssignments[i].length);
+
+        for (const i of tryOrder) {
+            if (plan.isFixed(tasks[i]) || plan.isExcluded(unit, tasks[i])) continue;
+
+            // The units placed last move out first, each to the first other task with room for it
+            const free = freeSlots.slice();
+            const moves = [];
+            for (const moved of placed[i].slice().reverse()) {
+                if (free[i] >= unit.length) break;
+                const target = taskOrder.find(j => j !== i && free[j] >= moved.length && !plan.isExcluded(moved, tasks[j]));
+                if (target === undefined) continue;
+                free[target] -= moved.length;
+                free[i] += moved.length;
+                moves.push({ moved: moved, target: target });
+            }
+            if (free[i] < unit.length) continue;
+
+            for (const { moved, target } of moves) {
+                newAssignments[i] = newAssignments[i].filter(person => !moved.includes(person));
+                placed[i].splice(placed[i].indexOf(moved), 1);
+                newAssignments[target].push(...moved);
+                placed[target].push(moved);
+            }
+            newAssignments[i].push(...unit);
+            placed[i].push(unit);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Spreads units left over after every task is full over the rotating tasks
+     * one by one, so nobody drops off the end of the pool
+     * A task that still has a free slot takes the next unit before any full task
+     * goes over its capacity.
+     * @param {Object} plan - Rotation plan from buildRotationPlan()
+     * @param {Array<Object>} tasks - Task list
+     * @param {Array<Array<string>>} newAssignments - Assignments to add to (changed in place)
+     * @param {Array<Array<string>>} units - Units that are left over
+     * @returns {Object} { extraPeople, unplaced } - extraPeople is how many this put beyond the capacities
+     */
+    function spreadExtraUnits(plan, tasks, newAssignments, units) {
+        const rotatingIndexes = tasks.map((task, i) => i).filter(i => !plan.isFixed(tasks[i]));
+        const roomLeft = (i) => tasks[i].capacity - newAssignments[i].length;
+        const countOverCapacity = () => rotatingIndexes.reduce((sum, i) => sum + Math.max(0, -roomLeft(i)), 0);
+        const overBefore = countOverCapacity(); // Pins alone can already fill a task past its capacity
+        const unplaced = [];
+        let nextTask = 0;
+
+        for (const unit of units) {
+            const slots = rotatingIndexes
+                .map((_, k) => (nextTask + k) % rotatingIndexes.length)
+                .filter(slot => !plan.isExcluded(unit, tasks[rotatingIndexes[slot]]));
+            if (slots.length === 0) {
+                unplaced.push(...unit);
+                continue;
+            }
+            const withRoom = slots.filter(slot => roomLeft(rotatingIndexes[slot]) > 0);
+            const slot = withRoom.length > 0 ? withRoom[0] : slots[0];
+            newAssignments[rotatingIndexes[slot]].push(...unit);
+            nextTask = slot + 1;
+        }
+
+        return { extraPeople: countOverCapacity() - overBefore, unplaced };
+    }
+
+    /**
+     * Computes the next assignments without changing any state (classic shift)
+     * The logic matches the original Java application:
+     * 1. Collects everyone on rotating tasks, except pinned people
+     * 2. Moves the last person to the front
+     * 3. Redistributes people according to task capacities
+     * Rules replace the old special cases: fixed tasks keep their label, pinned
+     * people stay on their task and excluded people are skipped for that task
+     * (the next eligible person in the pool takes the slot instead).
+     * Linked groups move through the pool as one unit that takes a slot per
+     * member; a unit only goes to a task with room for all of its members.
+     * The pool follows the roster, so retired bhaktos are dropped, new ones join
+     * at the end and anyone beyond the total capacity is spread over the tasks.
+     * @param {Array<Object>} tasks - Task list
+     * @param {Array<Array<string>>} assignments - Current assignments (one row per task)
+     * @param {Array<string>} roster - Bhaktos in the rotation
+     * @param {Array<Object>} rules - Rotation rules
+     * @param {Array<Object>} groups - Linked groups
+     * @param {Date} date - Day the rotation is for (defaults to today)
+     * @returns {Object} { assignments, extraPeople, unplaced }
+     */
+    function computeRotation(tasks, assignments, roster, rules, groups, date = new Date()) {
+        const plan = buildRotationPlan(tasks, roster, rules, groups, date);
+        const units = collectRotationUnits(plan, tasks, assignments, roster, true);
+
+        // Tasks are filled in table order, each slot by the next unit in the pool that fits
+        const taskOrder = tasks.map((task, i) => i);
+        // A group left over takes the task it missed its turn on, or the next one it can make room on.
+        // If it has that task this week it starts one further - staying there would hold it (and the
+        // people behind it) in the same place every week.
+        const fromMissed = (unit, missedAt) => {
+            const start = (assignments[missedAt] || []).includes(unit[0]) ? missedAt + 1 : missedAt;
+            return taskOrder.slice(start).concat(taskOrder.slice(0, start));
+        };
+        const newAssignments = fillRotatingTasks(plan, tasks, units, taskOrder, candidates => candidates[0], fromMissed);
+        const { extraPeople, unplaced } = spreadExtraUnits(plan, tasks, newAssignments, units);
+
+        return { assignments: newAssignments, extraPeople: extraPeople, unplaced: unplaced };
+    }
+
+    /**
+     * Gets the weeks before the one on the board from the rotation history
+     * Every rotation entry (by an admin or the schedule) is a week. The newest one
+     * is the week that is on the board now, so it is left out unless a reset came after it.
+     * @param {Array<Object>} history - Rotation history (oldest first)
+     * @returns {Array<Object>} Rotation entries of past weeks (oldest first)
+     */
+    function getPastRotationWeeks(history) {
+        const isRotation = (entry) => entry.action === 'rotation' || entry.action === 'scheduled_rotation';
+        const lastRotation = history.map(isRotation).lastIndexOf(true);
+        const resetSince = history.slice(lastRotation + 1).some(entry =>
+            entry.action === 'reset' || entry.action === 'clear_storage'
+        );
+        return history.filter((entry, i) => isRotation(entry) && (i !== lastRotation || resetSince));
+    }
+
+    /**
+     * Measures the recent effort of every bhakto from the rotation history
+     * The current week is the latest; earlier weeks come from getPastRotationWeeks().
+     * Both should name who did each task (see getWorkedAssignments() in app.js), so a week
+     * away is not counted as effort and a cover's is. Names not on the roster, such as
+     * the label of a fixed task, are not counted.
+     * - load: average task weight per week the bhakto was assigned
+     * - repeats: per task id, how often the bhakto had it (recent weeks count more)
+     * @param {Array<Object>} tasks - Task list (gives the current weights)
+     * @param {Array<Array<string>>} assignments - Who did each task of the current week (one row per task)
+     * @param {Array<Object>} history - Rotation history (oldest first)
+     * @param {Array<string>} roster - Bhaktos in the rotation
+     * @returns {Object} { load, repeats } keyed by bhakto name
+     */
+    function computeFairnessStats(tasks, assignments, history, roster) {
+        const weightById = {};
+        tasks.forEach(task => { weightById[task.id] = getTaskWeight(task); });
+
+        const pastWeeks = getPastRotationWeeks(history).reverse();
+        const weeks = [{ tasks: tasks, assignments: assignments }, ...pastWeeks].slice(0, FAIR_HISTORY_WEEKS);
+
+        const totals = {};
+        const weeksPresent = {};
+        const repeats = {};
+
+        weeks.forEach((week, age) => {
+            week.tasks.forEach((task, i) => {
+                for (const person of week.assignments[i] || []) {
+                    if (!roster.includes(person)) continue;
+                    totals[person] = (totals[person] || 0) + (weightById[task.id] || 1);
+                    weeksPresent[person] = (weeksPresent[person] || 0) + 1;
+                    repeats[person] = repeats[person] || {};
+                    repeats[person][task.id] = (repeats[person][task.id] || 0) + Math.pow(FAIR_REPEAT_DECAY, age);
+                }
+            });
+        });
+
+        const load = {};
+        Object.keys(totals).forEach(person => { load[person] = totals[person] / weeksPresent[person]; });
+
+        return { load, repeats };
+    }
+
+    /**
+     * Computes the next assignments without changing any state (fair mode)
+     * Uses the same rules, linked groups and overflow handling as computeRotation(),
+     * but instead of shifting everyone by one place it balances effort over time:
+     * the heaviest tasks are filled first, each slot going to the unit with the
+     * lowest recent load, and a unit is kept off tasks it had recently.
+     * Ties keep the pool order, so the result is the same on every device.
+     * @param {Array<Object>} tasks - Task list
+     * @param {Array<Array<string>>} assignments - Current assignments (one row per task)
+     * @param {Array<string>} roster - Bhaktos in the rotation
+     * @param {Array<Object>} rules - Rotation rules
+     * @param {Array<Object>} groups - Linked groups
+     * @param {Array<Object>} history - Rotation history (oldest first), see computeFairnessStats()
+     * @param {Date} date - Day the rotation is for (defaults to today)
+     * @param {Array<Array<string>>} worked - Who did each task this week (defaults to the assignments)
+     * @returns {Object} { assignments, extraPeople, unplaced }
+     */
+    function computeFairRotation(tasks, assignments, roster, rules, groups, history, date = new Date(), worked = assignments) {
+        const plan = buildRotationPlan(tasks, roster, rules, groups, date);
+        const units = collectRotationUnits(plan, tasks, assignments, roster, false);
+        const { load, repeats } = computeFairnessStats(tasks, worked, history, roster);
+
+        const unitCost = (unit, task) => unit.reduce((sum, person) =>
+            sum + (load[person] || 0) + FAIR_REPEAT_PENALTY * ((repeats[person] || {})[task.id] || 0), 0
+        ) / unit.length;
+
+        // Heaviest tasks first (table order between equal weights)
+        const taskOrder = tasks.map((task, i) => i)
+            .sort((a, b) => getTaskWeight(tasks[b]) - getTaskWeight(tasks[a]) || a - b);
+        // A group left over takes the cheapest task for it that it can make room on
+        const cheapestFirst = (unit) => taskOrder.slice().sort((a, b) =>
+            unitCost(unit, tasks[a]) - unitCost(unit, tasks[b]) || getTaskWeight(tasks[a]) - getTaskWeight(tasks[b]) || a - b
+        );
+        const newAssignments = fillRotatingTasks(plan, tasks, units, taskOrder, (candidates, task) =>
+            candidates.reduce((best, index) => unitCost(units[index], task) < unitCost(units[best], task) ? index : best),
+            cheapestFirst
+        );
+        const { extraPeople, unplaced } = spreadExtraUnits(plan, tasks, newAssignments, units);
+
+        return { assignments: newAssignments, extraPeople: extraPeople, unplaced: unplaced };
+    }
+
+    /**
+     * Works out who covers for the bhaktos who are away in a given week
+     * The assignments themselves are not changed, so everyone keeps their place
+     * in the rotation cycle and is back on it the week after. A slot of someone
+     * who is away is filled by, in order:
+     * 1. an available roster member who has no task
+     * 2. an available bhakto from the task with the most available people left
+     *    (at least two, so that task is not emptied); pinned bhaktos and linked
+     *    group members stay put
+     * If nobody can cover, the slot is shown as away.
+     * Shared by the app and the relay, which checks who may tick a task off
+     * @param {Array<Object>} tasks - Task list
+     * @param {Array<Array<string>>} assignments - Assignments (one row per task)
+     * @param {Array<string>} roster - Bhaktos in the rotation
+     * @param {Array<Object>} rules - Rotation rules
+     * @param {Array<Object>} groups - Linked groups
+     * @param {Object} availability - Week keys each bhakto is away, by name
+     * @param {Date} date - Day in the week (defaults to today)
+     * @returns {Array<Array<Object>>} Per task, entries of { person, away, cover } -
+     *          bhaktos who moved to cover are left out of their own task
+     */
+    function computeCoverage(tasks, assignments, roster, rules, groups, availability, date = new Date()) {
+        const week = getWeekKey(date);
+        const activeRules = rules.filter(rule => isRuleActive(rule, date));
+        const isFixed = (task) => activeRules.some(rule => rule.type === 'fixed_task' && rule.taskId === task.id);
+        const isPinnedTo = (person, task) => activeRules.some(rule => rule.type === 'pin' && rule.person === person && rule.taskId === task.id);
+        const isExcludedFrom = (person, task) => activeRules.some(rule => rule.type === 'exclude' && rule.person === person && rule.taskId === task.id);
+        const isAway = (person) => roster.includes(person) && (availability[person] || []).includes(week);
+        const linkedMembers = new Set(groups.filter(group => isGroupLinked(group, date)).flatMap(group => group.members));
+
+        const rows = assignments.map(people => people.map(person => ({ person: person, away: isAway(person), cover: null })));
+        const assigned = new Set(assignments.flat());
+        const spare = roster.filter(person => !assigned.has(person) && !isAway(person));
+
+        tasks.forEach((task, i) => {
+            for (const entry of rows[i] || []) {
+                if (!entry.away) continue;
+
+                const spareIndex = spare.findIndex(person => !isExcludedFrom(person, task));
+                if (spareIndex !== -1) {
+                    entry.cover = spare.splice(spareIndex, 1)[0];
+                    continue;
+                }
+
+                let donor = null;
+                rows.forEach((row, j) => {
+                    if (j === i || !tasks[j] || isFixed(tasks[j])) return;
+                    const available = row.filter(other => !other.away);
+                    const candidate = [...available].reverse().find(other =>
+                        !isPinnedTo(other.person, tasks[j]) && !isExcludedFrom(other.person, task) && !linkedMembers.has(other.person)
+                    );
+                    if (candidate && available.length >= 2 && (!donor || available.length > donor.available)) {
+                        donor = { row: j, entry: candidate, available: available.length };
+                    }
+                });
+                if (donor) {
+                    rows[donor.row] = rows[donor.row].filter(other => other !== donor.entry);
+                    entry.cover = donor.entry.person;
+                }
+            }
+        });
+
+        return rows;
+    }
+
+    /**
+     * Gets the names that can tick off a task this week
+     * @param {Array<Object>} entries - Entries from computeCoverage() for the task
+     * @returns {Array<string>} Bhaktos doing the task (covers instead of those away)
+     */
+    function getCompletionCandidates(entries) {
+        return entries
+            .map(entry => entry.away ? entry.cover : entry.person)
+            .filter(Boolean);
+    }
+
+    return {
+        FAIR_HISTORY_WEEKS,
+        FAIR_REPEAT_DECAY,
+        FAIR_REPEAT_PENALTY,
+        isRuleActive,
+        formatDateKey,
+        getWeekKey,
+        isGroupLinked,
+        getTaskWeight,
+        computeRotation,
+        getPastRotationWeeks,
+        computeFairnessStats,
+        computeFairRotation,
+        computeCoverage,
+        getCompletionCandidates
+    };
+}));
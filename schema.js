@@ -0,0 +1,389 @@
+/**
+ * Schema of the synced document - shared by the app (browser global SevaSchema) and relay.js (require)
+ *
+ * It also holds the sync and login rules both ends must agree on (roles and what each may
+ * change, session length, login back-off, presence timeout and the conflict check), so they
+ * are set in one place.
+ *
+ * Every document carries a formatVersion. Documents in the current format are checked
+ * against DOCUMENT_SCHEMA; older formats only need what migrateSyncedData() in app.js
+ * reads from them, and documents from a newer version of the app are refused.
+ *
+ * The schemas use a small subset of JSON Schema: type, enum, pattern, minimum, maximum,
+ * minLength, maxLength, maxItems, items, properties, required and additionalProperties.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SevaSchema = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Format of the saved/synced data - bump when the structure changes
+    // 1: assignments only (indexes matched the old hard-coded task list)
+    // 2: task list stored alongside the assignments
+    // 3: linked groups stored as individual members instead of "A & B" names
+    const FORMAT_VERSION = 3;
+
+    // Roles from least to most access - each role can do everything the ones before it can
+    const ROLES = ['viewer', 'member', 'coordinator', 'admin'];
+
+    // Lowest role allowed to do each thing (relay.js checks the same table on every save)
+    const PERMISSIONS = {
+        tickOwnTask: 'member',
+        markOwnAvailability: 'member',
+        undo: 'member',
+        share: 'member',
+        tickAnyTask: 'coordinator',
+        markAnyAvailability: 'coordinator',
+        rotate: 'coordinator',
+        editAssignments: 'coordinator',
+        manageRoster: 'coordinator',
+        manageRules: 'coordinator',
+        editTasks: 'admin',
+        reset: 'admin',
+        clearStorage: 'admin',
+        manageAccounts: 'admin',
+        manageHouses: 'admin',
+        viewAudit: 'admin'
+    };
+
+    // Audit log entries kept - older ones drop off only once the log is this long
+    const MAX_AUDIT_ENTRIES = 150;
+
+    // Longest before/after value kept in an audit entry, and most changes per entry
+    const MAX_AUDIT_VALUE_LENGTH = 200;
+    const MAX_AUDIT_CHANGES = 30;
+
+    // A login ends after this long
+    const SESSION_DURATION = 12 * 60 * 60 * 1000; // 12 hours
+
+    // Failed logins allowed before waiting, then the wait doubles with every failure up to the max
+    const FREE_LOGIN_ATTEMPTS = 3;
+    const LOGIN_BACKOFF_BASE = 5000; // 5 seconds
+    const LOGIN_BACKOFF_MAX = 15 * 60 * 1000; // 15 minutes
+
+    // Most failed logins kept for admins to review
+    const MAX_LOGIN_FAILURES = 50;
+
+    // Highest PBKDF2 iteration count an account may store - the relay runs it on every login, so a
+    // huge count would block logins to the house. New passwords use 600000 (PBKDF2_ITERATIONS in app.js).
+    const MAX_PASSWORD_ITERATIONS = 1000000;
+
+    // Viewers drop off the list this long after their last heartbeat
+    const PRESENCE_TIMEOUT = 45000; // 45 seconds
+
+    const NAME = { type: 'string', minLength: 1, maxLength: 100 };
+    const ID = { type: 'string', minLength: 1, maxLength: 100 };
+    const DATE = { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' };
+    const OPTIONAL_DATE = { type: ['string', 'null'], pattern: '^(\\d{4}-\\d{2}-\\d{2})?$' };
+    const TIMESTAMP = { type: 'string', maxLength: 40 };
+    const NAMES = { type: 'array', maxItems: 500, items: NAME };
+
+    const TASK = {
+        type: 'object',
+        required: ['id', 'name', 'capacity'],
+        properties: {
+            id: ID,
+            name: NAME,
+            capacity: { type: 'integer', minimum: 1, maximum: 50 },
+            weight: { type: 'number', minimum: 0, maximum: 100 }
+        }
+    };
+
+    // One action in the audit log (see recordAuditEntry() in app.js)
+    const AUDIT_ENTRY = {
+        type: 'object',
+        required: ['id', 'at', 'action', 'user', 'changes'],
+        properties: {
+            id: ID,
+            at: TIMESTAMP,
+            action: { type: 'string', minLength: 1, maxLength: 40 },
+            user: { type: ['string', 'null'], maxLength: 40 },
+            role: { type: ['string', 'null'], enum: ROLES.concat(null) },
+            device: { type: ['string', 'null'], maxLength: 100 },
+            changes: {
+                type: 'array',
+                maxItems: MAX_AUDIT_CHANGES,
+                items: {
+                    type: 'object',
+                    required: ['field', 'before', 'after'],
+                    properties: {
+                        field: { type: 'string', maxLength: MAX_AUDIT_VALUE_LENGTH },
+                        before: { type: 'string', maxLength: MAX_AUDIT_VALUE_LENGTH },
+                        after: { type: 'string', maxLength: MAX_AUDIT_VALUE_LENGTH }
+                    }
+                }
+            }
+        }
+    };
+
+    // One snapshot in the rotation history (see recordHistoryEntry() in app.js) - the task
+    // names are copied without the capacities
+    const HISTORY_ENTRY = {
+        type: 'object',
+        required: ['action', 'timestamp', 'tasks', 'assignments'],
+        properties: {
+            id: ID,
+            action: { type: 'string', minLength: 1, maxLength: 40 },
+            timestamp: TIMESTAMP,
+            viewerId: { type: ['string', 'null'], maxLength: 100 },
+            tasks: {
+                type: 'array',
+                maxItems: 100,
+                items: { type: 'object', required: ['id', 'name'], properties: { id: TASK.properties.id, name: TASK.properties.name } }
+            },
+            assignments: { type: 'array', maxItems: 100, items: NAMES },
+            covers: {
+                type: 'array',
+                maxItems: 500,
+                items: { type: 'object', required: ['person'], properties: { person: NAME, cover: { type: ['string', 'null'], maxLength: 100 } } }
+            },
+            completions: { type: 'object', additionalProperties: { type: 'object' } }
+        }
+    };
+
+    const DOCUMENT_SCHEMA = {
+        type: 'object',
+        required: ['formatVersion', 'tasks', 'assignments', 'roster'],
+        properties: {
+            formatVersion: { type: 'integer', minimum: 1 },
+            houseName: { type: 'string', maxLength: 60 },
+            tasks: { type: 'array', maxItems: 100, items: TASK },
+            assignments: { type: 'array', maxItems: 100, items: NAMES },
+            roster: NAMES,
+            rules: {
+                type: 'array',
+                maxItems: 500,
+                items: {
+                    type: 'object',
+                    required: ['id', 'type'],
+                    properties: {
+                        id: ID,
+                        type: { type: 'string', enum: ['pin', 'fixed_task', 'exclude'] },
+                        person: NAME,
+                        taskId: ID,
+                        label: { type: 'string', maxLength: 100 },
+                        until: OPTIONAL_DATE
+                    }
+                }
+            },
+            groups: {
+                type: 'array',
+                maxItems: 100,
+                items: {
+                    type: 'object',
+                    required: ['id', 'members'],
+                    properties: { id: ID, members: NAMES, splitUntil: OPTIONAL_DATE }
+                }
+            },
+            settings: {
+                type: 'object',
+                properties: {
+                    mode: { type: 'string', enum: ['classic', 'fair'] },
+                    schedule: {
+                        type: 'object',
+                        properties: {
+                            enabled: { type: 'boolean' },
+                            dayOfWeek: { type: 'integer', minimum: 0, maximum: 6 },
+                            hour: { type: 'integer', minimum: 0, maximum: 23 },
+                            lastRunBoundary: { type: ['string', 'null'], maxLength: 20 }
+                        }
+                    }
+                }
+            },
+            availability: { type: 'object', additionalProperties: { type: 'array', maxItems: 520, items: DATE } },
+            completions: {
+                type: 'object',
+                additionalProperties: { type: 'object', required: ['by', 'at'], properties: { by: NAME, at: TIMESTAMP } }
+            },
+            scheduleClaim: {
+                type: ['object', 'null'],
+                required: ['boundary', 'by', 'at', 'version'],
+                properties: {
+                    boundary: { type: 'string', maxLength: 20 },
+                    by: { type: 'string', maxLength: 100 },
+                    at: TIMESTAMP,
+                    version: { type: 'number', minimum: 0 }
+                }
+            },
+            accounts: {
+                type: 'array',
+                maxItems: 200,
+                items: {
+                    type: 'object',
+                    required: ['username', 'role', 'salt', 'hash', 'iterations'],
+                    properties: {
+                        username: { type: 'string', minLength: 1, maxLength: 40 },
+                        role: { type: 'string', enum: ROLES },
+                        person: { type: ['string', 'null'], maxLength: 100 },
+                        salt: { type: 'string', maxLength: 100 },
+                        hash: { type: 'string', maxLength: 100 },
+                        iterations: { type: 'integer', minimum: 1, maximum: MAX_PASSWORD_ITERATIONS }
+                    }
+                }
+            },
+            loginFailures: { type: 'array', maxItems: 200, items: { type: 'object' } },
+            // Set by the relay in place of the accounts it does not show (see viewOf() in relay.js)
+            accountsHidden: { type: 'boolean' },
+            auditLog: { type: 'array', maxItems: 500, items: AUDIT_ENTRY },
+            history: { type: 'array', maxItems: 500, items: HISTORY_ENTRY },
+            version: { type: 'integer', minimum: 0 },
+            timestamp: TIMESTAMP,
+            lastModifiedBy: { type: 'string', maxLength: 100 }
+        }
+    };
+
+    // Older formats are upgraded by migrateSyncedData() - it needs the assignments to be lists of names
+    const LEGACY_DOCUMENT_SCHEMA = {
+        type: 'object',
+        required: ['assignments'],
+        properties: {
+            assignments: { type: 'array', maxItems: 100, items: NAMES },
+            tasks: { type: 'array', maxItems: 100, items: TASK },
+            roster: NAMES
+        }
+    };
+
+    /**
+     * Gets the JSON type name of a value ('integer' counts as 'number' too)
+     * @param {*} value - Any value
+     * @returns {string} 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'
+     */
+    function typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (Number.isInteger(value)) return 'integer';
+        return typeof value;
+    }
+
+    /**
+     * Checks a value against a schema
+     * @param {*} value - Value to check
+     * @param {Object} schema - Schema (see the subset above)
+     * @param {string} path - Where the value is, for the error messages
+     * @param {Array<string>} errors - Found errors are added here
+     * @returns {Array<string>} The errors array
+     */
+    function check(value, schema, path, errors) {
+        const types = [].concat(schema.type || []);
+        const actual = typeOf(value);
+        if (types.length && !types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+            errors.push(`${path} should be ${types.join(' or ')}, got ${actual}`);
+            return errors;
+        }
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push(`${path} should be one of ${schema.enum.join(', ')}`);
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path} is empty`);
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path} is longer than ${schema.maxLength}`);
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${path} is not in the expected format`);
+        } else if (typeof value === 'number') {
+            if (!Number.isFinite(value)) errors.push(`${path} is not a finite number`);
+            if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} is below ${schema.minimum}`);
+            if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} is above ${schema.maximum}`);
+        } else if (Array.isArray(value)) {
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path} has more than ${schema.maxItems} items`);
+            if (schema.items) value.forEach((item, i) => check(item, schema.items, `${path}[${i}]`, errors));
+        } else if (actual === 'object') {
+            (schema.required || []).forEach(key => {
+                if (value[key] === undefined) errors.push(`${path}.${key} is missing`);
+            });
+            Object.keys(value).forEach(key => {
+                const propertySchema = (schema.properties && schema.properties[key]) || schema.additionalProperties;
+                if (propertySchema && value[key] !== undefined) check(value[key], propertySchema, `${path}.${key}`, errors);
+            });
+        }
+        return errors;
+    }
+
+    /**
+     * Checks a synced document before it is pushed or after it is received
+     * Besides the schema, every task needs a row of assignments and a unique id.
+     * @param {Object} doc - Synced document
+     * @returns {Array<string>} Problems found (empty if the document is valid)
+     */
+    function validateDocument(doc) {
+        if (typeOf(doc) !== 'object') {
+            return [`document should be object, got ${typeOf(doc)}`];
+        }
+
+        const formatVersion = doc.formatVersion === undefined ? 1 : doc.formatVersion;
+        if (Number.isInteger(formatVersion) && formatVersion > FORMAT_VERSION) {
+            return [`document is in format ${formatVersion} - this version of the app only knows format ${FORMAT_VERSION}`];
+        }
+        if (formatVersion !== FORMAT_VERSION) {
+            return check(doc, LEGACY_DOCUMENT_SCHEMA, 'document', []);
+        }
+
+        const errors = check(doc, DOCUMENT_SCHEMA, 'document', []);
+        if (errors.length) return errors;
+
+        if (doc.assignments.length !== doc.tasks.length) {
+            errors.push(`document has ${doc.assignments.length} assignment rows for ${doc.tasks.length} tasks`);
+        }
+        const ids = doc.tasks.map(task => task.id);
+        const duplicate = ids.find((id, i) => ids.indexOf(id) !== i);
+        if (duplicate) {
+            errors.push(`document has two tasks with id ${duplicate}`);
+        }
+        return errors;
+    }
+
+    /**
+     * Whether a role may do something
+     * @param {string} role - One of ROLES
+     * @param {string} permission - Key of PERMISSIONS
+     * @returns {boolean} True if allowed
+     */
+    function roleAllows(role, permission) {
+        return ROLES.indexOf(role) >= ROLES.indexOf(PERMISSIONS[permission]);
+    }
+
+    /**
+     * How long to wait after a number of failed logins before the next try
+     * @param {number} failures - Failed logins in a row
+     * @returns {number} Milliseconds to wait after the last failure (0 while attempts are free)
+     */
+    function getLoginBackoff(failures) {
+        if (failures < FREE_LOGIN_ATTEMPTS) return 0;
+        return Math.min(LOGIN_BACKOFF_BASE * 2 ** (failures - FREE_LOGIN_ATTEMPTS), LOGIN_BACKOFF_MAX);
+    }
+
+    /**
+     * Whether a save based on baseVersion would overwrite a newer stored record
+     * A record behind our base (e.g. a bin that was reset) is simply overwritten.
+     * @param {Object|null} current - Stored record
+     * @param {number} baseVersion - Version the save is based on
+     * @returns {boolean} True if the save must be rejected
+     */
+    function isServerAhead(current, baseVersion) {
+        return Boolean(current && current.assignments && (Number(current.version) || 0) > baseVersion);
+    }
+
+    return {
+        FORMAT_VERSION,
+        DOCUMENT_SCHEMA,
+        LEGACY_DOCUMENT_SCHEMA,
+        ROLES,
+        PERMISSIONS,
+        MAX_AUDIT_ENTRIES,
+        MAX_AUDIT_VALUE_LENGTH,
+        MAX_AUDIT_CHANGES,
+        SESSION_DURATION,
+        FREE_LOGIN_ATTEMPTS,
+        LOGIN_BACKOFF_BASE,
+        LOGIN_BACKOFF_MAX,
+        MAX_LOGIN_FAILURES,
+        MAX_PASSWORD_ITERATIONS,
+        PRESENCE_TIMEOUT,
+        validateDocument,
+        roleAllows,
+        getLoginBackoff,
+        isServerAhead
+    };
+}));
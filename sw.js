@@ -0,0 +1,90 @@
+/**
+ * Service worker - keeps the app shell in a versioned cache so the app opens offline
+ *
+ * Bump CACHE_VERSION with every release. The browser then installs the new
+ * worker next to the old one and the page offers to update (see
+ * registerServiceWorker() in app.js); the new worker only takes over once the
+ * user accepts, so one page never mixes files from two versions.
+ *
+ * The assignments themselves are not cached here - the page keeps the last
+ * known data in localStorage and the sync requests always go to the network.
+ */
+
+const CACHE_VERSION = 'seva-v34';
+
+// Files the app cannot start without
+const APP_SHELL = [
+    './',
+    './index.html',
+    './schema.js',
+    './rotation.js',
+    './app.js',
+    './styles.css',
+    './manifest.webmanifest',
+    './icons/icon-192.png',
+    './icons/icon-512.png',
+    './icons/icon-maskable-512.png',
+    './icons/apple-touch-icon.png',
+    './vendor/html2canvas.min.js'
+];
+
+// Hosts whose responses are cached as they are used (fonts, Firebase SDK)
+const RUNTIME_CACHE_HOSTS = [
+    'fonts.googleapis.com',
+    'fonts.gstatic.com',
+    'www.gstatic.com'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHE_VERSION).then(cache => cache.addAll(APP_SHELL)));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_VERSION).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// The page posts this when the user accepts the update
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    
+    const url = new URL(request.url);
+    const sameOrigin = url.origin === self.location.origin;
+    
+    // Sync traffic (the relay's /api, Firebase) always goes to the network
+    if (sameOrigin ? url.pathname.includes('/api/') : !RUNTIME_CACHE_HOSTS.includes(url.hostname)) {
+        return;
+    }
+    
+    // Pages open from the cached shell, whatever the query string (?room=, ?sync=)
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            caches.match('./index.html').then(cached => cached || fetch(request))
+        );
+        return;
+    }
+    
+    // Cache first; anything new is stored for next time
+    event.respondWith(
+        caches.match(request, { ignoreSearch: sameOrigin }).then(cached => {
+            if (cached) return cached;
+            return fetch(request).then(response => {
+                if (response.ok || response.type === 'opaque') {
+                    const copy = response.clone();
+                    caches.open(CACHE_VERSION).then(cache => cache.put(request, copy));
+                }
+                return response;
+            });
+        })
+    );
+});
@@ -0,0 +1,284 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
+const path = require('path');
+const { FORMAT_VERSION, MAX_AUDIT_ENTRIES } = require('../schema.js');
+const { getWeekKey } = require('../rotation.js');
+const { createRelayServer, createFileStore, mergeHiddenFields, findForbiddenChange } = require('../relay.js');
+
+const ADMIN = { username: 'admin', role: 'admin', person: null, salt: 'c2FsdA==', hash: 'aGFzaA==', iterations: 600000 };
+const COORDINATOR = { ...ADMIN, username: 'ravi', role: 'coordinator', person: 'Ravi' };
+const MEMBER = { ...ADMIN, username: 'asha', role: 'member', person: 'Asha' };
+
+// Stored record of a house with two sevas, an admin, a coordinator and a member
+function makeRecord(changes) {
+    return {
+        formatVersion: FORMAT_VERSION,
+        tasks: [{ id: 'cooking', name: 'Cooking', capacity: 2 }, { id: 'cleaning', name: 'Cleaning', capacity: 2 }],
+        assignments: [['Asha', 'Bala'], ['Chitra', 'Ravi']],
+        roster: ['Asha', 'Bala', 'Chitra', 'Ravi'],
+        accounts: [ADMIN, COORDINATOR, MEMBER],
+        availability: {},
+        completions: {},
+        auditLog: [{ id: 'a1', at: '2026-10-12T08:00:00.000Z', user: 'admin', action: 'login', changes: [] }],
+        version: 3,
+        ...changes
+    };
+}
+
+const logEntry = (id, user) => ({ id: id, at: '2026-10-14T09:00:00.000Z', user: user, action: 'update', changes: [] });
+
+test('roles may only change the fields their permissions cover', () => {
+    const current = makeRecord();
+    const tasks = current.tasks.concat({ id: 'garden', name: 'Garden', capacity: 1 });
+    const assignments = current.assignments.concat([[]]);
+
+    assert.equal(findForbiddenChange(current, makeRecord({ tasks, assignments }), ADMIN), null);
+    assert.equal(findForbiddenChange(current, makeRecord({ tasks, assignments }), COORDINATOR), 'A coordinator cannot change tasks');
+    assert.equal(findForbiddenChange(current, makeRecord({ assignments: [['Bala', 'Asha'], ['Chitra', 'Ravi']] }), COORDINATOR), null);
+    assert.equal(findForbiddenChange(current, makeRecord({ assignments: [['Bala', 'Asha'], ['Chitra', 'Ravi']] }), MEMBER), 'A member cannot change assignments');
+    assert.equal(findForbiddenChange(current, makeRecord({ roster: ['Asha', 'Bala'] }), MEMBER), 'A member cannot change roster');
+});
+
+test('a house keeps at least one admin', () => {
+    const current = makeRecord();
+    const accounts = [{ ...ADMIN, role: 'coordinator' }, COORDINATOR, MEMBER];
+    assert.equal(findForbiddenChange(current, makeRecord({ accounts }), ADMIN), 'A house needs at least one admin');
+});
+
+test('members only mark their own availability', () => {
+    const current = makeRecord();
+    assert.equal(findForbiddenChange(current, makeRecord({ availability: { Asha: ['2026-10-12'] } }), MEMBER), null);
+    assert.equal(findForbiddenChange(current, makeRecord({ availability: { Bala: ['2026-10-12'] } }), MEMBER),
+        'A member can only mark their own availability');
+    assert.equal(findForbiddenChange(current, makeRecord({ availability: { Bala: ['2026-10-12'] } }), COORDINATOR), null);
+    assert.equal(findForbiddenChange(current, makeRecord({ availability: { Asha: ['2026-10-12'] } }), { ...MEMBER, person: null }),
+        'A member can only mark their own availability');
+});
+
+test('members only tick and untick their own sevas', () => {
+    const at = '2026-10-14T09:00:00.000Z';
+    const current = makeRecord({ completions: { cleaning: { by: 'Chitra', at: at } } });
+
+    assert.equal(findForbiddenChange(current, makeRecord({ completions: { cleaning: current.completions.cleaning, cooking: { by: 'Asha', at: at } } }), MEMBER), null);
+    assert.equal(findForbiddenChange(current, makeRecord({ completions: {} }), MEMBER), 'A member can only tick their own sevas');
+    assert.equal(findForbiddenChange(current, makeRecord({ completions: { cleaning: { by: 'Asha', at: at } } }), MEMBER),
+        'A member can only tick their own sevas');
+    assert.equal(findForbiddenChange(current, makeRecord({ completions: {} }), COORDINATOR), null);
+});
+
+test('members only tick sevas they are on, or cover this week', () => {
+    const refused = 'A member can only tick their own sevas';
+    const BALA = { ...MEMBER, username: 'bala', person: 'Bala' };
+    const tick = (by) => ({ cleaning: { by: by, at: new Date().toISOString() } });
+    const awayWeeks = (weeks) => makeRecord({ availability: { Chitra: weeks } });
+    const ticked = (weeks, by) => makeRecord({ availability: { Chitra: weeks }, completions: tick(by) });
+    const thisWeek = getWeekKey(new Date());
+    const lastWeek = getWeekKey(new Date(Date.now() - 7 * 24 * 60 * 60 * 1000));
+
+    assert.equal(findForbiddenChange(makeRecord(), makeRecord({ completions: tick('Asha') }), MEMBER), refused);
+    assert.equal(findForbiddenChange(makeRecord(), makeRecord({ completions: tick('Asha') }), COORDINATOR), null);
+
+    // Chitra is away this week, so Bala moves over from cooking to cover cleaning - Asha does not
+    assert.equal(findForbiddenChange(awayWeeks([thisWeek]), ticked([thisWeek], 'Bala'), BALA), null);
+    assert.equal(findForbiddenChange(awayWeeks([thisWeek]), ticked([thisWeek], 'Asha'), MEMBER), refused);
+
+    // The week is the relay's own, whatever time the tick claims
+    assert.equal(findForbiddenChange(awayWeeks([lastWeek]), ticked([lastWeek], 'Bala'), BALA), refused);
+
+    // A roster member without a seva covers first
+    const spare = { roster: ['Asha', 'Bala', 'Chitra', 'Ravi', 'Dev'], availability: { Chitra: [thisWeek] } };
+    const DEV = { ...MEMBER, username: 'dev', person: 'Dev' };
+    assert.equal(findForbiddenChange(makeRecord(spare), makeRecord({ ...spare, completions: tick('Dev') }), DEV), null);
+    assert.equal(findForbiddenChange(makeRecord(spare), makeRecord({ ...spare, completions: tick('Bala') }), BALA), refused);
+});
+
+test('the audit log is only added to, in the saving account\'s name', () => {
+    const current = makeRecord();
+    const log = current.auditLog;
+
+    assert.equal(findForbiddenChange(current, makeRecord({ auditLog: log.concat(logEntry('a2', 'asha')) }), MEMBER), null);
+    assert.equal(findForbiddenChange(current, makeRecord({ auditLog: log.concat(logEntry('a2', 'admin')) }), MEMBER),
+        'The audit log can only be added to, in your own name');
+    assert.equal(findForbiddenChange(current, makeRecord({ auditLog: [] }), ADMIN),
+        'The audit log can only be added to, in your own name');
+    assert.equal(findForbiddenChange(current, makeRecord({ auditLog: [{ ...log[0], action: 'logout' }] }), ADMIN),
+        'The audit log can only be added to, in your own name');
+
+    // Rotations run by the schedule are logged as the system, by whoever may rotate
+    assert.equal(findForbiddenChange(current, makeRecord({ auditLog: log.concat(logEntry('a2', 'system')) }), COORDINATOR), null);
+    assert.equal(findForbiddenChange(current, makeRecord({ auditLog: log.concat(logEntry('a2', 'system')) }), MEMBER),
+        'The audit log can only be added to, in your own name');
+
+    // Once it is full the oldest entries drop off
+    const full = Array.from({ length: MAX_AUDIT_ENTRIES }, (item, i) => logEntry(`f${i}`, 'admin'));
+    const next = full.slice(1).concat(logEntry('f-next', 'admin'));
+    assert.equal(findForbiddenChange(makeRecord({ auditLog: full }), makeRecord({ auditLog: next }), ADMIN), null);
+});
+
+test('saves by non-admins keep the accounts and log they were not shown', () => {
+    const current = makeRecord();
+    const saved = makeRecord({ accounts: [MEMBER], auditLog: [logEntry('a2', 'asha')] });
+
+    const merged = mergeHiddenFields(current, saved, MEMBER);
+    assert.deepEqual(merged.accounts, current.accounts);
+    assert.deepEqual(merged.auditLog.map(entry => entry.id), ['a1', 'a2']);
+    assert.equal(findForbiddenChange(current, merged, MEMBER), null);
+
+    // An account list the member could not have been shown is checked as it is
+    const changed = mergeHiddenFields(current, makeRecord({ accounts: [{ ...MEMBER, role: 'admin' }] }), MEMBER);
+    assert.equal(findForbiddenChange(current, changed, MEMBER), 'A member cannot change accounts');
+});
+
+test('saves keep the audit entries another device added', () => {
+    const current = makeRecord({ auditLog: [logEntry('a1', 'admin'), logEntry('a2', 'ravi')] });
+    // An admin keeping their version after a conflict has not seen a2
+    const saved = makeRecord({ auditLog: [logEntry('a1', 'admin'), logEntry('a3', 'admin')] });
+
+    const merged = mergeHiddenFields(current, saved, ADMIN);
+    assert.deepEqual(merged.auditLog.map(entry => entry.id), ['a1', 'a2', 'a3']);
+    assert.deepEqual(merged.accounts, saved.accounts);
+    assert.equal(findForbiddenChange(current, merged, ADMIN), null);
+});
+
+/**
+ * Starts a relay on a free port with its data in the given folder
+ * @param {string} dataDir - Data folder
+ * @param {string} staticRoot - Folder of the app files (defaults to the repository)
+ * @returns {Promise<Object>} { url, close() }
+ */
+async function startRelay(dataDir, staticRoot) {
+    const server = createRelayServer({ store: createFileStore(dataDir), setupToken: 'test-setup', staticRoot: staticRoot });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+/**
+ * Makes a copy of the app folder in the temp folder, of links to the repository's files, with the
+ * data folder linked in among the app files (as with node relay.js --data vendor/seva-data)
+ * @returns {Object} { appDir, dataDir, remove() }
+ */
+function makeAppCopy() {
+    const root = path.join(__dirname, '..');
+    const appDir = fs.mkdtempSync(path.join(os.tmpdir(), 'seva-app-'));
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'seva-data-'));
+    for (const name of fs.readdirSync(root).filter(name => name !== 'vendor' && name !== '.git')) {
+        fs.symlinkSync(path.join(root, name), path.join(appDir, name));
+    }
+    fs.mkdirSync(path.join(appDir, 'vendor'));
+    for (const name of fs.readdirSync(path.join(root, 'vendor'))) {
+        fs.symlinkSync(path.join(root, 'vendor', name), path.join(appDir, 'vendor', name));
+    }
+    fs.symlinkSync(dataDir, path.join(appDir, 'vendor', 'seva-data'));
+    return {
+        appDir: appDir,
+        dataDir: dataDir,
+        remove: () => [appDir, dataDir].forEach(dir => fs.rmSync(dir, { recursive: true }))
+    };
+}
+
+test('the relay serves the app files and nothing else', async () => {
+    const app = makeAppCopy();
+    fs.writeFileSync(path.join(app.dataDir, 'main.json'), JSON.stringify(makeRecord()));
+    const relay = await startRelay(app.dataDir, app.appDir);
+    try {
+        for (const file of ['/', '/index.html', '/app.js', '/schema.js', '/rotation.js', '/sw.js', '/vendor/html2canvas.min.js', '/icons/icon-192.png']) {
+            assert.equal((await fetch(relay.url + file)).status, 200, file);
+        }
+        const hidden = ['/relay.js', '/mock-jsonbin.js', '/README.md', '/package.json', '/test/relay.test.js',
+            '/vendor/seva-data/main.json', '/vendor/../relay.js', '/%2e%2e/etc/passwd', '/%E0%A4%A'];
+        for (const file of hidden) {
+            assert.equal((await fetch(relay.url + file)).status, 404, file);
+        }
+    } finally {
+        await relay.close();
+        app.remove();
+    }
+});
+
+/**
+ * Sends a request to the relay's API
+ * @param {Object} relay - Relay from startRelay()
+ * @param {string} method - HTTP method
+ * @param {string} route - Route under /api
+ * @param {*} body - JSON body (a string is sent as it is)
+ * @param {Object} headers - Extra headers
+ * @returns {Promise<Object>} { status, body }
+ */
+async function callRelay(relay, method, route, body, headers = {}) {
+    const response = await fetch(`${relay.url}/api/${route}`, {
+        method: method,
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: typeof body === 'string' ? body : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+test('a house is set up with the setup code, then saved by logged-in accounts at the stored version', async () => {
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.pbkdf2Sync('correct horse', salt, 1000, 32, 'sha256');
+    const admin = { ...ADMIN, salt: salt.toString('base64'), hash: hash.toString('base64'), iterations: 1000 };
+    const record = makeRecord({ accounts: [admin, COORDINATOR, MEMBER] });
+
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'seva-relay-'));
+    const relay = await startRelay(dataDir);
+    try {
+        assert.equal((await callRelay(relay, 'PUT', 'doc', { data: record, baseVersion: 0 })).status, 403);
+        assert.deepEqual(await callRelay(relay, 'PUT', 'doc', { data: record, baseVersion: 0 }, { 'X-Setup-Token': 'wrong' }),
+            { status: 403, body: { message: 'Setting up a house needs the setup code' } });
+        assert.deepEqual(await callRelay(relay, 'PUT', 'doc', { data: record, baseVersion: 0 }, { 'X-Setup-Token': 'test-setup' }),
+            { status: 200, body: { version: 1 } });
+
+        // Once it has accounts, the setup code no longer saves
+        assert.equal((await callRelay(relay, 'PUT', 'doc', { data: record, baseVersion: 1 }, { 'X-Setup-Token': 'test-setup' })).status, 401);
+
+        assert.equal((await callRelay(relay, 'POST', 'login', { username: 'admin', password: 'wrong' })).status, 401);
+        const login = await callRelay(relay, 'POST', 'login', { username: 'Admin', password: 'correct horse' });
+        assert.equal(login.status, 200);
+        assert.equal(login.body.record.version, 1);
+        assert.equal(login.body.record.accounts.length, 3);
+        const auth = { Authorization: `Bearer ${login.body.token}` };
+
+        const stale = await callRelay(relay, 'PUT', 'doc', { data: record, baseVersion: 0 }, auth);
+        assert.equal(stale.status, 409);
+        assert.equal(stale.body.record.version, 1);
+
+        const invalid = await callRelay(relay, 'PUT', 'doc', { data: { ...record, tasks: 'cooking' }, baseVersion: 1 }, auth);
+        assert.equal(invalid.status, 422);
+        assert.deepEqual(invalid.body.errors, ['document.tasks should be array, got string']);
+
+        assert.deepEqual(await callRelay(relay, 'PUT', 'doc', { data: record, baseVersion: 1 }, auth), { status: 200, body: { version: 2 } });
+        assert.equal(JSON.parse(fs.readFileSync(path.join(dataDir, 'main.json'), 'utf8')).version, 2);
+    } finally {
+        await relay.close();
+        fs.rmSync(dataDir, { recursive: true });
+    }
+});
+
+test('bodies that are not a JSON object are refused with a 400, and too large ones with a 413', async () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'seva-relay-'));
+    const relay = await startRelay(dataDir);
+    try {
+        for (const route of ['doc', 'login', 'presence']) {
+            const method = route === 'doc' ? 'PUT' : 'POST';
+            for (const body of ['null', '[]', '"text"', '{"unfinished']) {
+                assert.equal((await callRelay(relay, method, route, body)).status, 400, `${route} ${body}`);
+            }
+        }
+        assert.deepEqual(await callRelay(relay, 'PUT', 'doc', 'null'), { status: 400, body: { message: 'Expected a JSON object' } });
+
+        const large = JSON.stringify({ data: { notes: 'x'.repeat(2 * 1024 * 1024) }, baseVersion: 0 });
+        assert.deepEqual(await callRelay(relay, 'PUT', 'doc', large), { status: 413, body: { message: 'Request body too large' } });
+
+        // The relay keeps answering afterwards
+        assert.deepEqual(await callRelay(relay, 'GET', 'doc'), { status: 200, body: { record: null } });
+    } finally {
+        await relay.close();
+        fs.rmSync(dataDir, { recursive: true });
+    }
+});
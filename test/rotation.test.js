@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeRotation, computeFairRotation, computeFairnessStats } = require('../rotation.js');
+
+const GROUPS = [{ id: 'group-pair', members: ['Malav', 'Param'] }];
+
+test('classic: a group that misses its turn takes the task it missed, not the first one', () => {
+    const tasks = [{ id: 'hall', capacity: 2 }, { id: 'fridge', capacity: 1 }, { id: 'kitchen', capacity: 2 }, { id: 'yard', capacity: 1 }];
+    const rules = [{ id: 'rule-chitra', type: 'pin', person: 'Chitra', taskId: 'fridge' }];
+    // The pair comes back together after a split week, and Chitra is pinned to the fridge from now on
+    const assignments = [['Asha', 'Bala'], ['Malav'], ['Param', 'Chitra'], ['Dev']];
+    const roster = assignments.flat();
+
+    // Bala takes one of the kitchen's slots ahead of the pair and moves on to the yard to make room
+    const result = computeRotation(tasks, assignments, roster, rules, GROUPS);
+    assert.deepEqual(result.assignments, [['Dev', 'Asha'], ['Chitra'], ['Malav', 'Param'], ['Bala']]);
+    assert.equal(result.extraPeople, 0);
+});
+
+test('classic: a group that misses its turn on its own task moves on instead of staying', () => {
+    const tasks = [{ id: 'hall', capacity: 2 }, { id: 'kitchen', capacity: 2 }, { id: 'stairs', capacity: 2 }, { id: 'yard', capacity: 1 }];
+    let assignments = [['Asha', 'Bala'], ['Chitra', 'Dev'], ['Malav', 'Param'], ['Esha']];
+    const roster = assignments.flat();
+
+    // Each week the pair misses its turn on the task it has - staying there would hold it in place
+    const pairTasks = [];
+    for (let week = 0; week < 3; week++) {
+        assignments = computeRotation(tasks, assignments, roster, [], GROUPS).assignments;
+        pairTasks.push(tasks[assignments.findIndex(row => row.includes('Malav'))].id);
+        assert.ok(assignments.some(row => row.includes('Malav') && row.includes('Param')));
+    }
+    assert.deepEqual(pairTasks, ['hall', 'kitchen', 'stairs']);
+});
+
+test('fair: a group that misses its turn takes the cheapest task it can make room on', () => {
+    const tasks = [
+        { id: 'hall', capacity: 2, weight: 2 },
+        { id: 'yard', capacity: 2, weight: 1 },
+        { id: 'bins', capacity: 1, weight: 1 }
+    ];
+    const assignments = [['Malav', 'Param'], ['Asha', 'Bala'], ['Chitra']];
+    const roster = assignments.flat();
+
+    // The pair just had the hall, so the yard is cheaper for them - Chitra moves over to the bins
+    const result = computeFairRotation(tasks, assignments, roster, [], GROUPS, []);
+    assert.deepEqual(result.assignments, [['Asha', 'Bala'], ['Malav', 'Param'], ['Chitra']]);
+    assert.equal(result.extraPeople, 0);
+});
+
+// A small house: a pinned bhakto, a fixed task and a linked pair among single bhaktos
+const HOUSE_TASKS = [
+    { id: 'hall', capacity: 3, weight: 2 },
+    { id: 'kitchen', capacity: 3, weight: 3 },
+    { id: 'fridges', capacity: 1, weight: 2 },
+    { id: 'washroom', capacity: 1, weight: 3 },
+    { id: 'stairs', capacity: 2, weight: 2 },
+    { id: 'garbage', capacity: 1, weight: 1 },
+    { id: 'grocery', capacity: 2, weight: 2 },
+    { id: 'yard', capacity: 1, weight: 1 }
+];
+const HOUSE_ASSIGNMENTS = [
+    ['Asha', 'Bala', 'Chitra'],
+    ['Dev', 'Esha', 'Farid'],
+    ['Gita'],
+    ['Hari'],
+    ['Malav', 'Param'],
+    ['Isha'],
+    ['Jay', 'Kiran'],
+    ['Volunteer']
+];
+const HOUSE_ROSTER = HOUSE_ASSIGNMENTS.flat().filter(name => name !== 'Volunteer');
+const HOUSE_RULES = [
+    { id: 'rule-jay-grocery', type: 'pin', person: 'Jay', taskId: 'grocery' },
+    { id: 'rule-yard-volunteer', type: 'fixed_task', taskId: 'yard', label: 'Volunteer' }
+];
+
+/**
+ * Rotates the house for a number of weeks, each week's board becoming the newest history entry
+ * @param {string} mode - Rotation mode ('classic' or 'fair')
+ * @param {number} weeks - Number of rotations
+ * @returns {Object} { weeks: assignments of every week, averageLoad: task weight per week by bhakto }
+ */
+function rotateHouse(mode, weeks) {
+    let assignments = HOUSE_ASSIGNMENTS;
+    let history = [];
+    const results = [];
+    for (let week = 0; week < weeks; week++) {
+        history = history.concat({ action: 'rotation', tasks: HOUSE_TASKS, assignments: assignments });
+        assignments = mode === 'fair'
+            ? computeFairRotation(HOUSE_TASKS, assignments, HOUSE_ROSTER, HOUSE_RULES, GROUPS, history).assignments
+            : computeRotation(HOUSE_TASKS, assignments, HOUSE_ROSTER, HOUSE_RULES, GROUPS).assignments;
+        results.push(assignments);
+    }
+
+    const totals = {};
+    results.forEach(week => HOUSE_TASKS.forEach((task, i) => week[i].forEach(person => {
+        totals[person] = (totals[person] || 0) + task.weight;
+    })));
+    const averageLoad = {};
+    HOUSE_ROSTER.forEach(person => { averageLoad[person] = totals[person] / weeks; });
+    return { weeks: results, averageLoad };
+}
+
+// Difference between the highest and lowest average load of the bhaktos who rotate
+function loadSpread(averageLoad) {
+    const loads = HOUSE_ROSTER.filter(person => person !== 'Jay').map(person => averageLoad[person]);
+    return Math.max(...loads) - Math.min(...loads);
+}
+
+test('fair: the load evens out over the weeks, at least as well as the classic shift', () => {
+    const fair = rotateHouse('fair', 30);
+    const classic = rotateHouse('classic', 30);
+
+    assert.ok(loadSpread(fair.averageLoad) <= 0.3, `spread ${loadSpread(fair.averageLoad)}`);
+    assert.ok(loadSpread(fair.averageLoad) <= loadSpread(classic.averageLoad));
+    assert.ok(Math.max(...Object.values(fair.averageLoad)) <= Math.max(...Object.values(classic.averageLoad)));
+});
+
+test('linked groups stay together and everyone is placed every week', () => {
+    for (const mode of ['classic', 'fair']) {
+        for (const week of rotateHouse(mode, 30).weeks) {
+            assert.ok(week.some(row => row.includes('Malav') && row.includes('Param')), `${mode}: ${JSON.stringify(week)}`);
+            assert.deepEqual(week.flat().filter(name => name !== 'Volunteer').sort(), HOUSE_ROSTER.slice().sort());
+            HOUSE_TASKS.forEach((task, i) => assert.ok(week[i].length <= task.capacity, `${mode}: ${task.id} over capacity`));
+        }
+    }
+});
+
+test('fairness stats leave out names that are not on the roster', () => {
+    const { load, repeats } = computeFairnessStats(HOUSE_TASKS, HOUSE_ASSIGNMENTS, [], HOUSE_ROSTER);
+
+    assert.equal(load.Volunteer, undefined);
+    assert.equal(repeats.Volunteer, undefined);
+    assert.equal(load.Dev, 3);
+    assert.deepEqual(repeats.Malav, { stairs: 1 });
+});
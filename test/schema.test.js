@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    FORMAT_VERSION,
+    validateDocument,
+    roleAllows,
+    getLoginBackoff,
+    isServerAhead,
+    FREE_LOGIN_ATTEMPTS,
+    LOGIN_BACKOFF_BASE,
+    LOGIN_BACKOFF_MAX,
+    MAX_PASSWORD_ITERATIONS,
+    MAX_AUDIT_VALUE_LENGTH,
+    MAX_AUDIT_CHANGES
+} = require('../schema.js');
+
+// Smallest document in the current format: two sevas with their rows of names
+function makeDocument(changes) {
+    return {
+        formatVersion: FORMAT_VERSION,
+        tasks: [
+            { id: 'cooking', name: 'Cooking', capacity: 2, weight: 3 },
+            { id: 'cleaning', name: 'Cleaning', capacity: 1 }
+        ],
+        assignments: [['Asha', 'Bala'], ['Chitra']],
+        roster: ['Asha', 'Bala', 'Chitra'],
+        ...changes
+    };
+}
+
+test('a document in the current format is valid', () => {
+    assert.deepEqual(validateDocument(makeDocument()), []);
+});
+
+test('every task needs its own row of assignments and a unique id', () => {
+    assert.match(validateDocument(makeDocument({ assignments: [['Asha']] }))[0], /1 assignment rows for 2 tasks/);
+
+    const tasks = [{ id: 'cooking', name: 'Cooking', capacity: 1 }, { id: 'cooking', name: 'Cooking again', capacity: 1 }];
+    assert.match(validateDocument(makeDocument({ tasks: tasks }))[0], /two tasks with id cooking/);
+});
+
+test('wrong types, bounds and formats are reported with their path', () => {
+    const errors = validateDocument(makeDocument({
+        tasks: [{ id: 'cooking', name: '', capacity: 0 }, { id: 'cleaning', name: 'Cleaning', capacity: 1.5 }],
+        availability: { Asha: ['next week'] }
+    }));
+    assert.deepEqual(errors, [
+        'document.tasks[0].name is empty',
+        'document.tasks[0].capacity is below 1',
+        'document.tasks[1].capacity should be integer, got number',
+        'document.availability.Asha[0] is not in the expected format'
+    ]);
+
+    assert.deepEqual(validateDocument('data'), ['document should be object, got string']);
+    assert.match(validateDocument(makeDocument({ settings: { mode: 'random' } }))[0], /settings\.mode should be one of classic, fair/);
+    assert.match(validateDocument(makeDocument({ roster: undefined }))[0], /document\.roster is missing/);
+});
+
+test('accounts need a role from the list and their password hash', () => {
+    const account = { username: 'admin', role: 'admin', salt: 'c2FsdA==', hash: 'aGFzaA==', iterations: 600000 };
+    assert.deepEqual(validateDocument(makeDocument({ accounts: [account] })), []);
+    assert.match(validateDocument(makeDocument({ accounts: [{ ...account, role: 'owner' }] }))[0], /role should be one of/);
+    assert.match(validateDocument(makeDocument({ accounts: [{ ...account, hash: undefined }] }))[0], /accounts\[0\]\.hash is missing/);
+});
+
+test('account iteration counts stay within what a login can afford', () => {
+    const account = { username: 'admin', role: 'admin', salt: 'c2FsdA==', hash: 'aGFzaA==', iterations: 1 };
+    const withIterations = (iterations) => validateDocument(makeDocument({ accounts: [{ ...account, iterations }] }));
+
+    assert.deepEqual(withIterations(1), []);
+    assert.deepEqual(withIterations(MAX_PASSWORD_ITERATIONS), []);
+    assert.match(withIterations(0)[0], /accounts\[0\]\.iterations is below 1/);
+    assert.match(withIterations(MAX_PASSWORD_ITERATIONS + 1)[0], /accounts\[0\]\.iterations is above/);
+});
+
+test('audit log entries need who, when, what and the changed fields', () => {
+    const entry = {
+        id: 'audit-1', at: '2026-10-14T09:00:00.000Z', action: 'manual_edit', user: 'asha', role: 'member', device: 'viewer-1',
+        changes: [{ field: 'assignments.cooking', before: 'Asha', after: 'Bala' }]
+    };
+    assert.deepEqual(validateDocument(makeDocument({ auditLog: [entry] })), []);
+
+    assert.deepEqual(validateDocument(makeDocument({ auditLog: [{ id: 'z', user: 'asha' }] })), [
+        'document.auditLog[0].at is missing',
+        'document.auditLog[0].action is missing',
+        'document.auditLog[0].changes is missing'
+    ]);
+    assert.match(validateDocument(makeDocument({ auditLog: [{ ...entry, changes: [{ field: 'roster' }] }] }))[0],
+        /auditLog\[0\]\.changes\[0\]\.before is missing/);
+    const longValue = 'x'.repeat(MAX_AUDIT_VALUE_LENGTH + 1);
+    assert.match(validateDocument(makeDocument({ auditLog: [{ ...entry, changes: [{ field: 'roster', before: '', after: longValue }] }] }))[0],
+        /changes\[0\]\.after is longer than/);
+    const tooMany = Array.from({ length: MAX_AUDIT_CHANGES + 1 }, () => entry.changes[0]);
+    assert.match(validateDocument(makeDocument({ auditLog: [{ ...entry, changes: tooMany }] }))[0], /changes has more than/);
+});
+
+test('history entries need their action, time and the week\'s tasks and names', () => {
+    const entry = {
+        id: 'history-1', action: 'rotation', timestamp: '2026-10-14T09:00:00.000Z', viewerId: 'viewer-1',
+        tasks: [{ id: 'cooking', name: 'Cooking' }, { id: 'cleaning', name: 'Cleaning' }],
+        assignments: [['Asha', 'Bala'], ['Chitra']],
+        covers: [{ person: 'Bala', cover: null }]
+    };
+    assert.deepEqual(validateDocument(makeDocument({ history: [entry] })), []);
+
+    assert.deepEqual(validateDocument(makeDocument({ history: [{ action: 'rotation' }] })), [
+        'document.history[0].timestamp is missing',
+        'document.history[0].tasks is missing',
+        'document.history[0].assignments is missing'
+    ]);
+    assert.match(validateDocument(makeDocument({ history: [{ ...entry, tasks: [{ id: 'cooking' }] }] }))[0], /tasks\[0\]\.name is missing/);
+    assert.match(validateDocument(makeDocument({ history: [{ ...entry, assignments: [[1]] }] }))[0], /assignments\[0\]\[0\] should be string/);
+});
+
+test('a schedule claim names its week, device, time and version', () => {
+    const claim = { boundary: '2026-10-12T06:00', by: 'viewer-1', at: '2026-10-12T06:00:05.000Z', version: 1760248805000 };
+    assert.deepEqual(validateDocument(makeDocument({ scheduleClaim: claim })), []);
+    assert.deepEqual(validateDocument(makeDocument({ scheduleClaim: null })), []);
+    assert.match(validateDocument(makeDocument({ scheduleClaim: { boundary: claim.boundary } }))[0], /scheduleClaim\.by is missing/);
+    assert.match(validateDocument(makeDocument({ scheduleClaim: { ...claim, version: 'latest' } }))[0], /scheduleClaim\.version should be number/);
+});
+
+test('older formats only need lists of names, newer formats are refused', () => {
+    assert.deepEqual(validateDocument({ assignments: [['Asha & Bala'], ['Chitra']] }), []);
+    assert.match(validateDocument({ formatVersion: 2, assignments: [[1]] })[0], /should be string/);
+    assert.match(validateDocument(makeDocument({ formatVersion: FORMAT_VERSION + 1 }))[0], /only knows format/);
+});
+
+test('each role can do everything the roles before it can', () => {
+    assert.equal(roleAllows('viewer', 'tickOwnTask'), false);
+    assert.equal(roleAllows('member', 'tickOwnTask'), true);
+    assert.equal(roleAllows('member', 'tickAnyTask'), false);
+    assert.equal(roleAllows('coordinator', 'rotate'), true);
+    assert.equal(roleAllows('coordinator', 'manageAccounts'), false);
+    assert.equal(roleAllows('admin', 'manageAccounts'), true);
+});
+
+test('the login back-off starts after the free attempts and doubles up to the max', () => {
+    assert.equal(getLoginBackoff(FREE_LOGIN_ATTEMPTS - 1), 0);
+    assert.equal(getLoginBackoff(FREE_LOGIN_ATTEMPTS), LOGIN_BACKOFF_BASE);
+    assert.equal(getLoginBackoff(FREE_LOGIN_ATTEMPTS + 1), LOGIN_BACKOFF_BASE * 2);
+    assert.equal(getLoginBackoff(FREE_LOGIN_ATTEMPTS + 30), LOGIN_BACKOFF_MAX);
+});
+
+test('a save is held back only when the stored record is ahead of its base', () => {
+    assert.equal(isServerAhead(null, 0), false);
+    assert.equal(isServerAhead(makeDocument({ version: 4 }), 4), false);
+    assert.equal(isServerAhead(makeDocument({ version: 5 }), 4), true);
+    assert.equal(isServerAhead(makeDocument({ version: 3 }), 4), false);
+});